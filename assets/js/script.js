@@ -36,1309 +36,8139 @@ const handleActivation = (event, handler) => {
   handler();
 };
 
-/* ============================================================
-   1) Navigation Active Link
-============================================================ */
+const escapeHTML = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (ch) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+  })[ch]);
+
+const formatCompactNumber = (n) => {
+  const v = Number(n);
+  if (!isFinite(v) || v <= 0) return "—";
+  return i18n.formatNumber(v, { notation: "compact", maximumFractionDigits: 1 });
+};
 
-const setActiveNavLink = () => {
-  const currentFile = window.location.pathname.split("/").pop() || "index.html";
+/**
+ * Arabic-aware normalization for matching (not for display):
+ * - strips diacritics (tashkeel) and tatweel
+ * - unifies alef/hamza variants, taa marbuta, alef maqsura
+ * - maps Arabic-Indic digits to Latin digits
+ */
+const normalizeArabic = (value) =>
+  String(value ?? "")
+    .toLowerCase()
+    .replace(/[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g, "")
+    .replace(/\u0640/g, "")
+    .replace(/[أإآٱ]/g, "ا")
+    .replace(/ؤ/g, "و")
+    .replace(/[ئى]/g, "ي")
+    .replace(/ة/g, "ه")
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(/\s+/g, " ")
+    .trim();
 
-  document.querySelectorAll(".c-nav__link").forEach((link) => {
-    const href = link.getAttribute("href") || "";
-    const targetFile = href.split("/").pop();
-    const isActive = targetFile === currentFile;
+/**
+ * Put text into el with <mark> around each query token, matched the way
+ * normalizeArabic compares (hamza forms, ta marbuta and diacritics don't matter).
+ */
+const renderHighlighted = (el, text, query) => {
+  if (!el) return;
+  const source = String(text ?? "");
+  const tokens = normalizeArabic(query).split(" ").filter(Boolean);
+  if (!tokens.length) {
+    el.textContent = source;
+    return;
+  }
 
-    link.classList.toggle("is-active", isActive);
-    if (isActive) link.setAttribute("aria-current", "page");
-    else link.removeAttribute("aria-current");
+  // Normalised copy of the source + the source index of every normalised char
+  let norm = "";
+  const map = [];
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = /\s/.test(source[i]) ? " " : normalizeArabic(source[i]);
+    for (const c of ch) {
+      norm += c;
+      map.push(i);
+    }
+  }
+
+  const hits = new Array(source.length).fill(false);
+  tokens.forEach((token) => {
+    for (let at = norm.indexOf(token); at !== -1; at = norm.indexOf(token, at + token.length)) {
+      for (let k = at; k < at + token.length; k += 1) hits[map[k]] = true;
+    }
+  });
+  // Dropped marks (harakat, tatweel) stay with the letter before them
+  for (let i = 1; i < source.length; i += 1) {
+    if (!hits[i] && hits[i - 1] && !/\s/.test(source[i]) && !normalizeArabic(source[i])) hits[i] = true;
+  }
+
+  el.replaceChildren();
+  for (let i = 0; i < source.length;) {
+    let j = i;
+    while (j < source.length && hits[j] === hits[i]) j += 1;
+    const chunk = source.slice(i, j);
+    if (hits[i]) {
+      const mark = document.createElement("mark");
+      mark.textContent = chunk;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(chunk));
+    }
+    i = j;
+  }
+};
+
+/**
+ * Mirror a flat filter state into the query string (replaceState, no new
+ * history entry). Values equal to their default are dropped so the
+ * unfiltered page keeps a clean URL; the hash is left untouched.
+ */
+const writeQueryState = (state, defaults) => {
+  const url = new URL(window.location.href);
+  Object.keys(defaults).forEach((key) => {
+    const value = state[key];
+    if (value && value !== defaults[key]) url.searchParams.set(key, value);
+    else url.searchParams.delete(key);
   });
+  if (url.href !== window.location.href) {
+    try { window.history.replaceState(window.history.state, "", url); } catch { }
+  }
+};
+
+/**
+ * Stable ids for dataset-driven entities.
+ * Explicit ids win (data-media-id, data-reel-id, ...); otherwise the element's
+ * ordinal within its document is used, so the same static page always yields
+ * the same ids (also when parsed from fetched HTML).
+ * The ordinal follows the current DOM order: markup that gets re-sorted
+ * (audio filters, feeds) must carry explicit ids, or links and saved
+ * history would point at whatever row moved into that position.
+ */
+const ENTITY_SOURCES = {
+  media: { selector: "[data-media-card]", idKey: "mediaId", prefix: "m" },
+  reel: { selector: "[data-reel-card]", idKey: "reelId", prefix: "r" },
+  audio: { selector: "[data-audio-item]", idKey: "audioId", prefix: "a" },
+  quote: { selector: "[data-q-item]", idKey: "qId", prefix: "q" },
+  news: { selector: ".c-news-card, .c-newsroom .c-news-featured, .c-newsroom .c-news-item", idKey: "newsId", prefix: "n" },
+  station: { selector: ".c-hub-item[data-hub-target]", idKey: "hubTarget", prefix: "s" },
+};
+
+const getEntityId = (el, kind) => {
+  const src = ENTITY_SOURCES[kind];
+  if (!el || !src) return "";
+  if (el.dataset?.[src.idKey]) return el.dataset[src.idKey];
+
+  const all = Array.from((el.ownerDocument || document).querySelectorAll(src.selector));
+  const idx = all.indexOf(el);
+  return idx >= 0 ? `${src.prefix}-${idx + 1}` : "";
+};
+
+const findEntityById = (kind, id) => {
+  const src = ENTITY_SOURCES[kind];
+  if (!src || !id) return null;
+  return Array.from(document.querySelectorAll(src.selector)).find((el) => getEntityId(el, kind) === id) || null;
 };
 
 /* ============================================================
-   2) Generic Tabs
+   0.1) i18n — Message Catalog (ar / en) + locale formatting
 ============================================================ */
 
-const initTabs = () => {
-  const roots = new Set();
+/**
+ * UI strings used by the initializers below. Static page copy stays in the
+ * HTML; shared chrome opts in with:
+ * - [data-i18n="key"]                     textContent
+ * - [data-i18n-attr="attr:key; attr:key"] attributes (aria-label, placeholder, title…)
+ *
+ * Messages take "{name}" placeholders: i18n.t("search.count", { count: 3 }).
+ * Missing English keys fall back to Arabic, then to the key itself.
+ * A locale switch dispatches "i18n:change" on document (detail: { locale })
+ * and swaps Bootstrap's RTL build for the LTR one (or back) to match html[dir].
+ */
+const LOCALE_STORAGE_KEY = "saleh:locale";
+const DEFAULT_LOCALE = "ar";
 
-  document.querySelectorAll("[data-tabs-root]").forEach((r) => roots.add(r));
+const LOCALES = {
+  // Latin digits in Arabic to match the dates/counters already in the markup
+  ar: { dir: "rtl", intl: "ar-u-nu-latn", short: "ع", name: "العربية" },
+  en: { dir: "ltr", intl: "en-GB", short: "EN", name: "English" },
+};
 
-  document.querySelectorAll("[data-tabs]").forEach((tabsEl) => {
-    const inferred =
-      tabsEl.closest("[data-tabs-root]") ||
-      tabsEl.closest(".c-bio-tabs__wrap") ||
-      tabsEl.closest(".c-tabs-area") ||
-      tabsEl.closest(".c-bio-tabs") ||
-      tabsEl.closest(".c-tabs") ||
-      document.body;
+const I18N_MESSAGES = {
+  ar: {
+    "nav.home": "الرئيسية",
+    "nav.media": "الوسائط",
+    "nav.timeline": "الخط الزمني",
+    "nav.biography": "السيرة",
+    "nav.news": "الأخبار",
+    "nav.about": "من نحن",
+    "nav.contact": "تواصل معنا",
+    "nav.search": "بحث",
+    "nav.searchPlaceholder": "ابحث داخل الأرشيف",
+    "nav.menu": "القائمة",
+    "nav.openMenu": "فتح القائمة الرئيسية",
+    "nav.closeMenu": "إغلاق القائمة",
+    "nav.home.aria": "العودة للرئيسية",
+
+    "lang.switch": "التبديل إلى الإنجليزية",
+    "theme.toLight": "التبديل إلى الوضع الفاتح",
+    "theme.toDark": "التبديل إلى الوضع الداكن",
+
+    "date.circa": "حوالي {date}",
+    "date.decade": "عقد {decade}",
+    "date.order": "التقويم: {first} أولًا",
+    "date.gregory": "الميلادي",
+    "date.hijri": "الهجري",
+
+    "type.photo": "صورة",
+    "type.video": "فيديو",
+    "type.reel": "ريل",
+    "type.audio": "صوت",
+    "type.media": "وسائط",
+    "type.document": "مستند PDF",
+    "type.file": "ملف",
+
+    "common.details": "تفاصيل",
+    "common.play": "تشغيل",
+    "common.stop": "إيقاف",
+    "common.copyLink": "نسخ رابط",
+    "common.open": "فتح",
+    "common.categories": "تصنيفات",
+    "common.of": "{current} من {total}",
+
+    "media.defaultTitle": "أرشيف الوسائط",
+    "media.defaultDescription": "مادة مختارة ضمن توثيق بصري وسمعي.",
+    "media.duration": "المدة: {value}",
+    "media.location": "المكان: {value}",
+    "media.videoPlayer": "مشغل الفيديو",
+    "media.audioPlayer": "مشغل الصوت: {label}",
+    "video.play": "تشغيل: {title}",
+    "video.quality": "الجودة",
+    "video.auto": "تلقائي",
+    "video.unavailable": "تعذر تشغيل هذا الفيديو في هذا المتصفح",
+    "embed.load": "تشغيل الفيديو من {provider}",
+    "embed.notice": "لن يُحمَّل مشغل {provider} قبل الضغط، وقد يجمع بيانات وفق سياسته.",
+    "embed.watchOn": "شاهد على {provider}",
+    "embed.unsupported": "لا يمكن تشغيل هذا الرابط داخل الموقع.",
+    "media.pager": "التنقل بين المواد",
+    "media.prev": "المادة السابقة",
+    "media.next": "المادة التالية",
+
+    "audio.coverAlt": "غلاف المقطع",
+    "audio.pause": "إيقاف مؤقت",
+    "audio.mute": "كتم الصوت",
+    "audio.unmute": "إلغاء كتم الصوت",
+    "audio.repeat.off": "التكرار: متوقف",
+    "audio.repeat.all": "التكرار: القائمة كاملة",
+    "audio.repeat.one": "التكرار: المقطع الحالي",
+    "audio.count": "{total} مقطع",
+    "audio.countFiltered": "{shown} من {total} مقطع",
+    "audio.sessionArtist": "أرشيف صالح العاروري",
+    "transcript.title": "النص المفرّغ",
+    "transcript.follow": "متابعة التشغيل",
+    "transcript.loading": "جارٍ تحميل النص…",
+    "transcript.seek": "انتقل إلى {time}",
+
+    "quote.defaultTitle": "اقتباس موثق",
+    "quote.defaultSource": "مصدر عند توفره",
+    "quote.defaultWho": "صالح العاروري",
+    "quote.shareTitle": "اقتباس",
+    "quote.sourceLabel": "المصدر: {source}",
+    "quote.allTypes": "كل الأنواع",
+    "quote.allYears": "كل السنوات",
+    "quote.filters": "تصفية الاقتباسات",
+    "quote.yearFilter": "سنة الاقتباس",
+    "quote.copyLink": "نسخ رابط الاقتباس",
+    "quote.railHint": "اضغط لاختيار اقتباس وعرضه كبطاقة مميزة، أو تنقّل بالأسهم",
+    "quote.imageLoading": "جارٍ تجهيز الصورة…",
+    "quote.imageError": "تعذر إنشاء الصورة في هذا المتصفح",
+    "quote.imageAlt": "معاينة صورة الاقتباس ({format})",
+    "quote.format.square": "مربع",
+    "quote.format.story": "قصة",
+    "quote.format.landscape": "أفقي",
+    "quote.shareImage": "مشاركة كصورة",
+    "quote.imageFormat": "مقاس الصورة",
+    "quote.imageDownload": "تنزيل الصورة",
+    "quote.imageShare": "مشاركة الصورة",
+
+    "reel.play": "تشغيل",
+    "reel.pause": "إيقاف مؤقت",
+    "reel.mute": "كتم الصوت",
+    "reel.unmute": "تشغيل الصوت",
+    "reel.like": "إعجاب",
+    "reel.autoNext": "الانتقال التلقائي للريل التالي",
+
+    "search.group.station": "محطات",
+    "search.group.media": "وسائط",
+    "search.group.reel": "ريلز",
+    "search.group.audio": "صوتيات",
+    "search.group.quote": "اقتباسات",
+    "search.group.news": "أخبار",
+    "search.results": "نتائج البحث",
+    "search.loading": "جارٍ البحث…",
+    "search.count": "{count} نتيجة",
+    "search.empty": "لا توجد نتائج مطابقة",
+    "search.inTranscript": "من النص المفرّغ",
+    "offline.title": "محفوظ للتشغيل دون اتصال",
+    "offline.clear": "حذف الكل",
+    "offline.idle": "حفظ للتشغيل دون اتصال",
+    "offline.saving": "جارٍ الحفظ…",
+    "offline.saved": "محفوظ دون اتصال — اضغط للإزالة",
+    "offline.error": "تعذّر الحفظ، حاول مجددًا",
+    "offline.usage": "المحفوظ {saved} · يستخدم الموقع {used} من {quota}",
+    "offline.usageSaved": "المحفوظ {saved}",
+    "offline.removeItem": "إزالة «{title}» من المحفوظات",
+    "offline.confirmClear": "حذف كل المقاطع المحفوظة للتشغيل دون اتصال؟",
+
+    "feed.loading": "جارٍ التحميل…",
+    "feed.done": "لا مزيد من المواد",
+    "feed.error": "تعذر التحميل",
+
+    "playback.resume": "متابعة من {time}",
+    "playback.startOver": "البدء من البداية",
+    "playback.stoppedAt": "متوقف عند {time}",
+    "playback.finished": "مكتمل أو من البداية",
+    "playback.confirmClear": "سيتم مسح سجل الاستماع ومواضع الاستئناف المحفوظة. متابعة؟",
+
+    "mediaCenter.emptySearch": "لا توجد نتائج مطابقة للبحث أو الفلتر",
+
+    "news.dateError": "تاريخ البداية يجب أن يكون قبل تاريخ النهاية أو مساويًا له",
+    "news.count": "{total} خبر",
+    "news.countFiltered": "{shown} من {total} خبر",
+
+    "lightbox.zoomIn": "تكبير الصورة",
+    "lightbox.zoomOut": "تصغير الصورة",
+    "lightbox.thumb": "عرض الصورة {index}: {title}",
+
+    "hub.tab.details": "تفاصيل",
+    "hub.tab.photos": "صور",
+    "hub.tab.videos": "فيديو",
+    "hub.tab.audios": "صوت",
+    "hub.empty.photos": "لا توجد صور مرتبطة بهذه المحطة حاليا",
+    "hub.empty.videos": "لا توجد فيديوهات مرتبطة بهذه المحطة حاليا",
+    "hub.empty.audios": "لا توجد صوتيات مرتبطة بهذه المحطة حاليا",
+    "hub.facts": "نقاط سريعة",
+    "hub.fullDetails": "اذهب للتفاصيل الكاملة",
+    "hub.openMedia": "فتح الوسائط",
+    "hub.openAlbum": "فتح ألبوم الصور: {label}",
+    "hub.audioFallback": "مقطع صوتي",
+    "hub.current": "المحطة الحالية",
+    "hub.badges": "وسوم المحطة",
+    "hub.tabs": "تبويبات المحطة",
+
+    "contact.success": "تم استلام رسالتك بنجاح. شكرًا لمساهمتك في توثيق الأرشيف.",
+    "contact.mailto": "فتحنا تطبيق البريد لديك مع نص الرسالة، أكمل الإرسال من هناك.",
+    "contact.invalid": "من فضلك راجع الحقول التالية قبل الإرسال:",
+    "contact.tooFast": "تم الإرسال بسرعة غير معتادة. انتظر ثوانٍ قليلة ثم أعد المحاولة.",
+    "contact.failed": "تعذر إرسال الرسالة الآن. حاول مرة أخرى بعد قليل.",
+    "contact.unavailable": "الإرسال غير متاح حاليًا من هذه الصفحة.",
+    "contact.queued": "لا يوجد اتصال بالإنترنت. حفظنا رسالتك وسنرسلها تلقائيًا عند عودة الاتصال.",
+    "contact.pending": "لديك {count} رسالة محفوظة بانتظار عودة الاتصال.",
+    "contact.flushed": "عاد الاتصال وتم إرسال {count} رسالة محفوظة.",
+    "contact.rejected": "لم تُقبل رسالة كانت محفوظة بانتظار الاتصال، فأعدناها إلى النموذج. راجعها ثم أرسلها من جديد.",
+    "contact.rejectedWaiting": "لم تُقبل رسالة كانت محفوظة بانتظار الاتصال. أرسل رسالتك الحالية أو امسحها لنعيدها إلى النموذج.",
+    "contact.draftSaved": "تم حفظ المسودة على هذا الجهاز",
+    "contact.draftRestored": "استعدنا مسودتك المحفوظة",
+
+    "upload.invalid": "من فضلك أكمل بيانات المصدر التالية قبل الرفع:",
+    "upload.noFiles": "أضف ملفًا واحدًا على الأقل للرفع.",
+    "upload.tooMany": "يمكن رفع {max} ملفات كحد أقصى في المرة الواحدة.",
+    "upload.badType": "نوع الملف غير مدعوم (صور، صوت، فيديو أو PDF فقط)",
+    "upload.tooBig": "حجم الملف أكبر من الحد المسموح ({max})",
+    "upload.unavailable": "رفع الملفات غير متاح حاليًا. أرسل رابط المادة عبر نموذج المراسلة.",
+    "upload.uploading": "جارٍ رفع الملفات… لا تغلق الصفحة.",
+    "upload.done": "تم رفع المواد بنجاح. سنراجعها ونتواصل معك عند الحاجة. شكرًا لمساهمتك.",
+    "upload.failed": "تعذر رفع بعض الملفات. يمكنك الاستئناف من حيث توقف الرفع.",
+    "upload.resumed": "عاد الاتصال، نستأنف الرفع…",
+    "upload.resume": "استئناف الرفع",
+    "upload.captured": "التقطت {date}",
+    "upload.progress": "تقدم رفع {name}",
+    "upload.remove": "إزالة {name}",
+    "upload.status.ready": "جاهز للرفع",
+    "upload.status.uploading": "جارٍ الرفع",
+    "upload.status.done": "تم الرفع",
+    "upload.status.error": "توقف الرفع",
+    "upload.status.invalid": "مرفوض",
+  },
 
-    roots.add(inferred);
-  });
+  en: {
+    "nav.home": "Home",
+    "nav.media": "Media",
+    "nav.timeline": "Timeline",
+    "nav.biography": "Biography",
+    "nav.news": "News",
+    "nav.about": "About",
+    "nav.contact": "Contact us",
+    "nav.search": "Search",
+    "nav.searchPlaceholder": "Search the archive",
+    "nav.menu": "Menu",
+    "nav.openMenu": "Open main menu",
+    "nav.closeMenu": "Close menu",
+    "nav.home.aria": "Back to home",
+
+    "lang.switch": "Switch to Arabic",
+    "theme.toLight": "Switch to light mode",
+    "theme.toDark": "Switch to dark mode",
+
+    "date.circa": "circa {date}",
+    "date.decade": "{decade}s",
+    "date.order": "Calendar: {first} first",
+    "date.gregory": "Gregorian",
+    "date.hijri": "Hijri",
+
+    "type.photo": "Photo",
+    "type.video": "Video",
+    "type.reel": "Reel",
+    "type.audio": "Audio",
+    "type.media": "Media",
+    "type.document": "PDF document",
+    "type.file": "File",
+
+    "common.details": "Details",
+    "common.play": "Play",
+    "common.stop": "Stop",
+    "common.copyLink": "Copy link",
+    "common.open": "Open",
+    "common.categories": "Categories",
+    "common.of": "{current} of {total}",
+
+    "media.defaultTitle": "Media archive",
+    "media.defaultDescription": "A selected item from the visual and audio record.",
+    "media.duration": "Duration: {value}",
+    "media.location": "Location: {value}",
+    "media.videoPlayer": "Video player",
+    "media.audioPlayer": "Audio player: {label}",
+    "video.play": "Play: {title}",
+    "video.quality": "Quality",
+    "video.auto": "Auto",
+    "video.unavailable": "This video can't be played in this browser",
+    "embed.load": "Play video from {provider}",
+    "embed.notice": "The {provider} player only loads after you click and may collect data under its own policy.",
+    "embed.watchOn": "Watch on {provider}",
+    "embed.unsupported": "This link can't be played on this site.",
+    "media.pager": "Browse items",
+    "media.prev": "Previous item",
+    "media.next": "Next item",
+
+    "audio.coverAlt": "Track cover",
+    "audio.pause": "Pause",
+    "audio.mute": "Mute",
+    "audio.unmute": "Unmute",
+    "audio.repeat.off": "Repeat: off",
+    "audio.repeat.all": "Repeat: whole list",
+    "audio.repeat.one": "Repeat: current track",
+    "audio.count": "{total} tracks",
+    "audio.countFiltered": "{shown} of {total} tracks",
+    "audio.sessionArtist": "Saleh al-Arouri Archive",
+    "transcript.title": "Transcript",
+    "transcript.follow": "Follow playback",
+    "transcript.loading": "Loading transcript…",
+    "transcript.seek": "Jump to {time}",
+
+    "quote.defaultTitle": "Documented quote",
+    "quote.defaultSource": "Source when available",
+    "quote.defaultWho": "Saleh al-Arouri",
+    "quote.shareTitle": "Quote",
+    "quote.sourceLabel": "Source: {source}",
+    "quote.allTypes": "All types",
+    "quote.allYears": "All years",
+    "quote.filters": "Filter quotes",
+    "quote.yearFilter": "Quote year",
+    "quote.copyLink": "Copy quote link",
+    "quote.railHint": "Pick a quote to feature it, or move through them with the arrow keys",
+    "quote.imageLoading": "Preparing the image…",
+    "quote.imageError": "This browser couldn't create the image",
+    "quote.imageAlt": "Quote image preview ({format})",
+    "quote.format.square": "Square",
+    "quote.format.story": "Story",
+    "quote.format.landscape": "Landscape",
+    "quote.shareImage": "Share as image",
+    "quote.imageFormat": "Image size",
+    "quote.imageDownload": "Download image",
+    "quote.imageShare": "Share image",
+
+    "reel.play": "Play",
+    "reel.pause": "Pause",
+    "reel.mute": "Mute",
+    "reel.unmute": "Unmute",
+    "reel.like": "Like",
+    "reel.autoNext": "Auto-play next reel",
+
+    "search.group.station": "Stations",
+    "search.group.media": "Media",
+    "search.group.reel": "Reels",
+    "search.group.audio": "Audio",
+    "search.group.quote": "Quotes",
+    "search.group.news": "News",
+    "search.results": "Search results",
+    "search.loading": "Searching…",
+    "search.count": "{count} results",
+    "search.empty": "No matching results",
+    "search.inTranscript": "From the transcript",
+    "offline.title": "Saved for offline",
+    "offline.clear": "Delete all",
+    "offline.idle": "Save for offline",
+    "offline.saving": "Saving…",
+    "offline.saved": "Saved offline — press to remove",
+    "offline.error": "Couldn't save, try again",
+    "offline.usage": "Saved {saved} · site uses {used} of {quota}",
+    "offline.usageSaved": "Saved {saved}",
+    "offline.removeItem": "Remove “{title}” from saved items",
+    "offline.confirmClear": "Delete every clip saved for offline?",
+
+    "feed.loading": "Loading…",
+    "feed.done": "No more items",
+    "feed.error": "Couldn't load",
+
+    "playback.resume": "Resume from {time}",
+    "playback.startOver": "Start from the beginning",
+    "playback.stoppedAt": "Stopped at {time}",
+    "playback.finished": "Finished or from the start",
+    "playback.confirmClear": "This clears your listening history and saved resume positions. Continue?",
+
+    "mediaCenter.emptySearch": "Nothing matches this search or filter",
+
+    "news.dateError": "The start date must be on or before the end date",
+    "news.count": "{total} stories",
+    "news.countFiltered": "{shown} of {total} stories",
+
+    "lightbox.zoomIn": "Zoom in",
+    "lightbox.zoomOut": "Zoom out",
+    "lightbox.thumb": "Show photo {index}: {title}",
+
+    "hub.tab.details": "Details",
+    "hub.tab.photos": "Photos",
+    "hub.tab.videos": "Videos",
+    "hub.tab.audios": "Audio",
+    "hub.empty.photos": "No photos are linked to this station yet",
+    "hub.empty.videos": "No videos are linked to this station yet",
+    "hub.empty.audios": "No audio is linked to this station yet",
+    "hub.facts": "Key facts",
+    "hub.fullDetails": "Go to full details",
+    "hub.openMedia": "Open media",
+    "hub.openAlbum": "Open photo album: {label}",
+    "hub.audioFallback": "Audio clip",
+    "hub.current": "Current station",
+    "hub.badges": "Station tags",
+    "hub.tabs": "Station tabs",
+
+    "contact.success": "Your message was received. Thank you for helping document the archive.",
+    "contact.mailto": "We opened your mail app with the message; send it from there.",
+    "contact.invalid": "Please check the following fields before sending:",
+    "contact.tooFast": "That was sent unusually fast. Wait a few seconds and try again.",
+    "contact.failed": "The message couldn't be sent right now. Please try again shortly.",
+    "contact.unavailable": "Sending isn't available from this page right now.",
+    "contact.queued": "You're offline. We saved your message and will send it when you're back online.",
+    "contact.pending": "{count} saved message(s) waiting for a connection.",
+    "contact.flushed": "Back online: {count} saved message(s) sent.",
+    "contact.rejected": "A saved message wasn't accepted, so it's back in the form. Check it and send it again.",
+    "contact.rejectedWaiting": "A saved message wasn't accepted. Send or clear the current message and we'll put it back in the form.",
+    "contact.draftSaved": "Draft saved on this device",
+    "contact.draftRestored": "We restored your saved draft",
+
+    "upload.invalid": "Please complete the following source details before uploading:",
+    "upload.noFiles": "Add at least one file to upload.",
+    "upload.tooMany": "You can upload up to {max} files at a time.",
+    "upload.badType": "Unsupported file type (photos, audio, video or PDF only)",
+    "upload.tooBig": "The file is larger than the allowed size ({max})",
+    "upload.unavailable": "Uploads aren't available right now. Send a link to the material through the contact form.",
+    "upload.uploading": "Uploading files… please keep this page open.",
+    "upload.done": "Your material was uploaded. We'll review it and get in touch if needed. Thank you.",
+    "upload.failed": "Some files couldn't be uploaded. You can resume where the upload stopped.",
+    "upload.resumed": "Back online, resuming the upload…",
+    "upload.resume": "Resume upload",
+    "upload.captured": "taken {date}",
+    "upload.progress": "Upload progress for {name}",
+    "upload.remove": "Remove {name}",
+    "upload.status.ready": "Ready to upload",
+    "upload.status.uploading": "Uploading",
+    "upload.status.done": "Uploaded",
+    "upload.status.error": "Upload stopped",
+    "upload.status.invalid": "Rejected",
+  },
+};
 
-  roots.forEach((root) => {
-    const tabsContainer =
-      root.querySelector("[data-tabs]") ||
-      root.querySelector(".c-bio-tabs__tabs") ||
-      root.querySelector(".c-tabs");
+const i18n = {
+  locale: DEFAULT_LOCALE,
 
-    if (!tabsContainer) return;
+  t(key, params = {}) {
+    const text = I18N_MESSAGES[this.locale]?.[key] ?? I18N_MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (m, name) => (params[name] ?? m));
+  },
 
-    const tabs = Array.from(tabsContainer.querySelectorAll(".c-tab"));
-    const panels = Array.from(root.querySelectorAll(".c-tab-panel"));
-    if (!tabs.length || !panels.length) return;
+  get intl() {
+    return LOCALES[this.locale].intl;
+  },
 
-    const activateTab = (tabEl) => {
-      const key = tabEl.getAttribute("data-tab-target");
-      if (!key) return;
+  formatNumber(value, options) {
+    const n = Number(value);
+    if (!isFinite(n)) return "";
+    try { return new Intl.NumberFormat(this.intl, options).format(n); } catch { return String(n); }
+  },
 
-      tabs.forEach((t) => t.classList.toggle("is-active", t === tabEl));
-      panels.forEach((p) => {
-        const show = p.getAttribute("data-tab-panel") === key;
-        p.classList.toggle("is-visible", show);
+  /** ISO "YYYY-MM-DD" (read as a local date) or anything Date can parse. */
+  formatDate(value, options = { year: "numeric", month: "long", day: "numeric" }) {
+    if (!value) return "";
+    const raw = String(value);
+    const date = value instanceof Date ? value : new Date(/^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T00:00:00` : raw);
+    if (isNaN(date)) return raw;
+    try { return new Intl.DateTimeFormat(this.intl, options).format(date); } catch { return raw; }
+  },
+
+  /** Translate opted-in static markup under root. */
+  apply(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+    root.querySelectorAll("[data-i18n-attr]").forEach((el) => {
+      el.dataset.i18nAttr.split(";").forEach((pair) => {
+        const [attr, key] = pair.split(":").map((s) => s.trim());
+        if (attr && key) el.setAttribute(attr, this.t(key));
       });
-    };
+    });
+  },
 
-    tabs.forEach((tab, idx) => {
-      tab.addEventListener("click", () => activateTab(tab));
-      tab.addEventListener("keydown", (e) => handleActivation(e, () => activateTab(tab)));
-      if (idx === 0) activateTab(tab);
+  set(locale, { persist = false } = {}) {
+    if (!LOCALES[locale]) return;
+    const changed = locale !== this.locale;
+    this.locale = locale;
+
+    const html = document.documentElement;
+    html.lang = locale;
+    html.dir = LOCALES[locale].dir;
+    syncBootstrapCss(LOCALES[locale].dir);
+    this.apply();
+
+    if (persist) safeStorageSet(LOCALE_STORAGE_KEY, locale === DEFAULT_LOCALE ? "" : locale);
+    if (changed) document.dispatchEvent(new CustomEvent("i18n:change", { detail: { locale } }));
+  },
+};
+
+// Bootstrap ships a mirrored build per direction; the pages link the RTL one
+const BOOTSTRAP_CSS = { rtl: "bootstrap.rtl.min.css", ltr: "bootstrap.min.css" };
+const BOOTSTRAP_CSS_RE = /bootstrap(?:\.rtl)?\.min\.css(?=[?#]|$)/;
+
+const syncBootstrapCss = (dir) => {
+  const links = Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
+    .filter((el) => BOOTSTRAP_CSS_RE.test(el.getAttribute("href") || ""));
+  const current = links[links.length - 1];
+  if (!current || !BOOTSTRAP_CSS[dir]) return;
+
+  const href = current.getAttribute("href").replace(BOOTSTRAP_CSS_RE, BOOTSTRAP_CSS[dir]);
+  if (href === current.getAttribute("href")) return;
+
+  // The old sheet stays until the new one is in, so the page never renders unstyled
+  const next = current.cloneNode();
+  next.setAttribute("href", href);
+  next.addEventListener("load", () => links.forEach((el) => el.remove()), { once: true });
+  next.addEventListener("error", () => next.remove(), { once: true });
+  current.after(next);
+};
+
+const bootLocale = () => {
+  const stored = safeStorageGet(LOCALE_STORAGE_KEY);
+  i18n.set(LOCALES[stored] ? stored : DEFAULT_LOCALE);
+};
+
+const initLanguageSwitcher = () => {
+  const toggles = document.querySelectorAll("[data-lang-toggle]");
+  if (!toggles.length) return;
+
+  // Each button offers the *other* locale
+  const sync = () => {
+    const next = i18n.locale === "ar" ? "en" : "ar";
+    toggles.forEach((btn) => {
+      btn.textContent = LOCALES[next].short;
+      btn.lang = next;
+      btn.title = LOCALES[next].name;
+      btn.setAttribute("aria-label", i18n.t("lang.switch"));
+      btn.dataset.langNext = next;
     });
+  };
+
+  toggles.forEach((btn) => {
+    btn.addEventListener("click", () => i18n.set(btn.dataset.langNext, { persist: true }));
   });
+
+  document.addEventListener("i18n:change", sync);
+  sync();
 };
 
 /* ============================================================
-   3) Optional OwlCarousel (Hero)
+   0.2) Archive Dates — Gregorian + Hijri, relative, approximate
 ============================================================ */
 
-const initHeroCarousel = () => {
-  const hasJQ = !!window.jQuery;
-  const hasOwl = hasJQ && !!window.jQuery.fn?.owlCarousel;
-  if (!hasOwl) return;
+/**
+ * One formatter for every date the archive prints (media modal, reels, news, hub).
+ * Accepted values:
+ * - "2014-06-12" (day), "2014-06" (month), "2014" (year), "1990s" (decade)
+ * - a "~", "c.", "ca.", "circa" or "حوالي" prefix marks the date as approximate
+ *
+ * Output is "Gregorian · Hijri" (or the reverse, per the reader's setting).
+ * Year and decade precision give a Hijri year range, since they never line up.
+ *
+ * Markup hook: <time datetime="…" data-archive-date> is rendered in place;
+ * data-archive-date="relative" shows "3 days ago" for recent dates (full date in title).
+ * Changing the order dispatches "dates:order-change" on document.
+ */
+const CALENDAR_ORDER_KEY = "saleh:calendar-order";
+const HIJRI_CALENDAR = "islamic-umalqura";
+const RELATIVE_DATE_LIMIT_DAYS = 30;
 
-  const $carousel = window.jQuery(".js-hero-carousel");
-  if (!$carousel.length) return;
+const APPROX_DATE_RE = /^\s*(?:~|c\.|ca\.|circa|حوالي|حوالى)\s*/i;
 
-  $carousel.owlCarousel({
-    loop: true,
-    margin: 24,
-    nav: false,
-    dots: true,
-    autoplay: true,
-    autoplayTimeout: 7000,
-    responsive: {
-      0: { items: 1 },
-      768: { items: 2 },
-    },
-  });
+/** Parse into { date, end, precision, approx } — end closes year/decade ranges. */
+const parseArchiveDate = (value) => {
+  if (value instanceof Date) return isNaN(value) ? null : { date: value, end: value, precision: "day", approx: false };
+
+  let raw = String(value ?? "").trim();
+  if (!raw) return null;
+
+  const approx = APPROX_DATE_RE.test(raw);
+  raw = raw.replace(APPROX_DATE_RE, "");
+
+  let m = raw.match(/^(\d{3})0s$/);
+  if (m) {
+    const from = Number(m[1]) * 10;
+    return { date: new Date(from, 0, 1), end: new Date(from + 9, 11, 31), precision: "decade", approx };
+  }
+
+  m = raw.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+  if (m) {
+    const [, y, mo, d] = m.map(Number);
+    if (d) return { date: new Date(y, mo - 1, d), end: new Date(y, mo - 1, d), precision: "day", approx };
+    if (mo) return { date: new Date(y, mo - 1, 1), end: new Date(y, mo, 0), precision: "month", approx };
+    return { date: new Date(y, 0, 1), end: new Date(y, 11, 31), precision: "year", approx };
+  }
+
+  const date = new Date(raw);
+  return isNaN(date) ? null : { date, end: date, precision: "day", approx };
 };
 
-/* ============================================================
-   4) Bootstrap Modal Helper
-============================================================ */
+const DATE_PRECISION_OPTIONS = {
+  day: { year: "numeric", month: "long", day: "numeric" },
+  month: { year: "numeric", month: "long" },
+  year: { year: "numeric" },
+};
 
-const modalHelper = {
-  open(id) {
-    const modalEl = document.getElementById(id);
-    if (!modalEl || !window.bootstrap?.Modal) return;
-    const modal = new window.bootstrap.Modal(modalEl);
-    modal.show();
+const archiveDates = {
+  get order() {
+    return safeStorageGet(CALENDAR_ORDER_KEY) === "hijri" ? "hijri" : "gregory";
   },
-};
 
-/* ============================================================
-   5) Media Detail Modal (delegated + backend-ready)
-============================================================ */
+  setOrder(order) {
+    safeStorageSet(CALENDAR_ORDER_KEY, order === "hijri" ? "hijri" : "");
+    document.dispatchEvent(new CustomEvent("dates:order-change", { detail: { order: this.order } }));
+  },
 
-const initMediaModals = () => {
-  const modalEl = document.getElementById("mediaDetailModal");
-  if (!modalEl || !window.bootstrap?.Modal) return;
+  gregorian({ date, precision }) {
+    if (precision === "decade") return i18n.t("date.decade", { decade: date.getFullYear() });
+    return i18n.formatDate(date, DATE_PRECISION_OPTIONS[precision]);
+  },
 
-  const $ = (sel) => modalEl.querySelector(sel);
+  hijri({ date, end, precision }) {
+    try {
+      if (precision === "day" || precision === "month") {
+        return new Intl.DateTimeFormat(i18n.intl, { ...DATE_PRECISION_OPTIONS[precision], calendar: HIJRI_CALENDAR }).format(date);
+      }
+      const fmt = new Intl.DateTimeFormat(i18n.intl, { year: "numeric", calendar: HIJRI_CALENDAR });
+      return typeof fmt.formatRange === "function" ? fmt.formatRange(date, end) : fmt.format(date);
+    } catch {
+      return "";
+    }
+  },
 
-  const ui = {
-    badge: $("[data-modal-badge-target]"),
-    title: $("[data-modal-title-target]"),
-    desc: $("[data-modal-description-target]"),
-    time: $("[data-modal-timestamp-target]"),
-    source: $("[data-modal-source-target]"),
-    kindChip: $("[data-modal-kind-target]"),
-    durationChip: $("[data-modal-duration-target]"),
-    locationChip: $("[data-modal-location-target]"),
-    kind2: $("[data-modal-kind2-target]"),
-    date: $("[data-modal-date-target]"),
-    source2: $("[data-modal-source2-target]"),
-    tag: $("[data-modal-tag-target]"),
-    img: $("[data-modal-image-target]"),
-    videoMount: $("[data-modal-video-mount]"),
-    fallbackFigure: modalEl.querySelector(".c-modal__fallback"),
-  };
+  /** "3 days ago" within RELATIVE_DATE_LIMIT_DAYS of now, else "". */
+  relative({ date, precision }) {
+    if (precision !== "day" || typeof Intl.RelativeTimeFormat !== "function") return "";
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const days = Math.round((date - today) / 86400000);
+    if (Math.abs(days) > RELATIVE_DATE_LIMIT_DAYS) return "";
 
-  const defaults = {
-    title: "أرشيف الوسائط",
-    description: "مادة مختارة ضمن توثيق بصري وسمعي.",
-    badge: "",
-    timestamp: "",
-    source: "",
-    image: "assets/img/articles/thumb1.png",
-    kind: "وسائط",
-    kindLabel: "—",
-    dateText: "—",
-    tag: "—",
-  };
+    const rtf = new Intl.RelativeTimeFormat(i18n.intl, { numeric: "auto" });
+    return Math.abs(days) >= 7 ? rtf.format(Math.trunc(days / 7), "week") : rtf.format(days, "day");
+  },
 
-  const bsModal = window.bootstrap.Modal.getOrCreateInstance(modalEl);
+  /** Full dual-calendar text, "" when the value can't be read. */
+  format(value) {
+    const parsed = parseArchiveDate(value);
+    if (!parsed) return "";
 
-  const safeText = (el, value, fallback = "") => {
-    if (!el) return;
-    el.textContent = value ?? fallback;
-  };
+    const parts = [this.gregorian(parsed), this.hijri(parsed)].filter(Boolean);
+    if (this.order === "hijri") parts.reverse();
 
-  const setHidden = (el, hidden) => {
+    const text = parts.join(" · ");
+    return parsed.approx ? i18n.t("date.circa", { date: text }) : text;
+  },
+
+  /** Render into an element; relative mode keeps the full date in the title. */
+  render(el, value, { relative = false } = {}) {
     if (!el) return;
-    el.hidden = !!hidden;
-  };
+    const full = this.format(value);
+    if (!full) return;
 
-  const clearMount = () => {
-    if (ui.videoMount) ui.videoMount.innerHTML = "";
-  };
+    const rel = relative ? this.relative(parseArchiveDate(value)) : "";
+    el.textContent = rel || full;
+    if (rel) el.title = full;
+    else el.removeAttribute("title");
+  },
+};
 
-  const showFallbackImage = (show) => {
-    if (!ui.fallbackFigure) return;
-    ui.fallbackFigure.style.display = show ? "" : "none";
+const initArchiveDates = () => {
+  const renderAll = (root = document) => {
+    root.querySelectorAll("time[data-archive-date]").forEach((el) => {
+      archiveDates.render(el, el.getAttribute("datetime"), { relative: el.dataset.archiveDate === "relative" });
+    });
   };
 
-  const resolveKind = (d) => {
-    const t = (d.mediaType || d.modalBadge || "").toLowerCase();
-    if (t.includes("reel") || t.includes("ريل")) return { key: "reel", label: "ريل" };
-    if (t.includes("video") || t.includes("فيديو")) return { key: "video", label: "فيديو" };
-    if (t.includes("audio") || t.includes("صوت")) return { key: "audio", label: "صوت" };
-    if (t.includes("photo") || t.includes("صورة")) return { key: "photo", label: "صورة" };
-    return { key: "media", label: "وسائط" };
+  const toggles = document.querySelectorAll("[data-calendar-toggle]");
+  const syncToggles = () => {
+    const hijriFirst = archiveDates.order === "hijri";
+    toggles.forEach((btn) => {
+      btn.setAttribute("aria-pressed", String(hijriFirst));
+      btn.textContent = i18n.t("date.order", { first: i18n.t(hijriFirst ? "date.hijri" : "date.gregory") });
+    });
   };
 
-  const renderMedia = (d) => {
-    clearMount();
+  toggles.forEach((btn) => {
+    btn.addEventListener("click", () => archiveDates.setOrder(archiveDates.order === "hijri" ? "gregory" : "hijri"));
+  });
 
-    const poster = d.modalImage || defaults.image;
-    const videoUrl = d.modalVideo || "";
-    const kind = resolveKind(d).key;
+  document.addEventListener("archive:items-rendered", (e) => renderAll(e.target));
+  ["i18n:change", "dates:order-change"].forEach((type) => {
+    document.addEventListener(type, () => {
+      renderAll();
+      syncToggles();
+    });
+  });
 
-    if (ui.img) {
-      ui.img.src = poster;
-      ui.img.alt = d.modalTitle || defaults.title;
-    }
+  renderAll();
+  syncToggles();
+};
 
-    if (!videoUrl || kind === "photo" || kind === "audio") {
-      showFallbackImage(true);
-      modalEl.classList.remove("has-video");
-      return;
-    }
+/* ============================================================
+   0.3) Transcripts — WebVTT cues for captions, audio and search
+============================================================ */
 
-    if (!ui.videoMount) return;
+/**
+ * [data-audio-item], [data-media-card] and [data-reel-card] may point at a
+ * WebVTT file: data-transcript="assets/transcripts/x.vtt" (+ optional
+ * data-transcript-lang, default "ar"). The same file feeds:
+ * - a <track kind="captions"> in the modal and reels video players
+ * - the clickable, synced transcript panel of the audio player
+ * - the archive search index (cue text counts as body text)
+ * Only point at reviewed, approved transcripts: they are shown and indexed as-is.
+ */
+const TRANSCRIPT_DEFAULT_LANG = "ar";
+
+const VTT_TIMING_RE = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{3})/;
+const VTT_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", lrm: "", rlm: "" };
+
+const parseVttTime = (value) =>
+  value.replace(",", ".").split(":").reduce((total, part) => total * 60 + Number(part), 0);
+
+// Cue payload -> plain text (voice/class/karaoke tags dropped, entities decoded)
+const cleanCueText = (lines) => lines.join(" ")
+  .replace(/<[^>]*>/g, "")
+  .replace(/&(\w+);/g, (m, name) => VTT_ENTITIES[name] ?? m)
+  .replace(/\s+/g, " ")
+  .trim();
+
+/** WebVTT source -> [{ start, end, text }] sorted by start; [] when not a WebVTT file. */
+const parseVtt = (source) => {
+  const blocks = String(source || "").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split(/\n{2,}/);
+  if (!/^WEBVTT(?:\s|$)/.test(blocks[0] || "")) return [];
+
+  const cues = [];
+  blocks.slice(1).forEach((block) => {
+    const lines = block.split("\n");
+    const at = lines.findIndex((line) => VTT_TIMING_RE.test(line));
+    if (at === -1) return; // NOTE / STYLE / REGION blocks
+
+    const [, from, to] = lines[at].match(VTT_TIMING_RE);
+    const text = cleanCueText(lines.slice(at + 1));
+    if (text) cues.push({ start: parseVttTime(from), end: parseVttTime(to), text });
+  });
 
-    const isMp4 = /\.mp4(\?|$)/i.test(videoUrl);
-    const isEmbed = /youtube\.com\/embed|player\.vimeo\.com|https?:\/\//i.test(videoUrl) && !isMp4;
+  return cues.sort((a, b) => a.start - b.start);
+};
 
-    modalEl.classList.add("has-video");
+const formatCueTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+};
 
-    if (isEmbed) {
-      const iframe = document.createElement("iframe");
-      iframe.src = videoUrl;
-      iframe.title = "Video player";
-      iframe.className = "c-modal__video-frame";
-      iframe.setAttribute("allow", "autoplay; encrypted-media; picture-in-picture");
-      iframe.setAttribute("allowfullscreen", "true");
-      ui.videoMount.appendChild(iframe);
-      showFallbackImage(false);
-      return;
+const transcripts = {
+  cache: new Map(), // absolute URL -> Promise<cues>
+
+  load(url) {
+    if (!url) return Promise.resolve([]);
+
+    const key = new URL(url, document.baseURI).href;
+    if (!this.cache.has(key)) {
+      this.cache.set(key, fetch(key, { credentials: "same-origin" })
+        .then((res) => (res.ok ? res.text() : ""))
+        .then(parseVtt)
+        .catch(() => []));
     }
+    return this.cache.get(key);
+  },
 
-    const video = document.createElement("video");
-    video.className = "c-modal__video-player";
-    video.controls = true;
-    video.preload = "metadata";
-    video.playsInline = true;
-    video.poster = poster;
+  toText(cues) {
+    return cues.map((cue) => cue.text).join(" ");
+  },
 
-    const source = document.createElement("source");
-    source.src = videoUrl;
-    source.type = "video/mp4";
+  /** Cue under the playhead, -1 in the gaps between cues. */
+  indexAt(cues, time) {
+    return cues.findIndex((cue) => time >= cue.start && time < cue.end);
+  },
 
-    video.appendChild(source);
-    ui.videoMount.appendChild(video);
+  languageName(lang) {
+    try { return new Intl.DisplayNames([i18n.intl], { type: "language" }).of(lang) || lang; } catch { return lang; }
+  },
 
-    // Force load after mount
-    try { video.load(); } catch { }
+  /** Captions track for a <video>; shown by default since the speeches are the content. */
+  addTrack(video, url, lang = TRANSCRIPT_DEFAULT_LANG) {
+    if (!video || !url) return null;
+
+    const track = document.createElement("track");
+    track.kind = "captions";
+    track.src = url;
+    track.srclang = lang || TRANSCRIPT_DEFAULT_LANG;
+    track.label = this.languageName(track.srclang);
+    track.default = true;
+    video.appendChild(track);
+    return track;
+  },
+};
 
-    showFallbackImage(false);
+/**
+ * Interactive transcript bound to a media element. The cue under the playhead is
+ * highlighted (and scrolled into view while "follow" is on); a click seeks to it.
+ *
+ * Markup: a container (hidden until cues load) holding [data-transcript-list],
+ * plus optional [data-transcript-status] and a [data-transcript-follow] toggle.
+ */
+const createTranscriptPanel = (root, media) => {
+  const list = root?.querySelector("[data-transcript-list]");
+  if (!list || !media) return null;
+
+  const status = root.querySelector("[data-transcript-status]");
+  const followBtn = root.querySelector("[data-transcript-follow]");
+
+  let url = "";
+  let cues = [];
+  let activeIndex = -1;
+  let follow = true;
+  let token = 0;
+
+  const setStatus = (text) => {
+    if (!status) return;
+    status.textContent = text;
+    status.hidden = !text;
+  };
 
-    // IMPORTANT: some browsers need a layout tick after modal shown
-    modalEl.addEventListener(
-      "shown.bs.modal",
-      () => {
-        try { video.load(); } catch { }
-      },
-      { once: true }
-    );
+  const keepInView = (btn) => {
+    if (!follow || !btn) return;
+    // Scroll the list only (scrollIntoView would also move the page under the reader)
+    const top = Math.max(0, btn.offsetTop - (list.clientHeight - btn.offsetHeight) / 2);
+    const reduced = window.matchMedia?.("(prefers-reduced-motion: reduce)")?.matches ?? false;
+    if (typeof list.scrollTo === "function") list.scrollTo({ top, behavior: reduced ? "auto" : "smooth" });
+    else list.scrollTop = top;
   };
 
-  const updateModal = (d) => {
-    const kind = resolveKind(d);
+  const setActive = (index) => {
+    if (index === activeIndex) return;
 
-    safeText(ui.title, d.modalTitle, defaults.title);
-    safeText(ui.desc, d.modalDescription, defaults.description);
-    safeText(ui.badge, d.modalBadge || kind.label, defaults.badge);
-    safeText(ui.time, d.modalTimestamp, defaults.timestamp);
-    safeText(ui.source, d.modalSource, defaults.source);
-
-    safeText(ui.kindChip, kind.label, defaults.kind);
-
-    const duration = d.mediaDuration || d.modalDuration || "";
-    const location = d.mediaLocation || d.modalLocation || "";
+    const buttons = list.querySelectorAll("[data-cue-index]");
+    buttons[activeIndex]?.classList.remove("is-active");
+    buttons[activeIndex]?.removeAttribute("aria-current");
 
-    if (ui.durationChip) {
-      safeText(ui.durationChip, `المدة: ${duration}`, "المدة: —");
-      setHidden(ui.durationChip, !duration);
-    }
-    if (ui.locationChip) {
-      safeText(ui.locationChip, `المكان: ${location}`, "المكان: —");
-      setHidden(ui.locationChip, !location);
-    }
+    activeIndex = index;
+    const btn = buttons[index];
+    if (!btn) return;
 
-    safeText(ui.kind2, kind.label, defaults.kindLabel);
-    const isoDate = d.mediaDate || d.modalDate || "";
-    safeText(ui.date, isoDate || d.modalTimestamp || defaults.dateText, defaults.dateText);
-    safeText(ui.source2, d.modalSource || defaults.source, defaults.source);
-    safeText(ui.tag, d.mediaTag || d.modalTag || defaults.tag, defaults.tag);
+    btn.classList.add("is-active");
+    btn.setAttribute("aria-current", "true");
+    keepInView(btn);
+  };
 
-    renderMedia(d);
-    bsModal.show();
+  const sync = () => {
+    if (cues.length) setActive(transcripts.indexAt(cues, media.currentTime));
   };
 
-  modalEl.addEventListener("hidden.bs.modal", () => {
-    clearMount();
-    showFallbackImage(true);
-  });
+  const render = () => {
+    list.innerHTML = cues.map((cue, i) => `
+      <li>
+        <button class="c-transcript__cue" type="button" data-cue-index="${i}"
+          aria-label="${escapeHTML(`${i18n.t("transcript.seek", { time: formatCueTime(cue.start) })}: ${cue.text}`)}">
+          <span class="c-transcript__time" aria-hidden="true">${formatCueTime(cue.start)}</span>
+          <span class="c-transcript__text">${escapeHTML(cue.text)}</span>
+        </button>
+      </li>
+    `).join("");
+    activeIndex = -1;
+    sync();
+  };
 
-  const isActivationKey = (e) => e.key === "Enter" || e.key === " ";
+  const load = async (nextUrl = "") => {
+    if (nextUrl === url) return;
 
-  const handleTrigger = (trigger, event) => {
-    if (event.type === "keydown" && !isActivationKey(event)) return;
-    if (event.type === "keydown") event.preventDefault();
-    updateModal(trigger.dataset);
-  };
+    const current = ++token;
+    url = nextUrl;
+    cues = [];
+    list.innerHTML = "";
+    activeIndex = -1;
 
-  document.addEventListener("click", (e) => {
-    const trigger = e.target.closest("[data-media-card]");
-    if (!trigger) return;
-    handleTrigger(trigger, e);
-  });
+    root.hidden = !url;
+    if (!url) return;
 
-  document.addEventListener("keydown", (e) => {
-    const trigger = e.target.closest("[data-media-card][role='button']");
-    if (!trigger) return;
-    handleTrigger(trigger, e);
-  });
-};
+    setStatus(i18n.t("transcript.loading"));
+    const loaded = await transcripts.load(url);
+    if (current !== token) return; // another clip was picked meanwhile
 
-/* ============================================================
-   6) Collection Navigation (delegated)
-============================================================ */
+    cues = loaded;
+    setStatus("");
+    root.hidden = !cues.length;
+    render();
+  };
 
-const initCollectionNavigation = () => {
-  const container = document.querySelector(".c-collection-grid");
-  if (!container) return;
+  const syncFollow = () => {
+    followBtn?.setAttribute("aria-pressed", String(follow));
+    followBtn?.classList.toggle("is-active", follow);
+  };
 
-  const navigate = (url) => { if (url) window.location.href = url; };
+  list.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-cue-index]");
+    const cue = cues[Number(btn?.dataset.cueIndex)];
+    if (!cue) return;
 
-  container.addEventListener("click", (event) => {
-    const card = event.target.closest("[data-collection-link]");
-    if (!card) return;
-    event.preventDefault();
-    navigate(card.dataset.collectionLink);
+    try { media.currentTime = cue.start; } catch { }
+    if (media.paused) {
+      const p = media.play();
+      if (p?.catch) p.catch(() => { });
+    }
   });
 
-  container.addEventListener("keydown", (event) => {
-    if (!ACTIVATION_KEYS.includes(event.key)) return;
-    const card = event.target.closest("[data-collection-link]");
-    if (!card) return;
-    event.preventDefault();
-    navigate(card.dataset.collectionLink);
+  followBtn?.addEventListener("click", () => {
+    follow = !follow;
+    syncFollow();
+    if (follow) keepInView(list.querySelector(".c-transcript__cue.is-active"));
   });
-};
-
-/* ============================================================
-   7) Header Scroll State
-============================================================ */
 
-const initHeaderScrollState = () => {
-  const header = document.querySelector(".c-header");
-  if (!header) return;
+  ["timeupdate", "seeked"].forEach((type) => media.addEventListener(type, sync));
+  document.addEventListener("i18n:change", () => { if (cues.length) render(); });
 
-  const update = () => header.classList.toggle("c-header--scrolled", window.scrollY > 10);
+  syncFollow();
 
-  window.addEventListener("scroll", update, { passive: true });
-  update();
+  return { load, sync };
 };
 
 /* ============================================================
-   8) Theme Toggle (Fixed: System Dark won't override Light)
+   0.4) Video Sources — renditions, HLS, quality selection
 ============================================================ */
 
-const THEME_STORAGE_KEY = "salehThemePreference";
-const themePrefersDark = window.matchMedia?.("(prefers-color-scheme: dark)");
-
 /**
- * Update toggle visuals (icon + aria)
- * @param {boolean} isDark
+ * Cards may list several renditions instead of (or on top of) one URL:
+ *   data-sources='[{"src":"x/master.m3u8"},
+ *                  {"src":"x-720.webm","label":"720p"},
+ *                  {"src":"x-720.mp4","label":"720p"},
+ *                  {"src":"x-480.mp4","height":480}]'
+ * Entries may also be plain URL strings; `type` defaults from the extension.
+ * Without data-sources the card's single URL (data-modal-video /
+ * data-reel-video) is used, so existing markup keeps working.
+ *
+ * Playback order:
+ * 1) an HLS manifest, natively (Safari, iOS, most Android browsers)
+ * 2) the same manifest through hls.js, loaded on demand from HLS_LIBRARY_URL
+ *    (hls.js 1.7.3 dist/hls.min.js, committed unmodified; no CDN)
+ * 3) the file renditions as <source> elements (the browser takes the first
+ *    type it can play)
+ * If none of these is available (or the stream breaks with no file to fall
+ * back to) the player shows "video.unavailable" instead of failing silently.
+ *
+ * Quality: HLS levels (plus "auto") or the distinct labels of the playable
+ * file renditions. The reader's last pick is kept in VIDEO_QUALITY_KEY and
+ * reused wherever a matching label exists.
+ *
+ * Try it locally: `node tools/dev-server.js`, then open
+ * /tools/fixtures/video-sources.html. Its manifests are not committed:
+ * build them first with `node tools/make-hls-fixture.js` (needs ffmpeg),
+ * which writes tools/fixtures/hls.
  */
-const updateThemeToggleVisual = (isDark) => {
-  const toggle = document.querySelector("[data-theme-toggle]");
-  if (!toggle) return;
 
-  toggle.setAttribute("aria-pressed", String(isDark));
-  toggle.setAttribute("title", isDark ? "Switch to light mode" : "Switch to dark mode");
+const HLS_MIME = "application/vnd.apple.mpegurl";
+const HLS_LIBRARY_URL = "assets/js/vendor/hls.min.js";
+const VIDEO_QUALITY_KEY = "saleh:video-quality";
+const VIDEO_QUALITY_AUTO = "auto";
+
+const VIDEO_FILE_TYPES = {
+  mp4: "video/mp4",
+  m4v: "video/mp4",
+  webm: "video/webm",
+  ogv: "video/ogg",
+  m3u8: HLS_MIME,
+};
+const VIDEO_FILE_RE = /\.(mp4|m4v|webm|ogv|m3u8)(?:[?#]|$)/i;
 
-  const icon = toggle.querySelector("[data-theme-icon]");
-  if (!icon) return;
+const isHlsSource = (source) => /mpegurl/i.test(source?.type || "");
 
-  icon.classList.toggle("fa-sun", isDark);
-  icon.classList.toggle("fa-moon", !isDark);
+const videoSources = {
+  hlsLoading: null,
+
+  /**
+   * @param {string} value  data-sources JSON (array, single object or URL string)
+   * @param {string} [fallback] single URL used when value is empty/invalid
+   * @returns {{ src: string, type: string, label: string, height: number }[]}
+   */
+  parse(value, fallback = "") {
+    let list = [];
+    if (value) {
+      try {
+        const parsed = JSON.parse(value);
+        list = Array.isArray(parsed) ? parsed : [parsed];
+      } catch {
+        list = [];
+      }
+    }
+    if (!list.length && fallback) list = [fallback];
+
+    return list
+      .map((item) => (typeof item === "string" ? { src: item } : item))
+      .filter((item) => item && typeof item.src === "string" && item.src.trim())
+      .map((item) => {
+        const ext = VIDEO_FILE_RE.exec(item.src)?.[1]?.toLowerCase() || "";
+        const height = Number(item.height) || 0;
+        return {
+          src: item.src.trim(),
+          type: item.type || VIDEO_FILE_TYPES[ext] || "video/mp4",
+          label: String(item.label || (height ? `${height}p` : "")),
+          height,
+        };
+      });
+  },
+
+  // The first rendition that can be saved as one file (HLS is a playlist of segments)
+  fileUrl(sources) {
+    return sources.find((s) => !isHlsSource(s))?.src || "";
+  },
+
+  get preferredQuality() {
+    return safeStorageGet(VIDEO_QUALITY_KEY) || "";
+  },
+
+  set preferredQuality(label) {
+    safeStorageSet(VIDEO_QUALITY_KEY, label);
+  },
+
+  loadHls() {
+    if (window.Hls) return Promise.resolve(window.Hls);
+    if (!this.hlsLoading) {
+      this.hlsLoading = new Promise((resolve) => {
+        const script = document.createElement("script");
+        script.src = HLS_LIBRARY_URL;
+        script.async = true;
+        script.onload = () => resolve(window.Hls || null);
+        script.onerror = () => {
+          this.hlsLoading = null; // allow a retry on the next video
+          resolve(null);
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return this.hlsLoading;
+  },
 };
 
 /**
- * Apply theme:
- * - "dark"  => html[data-theme="dark"]
- * - "light" => html[data-theme="light"]  (IMPORTANT: explicit!)
- * - "system" => remove attribute (follow OS)
+ * Attach sources to a <video>. Tracks (captions) already on the element are left alone.
+ * lazy: defer hls.js (which starts fetching the manifest) until start() or the first play.
+ * @returns {{ ready: Promise<void>, start: () => Promise<void>, qualities: () => {value: string, label: string}[],
+ *   quality: string, setQuality: (value: string) => void, onChange: (cb: Function) => void, destroy: () => void }}
  */
-const applyColorTheme = (variant, { persist = false } = {}) => {
-  const root = document.documentElement;
-  const body = document.body;
-  if (!root || !body) return;
+const createVideoSourceController = (video, sources, { lazy = false } = {}) => {
+  const stream = sources.find(isHlsSource);
+  const files = sources.filter((s) => !isHlsSource(s) && video.canPlayType(s.type) !== "");
+
+  let hls = null;
+  let levels = []; // hls.js: [{ value: "<index>", label }]
+  let quality = "";
+  let attached = null; // Promise once sources are in place
+  let failed = false; // nothing this browser can play
+  let destroyed = false;
+  const listeners = new Set();
+
+  const emit = () => listeners.forEach((cb) => cb());
+
+  const fileLabels = () => Array.from(new Set(files.map((s) => s.label).filter(Boolean)));
+
+  // Keep position + play state when the source changes under the reader
+  const reloadKeepingPosition = () => {
+    const t = video.currentTime;
+    const wasPlaying = !video.paused && !video.ended;
+    try { video.load(); } catch { }
+    if (!t && !wasPlaying) return;
+    video.addEventListener("loadedmetadata", () => {
+      try { video.currentTime = t; } catch { }
+      if (wasPlaying) video.play()?.catch?.(() => { });
+    }, { once: true });
+  };
 
-  let effective = variant;
+  const useFiles = (label = "", { reload = false } = {}) => {
+    video.querySelectorAll("source").forEach((el) => el.remove());
+    const ordered = label
+      ? [...files.filter((s) => s.label === label), ...files.filter((s) => s.label !== label)]
+      : files;
+
+    const firstTrack = video.querySelector("track");
+    ordered.forEach((s) => {
+      const el = document.createElement("source");
+      el.src = s.src;
+      el.type = s.type;
+      video.insertBefore(el, firstTrack);
+    });
 
-  if (variant === "system") {
-    const systemIsDark = !!themePrefersDark?.matches;
-    effective = systemIsDark ? "dark" : "light";
-    root.removeAttribute("data-theme"); // allow CSS prefers-color-scheme if you use it
-  } else {
-    // IMPORTANT FIX:
-    // Set explicit "light" when light, do NOT remove attribute.
-    root.setAttribute("data-theme", variant);
-  }
+    quality = label || files[0]?.label || "";
+    if (reload) reloadKeepingPosition();
+  };
 
-  const isDark = effective === "dark";
-  body.classList.toggle("is-dark", isDark);
+  const initialFileLabel = () => {
+    const preferred = videoSources.preferredQuality;
+    return fileLabels().includes(preferred) ? preferred : "";
+  };
 
-  updateThemeToggleVisual(isDark);
+  const useHlsLibrary = (Hls) => {
+    hls = new Hls({ capLevelToPlayerSize: true });
+    hls.loadSource(stream.src);
+    hls.attachMedia(video);
+
+    hls.on(Hls.Events.MANIFEST_PARSED, () => {
+      levels = hls.levels.map((level, i) => ({
+        value: String(i),
+        label: level.height ? `${level.height}p` : `${Math.round((level.bitrate || 0) / 1000)} kbps`,
+      }));
+
+      const preferred = levels.find((l) => l.label === videoSources.preferredQuality);
+      quality = preferred ? preferred.value : VIDEO_QUALITY_AUTO;
+      if (preferred) hls.currentLevel = Number(preferred.value);
+      emit();
+    });
 
-  if (persist) {
-    // store only "dark" | "light" | "system"
-    safeStorageSet(THEME_STORAGE_KEY, variant);
-  }
-};
+    hls.on(Hls.Events.ERROR, (_, data) => {
+      if (!data?.fatal) return;
+      // A broken stream should not leave the reader with nothing: fall back to the files
+      try { hls.destroy(); } catch { }
+      hls = null;
+      levels = [];
+      if (files.length) useFiles(initialFileLabel(), { reload: true });
+      else failed = true;
+      emit();
+    });
+  };
 
-/**
- * OS theme changes should only affect UI when user didn't pick manual theme,
- * or explicitly set "system".
- */
-const handleSystemThemeChange = () => {
-  const stored = safeStorageGet(THEME_STORAGE_KEY);
-  if (stored && stored !== "system") return; // user forced light/dark
-  applyColorTheme("system");
-};
+  const attach = () => {
+    if (attached) return attached;
 
-const initThemeToggle = () => {
-  const toggle = document.querySelector("[data-theme-toggle]");
-  if (!toggle) return;
+    attached = (async () => {
+      if (stream && video.canPlayType(HLS_MIME)) {
+        video.src = stream.src; // native HLS: the browser adapts on its own
+        quality = VIDEO_QUALITY_AUTO;
+        return;
+      }
 
-  toggle.addEventListener("click", () => {
-    const stored = safeStorageGet(THEME_STORAGE_KEY);
+      if (stream && window.MediaSource) {
+        const Hls = await videoSources.loadHls();
+        if (destroyed) return;
+        if (Hls?.isSupported?.()) {
+          useHlsLibrary(Hls);
+          return;
+        }
+      }
 
-    // If user never chose => start from system then toggle to opposite
-    // But simplest UX: toggle between light/dark only.
-    // Determine current effective theme:
-    const isCurrentlyDark =
-      document.documentElement.getAttribute("data-theme") === "dark" ||
-      (document.documentElement.hasAttribute("data-theme") === false && !!themePrefersDark?.matches);
+      if (!files.length) {
+        failed = true; // no native HLS, no hls.js and no rendition of a playable type
+        return;
+      }
 
-    const next = isCurrentlyDark ? "light" : "dark";
-    applyColorTheme(next, { persist: true });
-  });
+      useFiles(initialFileLabel());
+      try { video.load(); } catch { }
+    })().then(emit);
+
+    return attached;
+  };
+
+  // Lazy + hls.js: the first play (controls, resume prompt, poster button) triggers the attach
+  const onEarlyPlay = () => {
+    if (attached) return;
+    attach().then(() => { if (!destroyed) video.play()?.catch?.(() => { }); });
+  };
+
+  const needsLibrary = !!stream && !video.canPlayType(HLS_MIME) && !!window.MediaSource;
+  if (lazy && needsLibrary) video.addEventListener("play", onEarlyPlay, { once: true });
+  else attach();
+
+  return {
+    get ready() {
+      return attached || Promise.resolve();
+    },
+
+    start() {
+      return attach();
+    },
+
+    qualities() {
+      if (!attached) return [];
+      if (hls) return levels.length > 1 ? [{ value: VIDEO_QUALITY_AUTO, label: i18n.t("video.auto") }, ...levels] : [];
+      if (quality === VIDEO_QUALITY_AUTO) return [];
+      return fileLabels().map((label) => ({ value: label, label }));
+    },
+
+    get quality() {
+      return quality;
+    },
+
+    get failed() {
+      return failed;
+    },
+
+    setQuality(value) {
+      if (value === quality) return;
+
+      if (hls) {
+        const level = levels.find((l) => l.value === value);
+        hls.currentLevel = level ? Number(level.value) : -1;
+        quality = level ? level.value : VIDEO_QUALITY_AUTO;
+        videoSources.preferredQuality = level ? level.label : VIDEO_QUALITY_AUTO;
+      } else if (fileLabels().includes(value)) {
+        useFiles(value, { reload: true });
+        videoSources.preferredQuality = value;
+      }
+      emit();
+    },
+
+    onChange(cb) {
+      listeners.add(cb);
+    },
+
+    destroy() {
+      destroyed = true;
+      listeners.clear();
+      video.removeEventListener("play", onEarlyPlay);
+      try { hls?.destroy(); } catch { }
+      hls = null;
+      video.querySelectorAll("source").forEach((el) => el.remove());
+      video.removeAttribute("src");
+    },
+  };
 };
 
-const bootTheme = () => {
-  const stored = safeStorageGet(THEME_STORAGE_KEY); // "dark" | "light" | "system" | null
-  const initial = stored || "system";
+// Compact <select>; hidden while there is nothing to choose
+const createQualityControl = (controller, { className = "" } = {}) => {
+  const wrap = document.createElement("label");
+  wrap.className = `c-quality ${className}`.trim();
+  wrap.innerHTML = `
+    <i class="fa-solid fa-sliders" aria-hidden="true"></i>
+    <span class="visually-hidden">${escapeHTML(i18n.t("video.quality"))}</span>
+    <select class="c-quality__select"></select>
+  `;
+  const select = wrap.querySelector("select");
+
+  const render = () => {
+    const options = controller.qualities();
+    wrap.hidden = options.length < 2;
+    select.innerHTML = options
+      .map((o) => `<option value="${escapeHTML(o.value)}">${escapeHTML(o.label)}</option>`)
+      .join("");
+    select.value = controller.quality;
+  };
 
-  applyColorTheme(initial);
+  select.addEventListener("change", () => controller.setQuality(select.value));
+  controller.onChange(render);
+  render();
 
-  if (themePrefersDark?.addEventListener) {
-    themePrefersDark.addEventListener("change", handleSystemThemeChange);
-  } else if (themePrefersDark?.addListener) {
-    themePrefersDark.addListener(handleSystemThemeChange);
-  }
+  return wrap;
 };
 
-/* ============================================================
-   9) Milestone Cards
-============================================================ */
+// Visible notice for a video with nothing playable; hidden otherwise
+const createVideoErrorNotice = (controller, { className = "" } = {}) => {
+  const notice = document.createElement("p");
+  notice.className = `c-video-error ${className}`.trim();
+  notice.setAttribute("role", "alert");
+  notice.innerHTML = `
+    <i class="fa-solid fa-triangle-exclamation" aria-hidden="true"></i>
+    <span>${escapeHTML(i18n.t("video.unavailable"))}</span>
+  `;
+
+  const render = () => {
+    notice.hidden = !controller.failed;
+  };
 
-const initMilestoneCards = () => {
-  document.querySelectorAll(".c-milestone").forEach((card) => {
-    const trigger = card.querySelector("[data-media-card]");
-    if (!trigger) return;
+  controller.onChange(render);
+  render();
 
-    card.addEventListener("click", (e) => {
-      const isInteractive = e.target.closest("button, a, [data-media-card]");
-      if (isInteractive) return;
-      trigger.click();
-    });
-  });
+  return notice;
 };
 
 /* ============================================================
-   10) Persona Flip + Media Tabs
+   1) Navigation Active Link
 ============================================================ */
 
-const initPersonaFlip = () => {
-  document.querySelectorAll("[data-persona-flip]").forEach((card) => {
-    const pauseMedia = () => {
-      card.querySelectorAll("video, audio").forEach((m) => {
-        try { m.pause(); } catch { }
-      });
-    };
-
-    const toFront = () => { card.classList.remove("is-flipped"); pauseMedia(); };
-    const toBack = () => { card.classList.add("is-flipped"); };
+const setActiveNavLink = () => {
+  const currentFile = window.location.pathname.split("/").pop() || "index.html";
 
-    card.querySelectorAll("[data-flip-to]").forEach((btn) => {
-      btn.addEventListener("click", (e) => {
-        e.preventDefault();
-        const target = btn.getAttribute("data-flip-to");
-        if (target === "back") toBack();
-        else toFront();
-      });
-    });
+  document.querySelectorAll(".c-nav__link").forEach((link) => {
+    const href = link.getAttribute("href") || "";
+    const targetFile = href.split("/").pop();
+    const isActive = targetFile === currentFile;
 
-    card.setAttribute("data-flip-mode", "button");
-    if (card.hasAttribute("tabindex")) card.removeAttribute("tabindex");
+    link.classList.toggle("is-active", isActive);
+    if (isActive) link.setAttribute("aria-current", "page");
+    else link.removeAttribute("aria-current");
   });
 };
 
-const initPersonaMediaTabs = () => {
-  document.querySelectorAll("[data-persona-media]").forEach((root) => {
-    const tabs = Array.from(root.querySelectorAll("[data-persona-tab]"));
-    const panels =
-      Array.from(root.closest(".c-persona__back")?.querySelectorAll("[data-persona-panel]") || []) ||
-      Array.from(root.parentElement?.querySelectorAll("[data-persona-panel]") || []);
+/* ============================================================
+   2) Generic Tabs
+============================================================ */
+
+const initTabs = () => {
+  const roots = new Set();
+
+  document.querySelectorAll("[data-tabs-root]").forEach((r) => roots.add(r));
+
+  document.querySelectorAll("[data-tabs]").forEach((tabsEl) => {
+    const inferred =
+      tabsEl.closest("[data-tabs-root]") ||
+      tabsEl.closest(".c-bio-tabs__wrap") ||
+      tabsEl.closest(".c-tabs-area") ||
+      tabsEl.closest(".c-bio-tabs") ||
+      tabsEl.closest(".c-tabs") ||
+      document.body;
+
+    roots.add(inferred);
+  });
+
+  roots.forEach((root) => {
+    const tabsContainer =
+      root.querySelector("[data-tabs]") ||
+      root.querySelector(".c-bio-tabs__tabs") ||
+      root.querySelector(".c-tabs");
+
+    if (!tabsContainer) return;
 
+    const tabs = Array.from(tabsContainer.querySelectorAll(".c-tab"));
+    const panels = Array.from(root.querySelectorAll(".c-tab-panel"));
     if (!tabs.length || !panels.length) return;
 
-    const pauseHiddenPanelMedia = () => {
-      panels.forEach((panel) => {
-        if (!panel.classList.contains("is-visible")) {
-          panel.querySelectorAll("video, audio").forEach((m) => {
-            try { m.pause(); } catch { }
-          });
-        }
+    const activateTab = (tabEl) => {
+      const key = tabEl.getAttribute("data-tab-target");
+      if (!key) return;
+
+      tabs.forEach((t) => t.classList.toggle("is-active", t === tabEl));
+      panels.forEach((p) => {
+        const show = p.getAttribute("data-tab-panel") === key;
+        p.classList.toggle("is-visible", show);
       });
     };
 
-    const activate = (key) => {
-      tabs.forEach((btn) => {
-        const active = btn.getAttribute("data-persona-tab") === key;
-        btn.classList.toggle("is-active", active);
-        btn.setAttribute("aria-selected", String(active));
-      });
+    tabs.forEach((tab, idx) => {
+      tab.addEventListener("click", () => activateTab(tab));
+      tab.addEventListener("keydown", (e) => handleActivation(e, () => activateTab(tab)));
+      if (idx === 0) activateTab(tab);
+    });
+  });
+};
 
-      panels.forEach((panel) => {
-        const show = panel.getAttribute("data-persona-panel") === key;
-        panel.classList.toggle("is-visible", show);
+/* ============================================================
+   3) Optional OwlCarousel (Hero)
+============================================================ */
+
+const initHeroCarousel = () => {
+  const hasJQ = !!window.jQuery;
+  const hasOwl = hasJQ && !!window.jQuery.fn?.owlCarousel;
+  if (!hasOwl) return;
+
+  const $carousel = window.jQuery(".js-hero-carousel");
+  if (!$carousel.length) return;
+
+  $carousel.owlCarousel({
+    loop: true,
+    margin: 24,
+    nav: false,
+    dots: true,
+    autoplay: true,
+    autoplayTimeout: 7000,
+    responsive: {
+      0: { items: 1 },
+      768: { items: 2 },
+    },
+  });
+};
+
+/* ============================================================
+   4) Bootstrap Modal Helper
+============================================================ */
+
+const modalHelper = {
+  open(id) {
+    const modalEl = document.getElementById(id);
+    if (!modalEl || !window.bootstrap?.Modal) return;
+    const modal = new window.bootstrap.Modal(modalEl);
+    modal.show();
+  },
+};
+
+/* ============================================================
+   5) Media Detail Modal (delegated + backend-ready)
+   ------------------------------------------------------------
+   Prev/next ([data-modal-prev] / [data-modal-next], arrow keys) walk the
+   cards of the grid the modal was opened from: the nearest ancestor that
+   holds other [data-media-card] elements, in DOM order, skipping cards a
+   filter has hidden. The list is read on every step, so cards rendered or
+   filtered while the modal is open are picked up.
+
+   Audio (data-modal-audio, labelled by data-modal-audio-label) mounts into
+   [data-modal-audio-mount] when the modal has one, else the video mount.
+
+   data-modal-video is either a file (played in <video>, or the renditions in
+   data-sources, see 0.4) or a page/share URL.
+   Share URLs go through EMBED_PROVIDERS: the match is rewritten to the
+   provider's (privacy-friendly) player URL and shown behind a click-to-load
+   placeholder, so nothing third-party loads before the reader asks for it.
+   Any other http(s) URL only gets a "watch on source" link.
+============================================================ */
+
+// Every iframe src is checked against this list after conversion
+const EMBED_ALLOWED_HOSTS = ["www.youtube-nocookie.com", "player.vimeo.com", "www.facebook.com", "platform.twitter.com"];
+const EMBED_SANDBOX = "allow-scripts allow-same-origin allow-presentation allow-popups allow-popups-to-escape-sandbox";
+const EMBED_ALLOW = "autoplay; encrypted-media; picture-in-picture; fullscreen";
+
+const YOUTUBE_ID_RE = /^[\w-]{11}$/;
+
+// "1m30s" / "90" / "90s" -> seconds
+const parseStartTime = (value) => {
+  const m = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/.exec(value || "");
+  if (!m) return 0;
+  return (Number(m[1]) || 0) * 3600 + (Number(m[2]) || 0) * 60 + (Number(m[3]) || 0);
+};
+
+/**
+ * match(url: URL) -> embed src string, or "" when the URL isn't one of the provider's videos.
+ */
+const EMBED_PROVIDERS = [
+  {
+    key: "youtube",
+    label: "YouTube",
+    match(url) {
+      const host = url.hostname.replace(/^(www|m)\./, "");
+      let id = "";
+      if (host === "youtu.be") id = url.pathname.slice(1).split("/")[0];
+      else if (host === "youtube.com" || host === "youtube-nocookie.com") {
+        const [, first, second] = url.pathname.split("/");
+        id = first === "watch" ? url.searchParams.get("v") || ""
+          : ["embed", "shorts", "live", "v"].includes(first) ? second || ""
+            : "";
+      }
+      if (!YOUTUBE_ID_RE.test(id)) return "";
+
+      const start = parseStartTime(url.searchParams.get("t") || url.searchParams.get("start"));
+      return `https://www.youtube-nocookie.com/embed/${id}?autoplay=1&rel=0&playsinline=1${start ? `&start=${start}` : ""}`;
+    },
+  },
+  {
+    key: "vimeo",
+    label: "Vimeo",
+    match(url) {
+      const host = url.hostname.replace(/^www\./, "");
+      const parts = url.pathname.split("/").filter(Boolean);
+      let id = "";
+      let hash = url.searchParams.get("h") || "";
+      if (host === "vimeo.com") {
+        id = parts.find((p) => /^\d+$/.test(p)) || "";
+        const next = parts[parts.indexOf(id) + 1];
+        if (id && next && /^[\da-f]+$/i.test(next)) hash = next; // unlisted: vimeo.com/ID/HASH
+      } else if (host === "player.vimeo.com" && parts[0] === "video") {
+        id = /^\d+$/.test(parts[1] || "") ? parts[1] : "";
+      }
+      if (!id) return "";
+      return `https://player.vimeo.com/video/${id}?autoplay=1&dnt=1${hash ? `&h=${encodeURIComponent(hash)}` : ""}`;
+    },
+  },
+  {
+    key: "facebook",
+    label: "Facebook",
+    match(url) {
+      const host = url.hostname.replace(/^(www|m|web)\./, "");
+      let href = "";
+      if (host === "fb.watch" && url.pathname.length > 1) href = url.href;
+      else if (host === "facebook.com") {
+        const v = url.searchParams.get("v");
+        if (/^\/watch\/?$/.test(url.pathname) && /^\d+$/.test(v || "")) href = `https://www.facebook.com/watch/?v=${v}`;
+        else if (/\/(videos|reel)\/\d+/.test(url.pathname)) href = `https://www.facebook.com${url.pathname}`;
+      }
+      if (!href) return "";
+      return `https://www.facebook.com/plugins/video.php?href=${encodeURIComponent(href)}&show_text=false&autoplay=true`;
+    },
+  },
+  {
+    key: "x",
+    label: "X",
+    match(url) {
+      const host = url.hostname.replace(/^(www|mobile)\./, "");
+      if (host !== "x.com" && host !== "twitter.com") return "";
+      const m = /^\/[\w]{1,15}\/status\/(\d+)/.exec(url.pathname);
+      if (!m) return "";
+      const theme = document.body.classList.contains("is-dark") ? "dark" : "light";
+      return `https://platform.twitter.com/embed/Tweet.html?id=${m[1]}&dnt=true&theme=${theme}`;
+    },
+  },
+];
+
+const parseHttpUrl = (value) => {
+  try {
+    const url = new URL(value, window.location.href);
+    return url.protocol === "https:" || url.protocol === "http:" ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Classify a data-modal-video value.
+ * @returns {{ type: "file", src: string }
+ *   | { type: "embed", provider: object, src: string, href: string }
+ *   | { type: "external", href: string, label: string }
+ *   | null}
+ */
+const resolveVideoSource = (value) => {
+  const url = parseHttpUrl(value);
+  if (!url) return null;
+
+  if (VIDEO_FILE_RE.test(url.pathname) || url.origin === window.location.origin) {
+    return { type: "file", src: value };
+  }
+
+  for (const provider of EMBED_PROVIDERS) {
+    const src = provider.match(url);
+    const embedUrl = src && parseHttpUrl(src);
+    if (embedUrl?.protocol === "https:" && EMBED_ALLOWED_HOSTS.includes(embedUrl.hostname)) {
+      return { type: "embed", provider, src, href: url.href };
+    }
+  }
+
+  return { type: "external", href: url.href, label: url.hostname.replace(/^www\./, "") };
+};
+
+const MEDIA_CARD_SELECTOR = "[data-media-card]";
+const MODAL_AUDIO_BARS = 48;
+
+// Decorative bar heights (%), stable per file so the same clip always looks the same
+const audioWaveHeights = (seed, count) => {
+  let h = 2166136261;
+  for (let i = 0; i < seed.length; i++) h = Math.imul(h ^ seed.charCodeAt(i), 16777619);
+
+  return Array.from({ length: count }, (_, i) => {
+    h = Math.imul(h ^ (h >>> 15), 2246822507) >>> 0;
+    const envelope = 0.55 + 0.45 * Math.sin((Math.PI * (i + 0.5)) / count);
+    return Math.round(18 + (h % 70) * envelope);
+  });
+};
+
+const isCardVisible = (el) => !el.closest("[hidden]");
+
+const readMediaCollection = (trigger) => {
+  if (!trigger) return [];
+
+  for (let scope = trigger.parentElement; scope && scope !== document.body; scope = scope.parentElement) {
+    const cards = Array.from(scope.querySelectorAll(MEDIA_CARD_SELECTOR));
+    if (cards.length > 1) return cards.filter((el) => el === trigger || isCardVisible(el));
+  }
+  return [trigger];
+};
+
+const initMediaModals = () => {
+  const modalEl = document.getElementById("mediaDetailModal");
+  if (!modalEl || !window.bootstrap?.Modal) return;
+
+  const $ = (sel) => modalEl.querySelector(sel);
+
+  const ui = {
+    badge: $("[data-modal-badge-target]"),
+    title: $("[data-modal-title-target]"),
+    desc: $("[data-modal-description-target]"),
+    time: $("[data-modal-timestamp-target]"),
+    source: $("[data-modal-source-target]"),
+    kindChip: $("[data-modal-kind-target]"),
+    durationChip: $("[data-modal-duration-target]"),
+    locationChip: $("[data-modal-location-target]"),
+    kind2: $("[data-modal-kind2-target]"),
+    date: $("[data-modal-date-target]"),
+    source2: $("[data-modal-source2-target]"),
+    tag: $("[data-modal-tag-target]"),
+    img: $("[data-modal-image-target]"),
+    videoMount: $("[data-modal-video-mount]"),
+    audioMount: $("[data-modal-audio-mount]"),
+    fallbackFigure: modalEl.querySelector(".c-modal__fallback"),
+    pager: $("[data-modal-pager]"),
+    prev: $("[data-modal-prev]"),
+    next: $("[data-modal-next]"),
+    counter: $("[data-modal-counter]"),
+  };
+
+  let currentTrigger = null;
+  let audioPlayer = null; // Plyr instance, when Plyr is loaded
+  const preloaded = new Map(); // poster url -> Image
+
+  const defaults = {
+    get title() { return i18n.t("media.defaultTitle"); },
+    get description() { return i18n.t("media.defaultDescription"); },
+    badge: "",
+    timestamp: "",
+    source: "",
+    image: "assets/img/articles/thumb1.png",
+    get kind() { return i18n.t("type.media"); },
+    kindLabel: "—",
+    dateText: "—",
+    tag: "—",
+  };
+
+  const bsModal = window.bootstrap.Modal.getOrCreateInstance(modalEl);
+
+  const safeText = (el, value, fallback = "") => {
+    if (!el) return;
+    el.textContent = value ?? fallback;
+  };
+
+  const setHidden = (el, hidden) => {
+    if (!el) return;
+    el.hidden = !!hidden;
+  };
+
+  const destroyAudio = () => {
+    try { audioPlayer?.destroy(); } catch { }
+    audioPlayer = null;
+
+    [ui.audioMount, ui.videoMount].forEach((mount) => {
+      mount?.querySelectorAll("audio").forEach((a) => {
+        try { a.pause(); } catch { }
+        a.removeAttribute("src");
+        try { a.load(); } catch { }
       });
+    });
+    if (ui.audioMount) ui.audioMount.innerHTML = "";
+  };
 
-      pauseHiddenPanelMedia();
+  const clearMount = () => {
+    destroyAudio();
+    if (!ui.videoMount) return;
+    ui.videoMount.querySelectorAll("video").forEach((v) => {
+      v._playback?.flush();
+      try { v.pause(); } catch { }
+      v._sources?.destroy(); // stops hls.js segment loading
+    });
+    ui.videoMount.innerHTML = "";
+  };
+
+  const showFallbackImage = (show) => {
+    if (!ui.fallbackFigure) return;
+    ui.fallbackFigure.style.display = show ? "" : "none";
+  };
+
+  const resolveKind = (d) => {
+    const t = (d.mediaType || d.modalBadge || "").toLowerCase();
+    const key =
+      t.includes("reel") || t.includes("ريل") ? "reel"
+        : t.includes("video") || t.includes("فيديو") ? "video"
+          : t.includes("audio") || t.includes("صوت") ? "audio"
+            : t.includes("photo") || t.includes("صورة") ? "photo"
+              : "media";
+    return { key, label: i18n.t(`type.${key}`) };
+  };
+
+  // Poster + consent button; the iframe only exists after the click
+  const createEmbedPlaceholder = (resolved, poster, title) => {
+    const isEmbed = resolved.type === "embed";
+    const providerLabel = isEmbed ? resolved.provider.label : resolved.label;
+
+    const box = document.createElement("div");
+    box.className = "c-embed";
+    box.dataset.embedProvider = isEmbed ? resolved.provider.key : "external";
+    box.innerHTML = `
+      <img class="c-embed__poster" src="${escapeHTML(poster)}" alt="" loading="lazy" />
+      <div class="c-embed__body">
+        ${isEmbed ? `
+          <button class="c-embed__load" type="button">
+            <i class="fa-solid fa-play" aria-hidden="true"></i>
+            <span>${escapeHTML(i18n.t("embed.load", { provider: providerLabel }))}</span>
+          </button>
+          <p class="c-embed__notice">${escapeHTML(i18n.t("embed.notice", { provider: providerLabel }))}</p>
+        ` : `
+          <p class="c-embed__notice">${escapeHTML(i18n.t("embed.unsupported"))}</p>
+        `}
+        <a class="c-embed__source" href="${escapeHTML(resolved.href)}" target="_blank" rel="noopener noreferrer">
+          ${escapeHTML(i18n.t("embed.watchOn", { provider: providerLabel }))}
+          <i class="fa-solid fa-arrow-up-right-from-square" aria-hidden="true"></i>
+        </a>
+      </div>
+    `;
+
+    box.querySelector(".c-embed__load")?.addEventListener("click", () => {
+      const iframe = document.createElement("iframe");
+      iframe.className = "c-modal__video-frame";
+      iframe.title = `${i18n.t("media.videoPlayer")}: ${title}`;
+      iframe.setAttribute("sandbox", EMBED_SANDBOX);
+      iframe.setAttribute("allow", EMBED_ALLOW);
+      iframe.setAttribute("allowfullscreen", "");
+      iframe.setAttribute("referrerpolicy", "strict-origin-when-cross-origin");
+      iframe.src = resolved.src;
+
+      box.replaceWith(iframe);
+      iframe.focus();
+    }, { once: true });
+
+    return box;
+  };
+
+  const renderAudio = (d) => {
+    const mount = ui.audioMount || ui.videoMount;
+    if (!mount) return;
+
+    const url = d.modalAudio;
+    const label = d.modalAudioLabel || d.modalTitle || i18n.t("type.audio");
+
+    const box = document.createElement("figure");
+    box.className = "c-modal-audio";
+    box.innerHTML = `
+      <figcaption class="c-modal-audio__label">
+        <i class="fa-solid fa-wave-square" aria-hidden="true"></i>
+        <span>${escapeHTML(label)}</span>
+      </figcaption>
+      <div class="c-modal-audio__wave" aria-hidden="true">
+        ${audioWaveHeights(url, MODAL_AUDIO_BARS).map((h) => `<span style="height:${h}%"></span>`).join("")}
+      </div>
+    `;
+
+    const audio = document.createElement("audio");
+    audio.className = "c-modal-audio__player";
+    audio.controls = true;
+    audio.preload = "metadata";
+    audio.src = url;
+    audio.setAttribute("aria-label", i18n.t("media.audioPlayer", { label }));
+    box.appendChild(audio);
+    mount.appendChild(box);
+
+    // Played share of the bars; clicking the wave seeks (keyboard users have the player's slider)
+    const wave = box.querySelector(".c-modal-audio__wave");
+    const bars = Array.from(wave.children);
+
+    const syncWave = () => {
+      const total = audio.duration;
+      const ratio = isFinite(total) && total > 0 ? audio.currentTime / total : 0;
+      const played = Math.round(ratio * bars.length);
+      bars.forEach((bar, i) => bar.classList.toggle("is-played", i < played));
     };
 
-    tabs.forEach((btn) => btn.addEventListener("click", () => activate(btn.getAttribute("data-persona-tab"))));
+    ["timeupdate", "durationchange", "seeked", "emptied"].forEach((type) => audio.addEventListener(type, syncWave));
+
+    wave.addEventListener("click", (e) => {
+      const total = audio.duration;
+      if (!isFinite(total) || total <= 0) return;
+      const rect = wave.getBoundingClientRect();
+      if (!rect.width) return;
+      // Bars run with the reading direction
+      const rtl = getComputedStyle(wave).direction === "rtl";
+      const x = rtl ? rect.right - e.clientX : e.clientX - rect.left;
+      try { audio.currentTime = Math.max(0, Math.min(1, x / rect.width)) * total; } catch { }
+    });
+
+    if (window.Plyr) {
+      try {
+        audioPlayer = new window.Plyr(audio, {
+          controls: ["play", "progress", "current-time", "mute", "volume"],
+        });
+      } catch {
+        audioPlayer = null;
+      }
+    }
+  };
+
+  const renderMedia = (d, trigger = null) => {
+    clearMount();
+
+    const poster = d.modalImage || defaults.image;
+    const sources = videoSources.parse(d.sources, d.modalVideo || "");
+    const videoUrl = d.modalVideo || sources[0]?.src || "";
+    const kind = resolveKind(d).key;
+
+    if (ui.img) {
+      ui.img.src = poster;
+      ui.img.alt = d.modalTitle || defaults.title;
+    }
+
+    // Its own mount: the audio sits next to whatever the video branch shows
+    if (d.modalAudio && ui.audioMount) renderAudio(d);
+
+    if (!videoUrl || kind === "photo" || kind === "audio") {
+      showFallbackImage(true);
+      modalEl.classList.remove("has-video");
+      // No audio mount on the page: the player takes the empty video slot
+      if (d.modalAudio && !ui.audioMount && kind !== "photo") renderAudio(d);
+      return;
+    }
+
+    const resolved = resolveVideoSource(videoUrl);
+    if (!ui.videoMount || !resolved) {
+      showFallbackImage(true);
+      modalEl.classList.remove("has-video");
+      return;
+    }
+
+    modalEl.classList.add("has-video");
+
+    if (resolved.type !== "file") {
+      ui.videoMount.appendChild(createEmbedPlaceholder(resolved, poster, d.modalTitle || defaults.title));
+      showFallbackImage(false);
+      return;
+    }
+
+    // Poster first: nothing is fetched until the reader presses play
+    const video = document.createElement("video");
+    video.className = "c-modal__video-player";
+    video.controls = false;
+    video.preload = "none";
+    video.playsInline = true;
+    video.poster = poster;
+
+    transcripts.addTrack(video, d.transcript, d.transcriptLang);
+    ui.videoMount.appendChild(video);
+
+    const player = createVideoSourceController(video, sources, { lazy: true });
+    video._sources = player;
+
+    const startBtn = document.createElement("button");
+    startBtn.className = "c-video-start";
+    startBtn.type = "button";
+    startBtn.setAttribute("aria-label", i18n.t("video.play", { title: d.modalTitle || defaults.title }));
+    startBtn.innerHTML = `<i class="fa-solid fa-play" aria-hidden="true"></i>`;
+    startBtn.addEventListener("click", () => {
+      video.play()?.catch?.(() => { });
+      video.focus();
+    });
+    ui.videoMount.appendChild(startBtn);
+
+    // Any start (button, resume prompt, media keys) swaps the button for the native controls
+    video.addEventListener("play", () => {
+      startBtn.remove();
+      video.controls = true;
+    }, { once: true });
+
+    ui.videoMount.appendChild(createQualityControl(player, { className: "c-modal__quality" }));
+    ui.videoMount.appendChild(createVideoErrorNotice(player));
+    player.onChange(() => {
+      if (player.failed) startBtn.remove();
+    });
+
+    const offlineUrl = videoSources.fileUrl(sources);
+    if (offlineLibrary.supported && offlineUrl) {
+      ui.videoMount.appendChild(createOfflineToggle(offlineUrl, () => ({
+        kind: "media",
+        id: trigger ? getEntityId(trigger, "media") : "",
+        title: d.modalTitle || defaults.title,
+        cover: poster,
+      }), { className: "c-modal__offline", withLabel: true }));
+    }
+
+    if (trigger) {
+      video._playback = trackPlayback(video);
+      video._playback.setEntry({
+        kind: "media",
+        id: getEntityId(trigger, "media"),
+        title: d.modalTitle || defaults.title,
+        cover: poster,
+      });
+      video._playback.offerResume(ui.videoMount, { overlay: true });
+    }
+
+    showFallbackImage(false);
+  };
+
+  const updateModal = (d, trigger = null) => {
+    const kind = resolveKind(d);
+
+    safeText(ui.title, d.modalTitle, defaults.title);
+    safeText(ui.desc, d.modalDescription, defaults.description);
+    safeText(ui.badge, d.modalBadge || kind.label, defaults.badge);
+    safeText(ui.time, d.modalTimestamp, defaults.timestamp);
+    safeText(ui.source, d.modalSource, defaults.source);
+
+    safeText(ui.kindChip, kind.label, defaults.kind);
+
+    const duration = d.mediaDuration || d.modalDuration || "";
+    const location = d.mediaLocation || d.modalLocation || "";
+
+    if (ui.durationChip) {
+      safeText(ui.durationChip, i18n.t("media.duration", { value: duration || "—" }));
+      setHidden(ui.durationChip, !duration);
+    }
+    if (ui.locationChip) {
+      safeText(ui.locationChip, i18n.t("media.location", { value: location || "—" }));
+      setHidden(ui.locationChip, !location);
+    }
+
+    safeText(ui.kind2, kind.label, defaults.kindLabel);
+    const isoDate = d.mediaDate || d.modalDate || "";
+    safeText(ui.date, archiveDates.format(isoDate) || d.modalTimestamp || defaults.dateText, defaults.dateText);
+    safeText(ui.source2, d.modalSource || defaults.source, defaults.source);
+    safeText(ui.tag, d.mediaTag || d.modalTag || defaults.tag, defaults.tag);
+
+    renderMedia(d, trigger);
+    syncPager();
+    bsModal.show();
+  };
+
+  /* ---------- Prev / next within the card's grid ---------- */
+  const preloadPoster = (card) => {
+    const url = card?.dataset.modalImage;
+    if (!url || preloaded.has(url)) return;
+    const img = new Image();
+    img.decoding = "async";
+    img.src = url;
+    preloaded.set(url, img);
+  };
+
+  const syncPager = () => {
+    const items = readMediaCollection(currentTrigger);
+    const n = items.length;
+    const index = items.indexOf(currentTrigger);
+
+    if (ui.pager) ui.pager.hidden = n < 2;
+    [ui.prev, ui.next].forEach((btn) => { if (btn) btn.hidden = n < 2; });
+    if (ui.counter) ui.counter.textContent = n > 1 ? `${index + 1} / ${n}` : "";
+
+    if (n < 2) return;
+    preloadPoster(items[(index + 1) % n]);
+    preloadPoster(items[(index - 1 + n) % n]);
+  };
+
+  const step = (delta) => {
+    const items = readMediaCollection(currentTrigger);
+    const n = items.length;
+    if (n < 2) return;
+
+    const index = Math.max(0, items.indexOf(currentTrigger));
+    const card = items[(index + delta + n) % n];
+
+    currentTrigger = card;
+    updateModal(card.dataset, card); // renderMedia -> clearMount tears the old player down
+    modalRoute.update("media", getEntityId(card, "media"));
+  };
+
+  ui.prev?.addEventListener("click", () => step(-1));
+  ui.next?.addEventListener("click", () => step(1));
+
+  modalEl.addEventListener("keydown", (e) => {
+    if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    // Arrow keys belong to the player (seek/volume) and form fields while they have focus
+    if (e.target.closest("video, audio, iframe, input, textarea, select, [role='slider'], .plyr")) return;
+
+    const rtl = getComputedStyle(modalEl).direction === "rtl";
+    const forward = rtl ? "ArrowLeft" : "ArrowRight";
+    const backward = rtl ? "ArrowRight" : "ArrowLeft";
+
+    if (e.key !== forward && e.key !== backward) return;
+    e.preventDefault();
+    step(e.key === forward ? 1 : -1);
+  });
+
+  modalEl.addEventListener("hidden.bs.modal", () => {
+    clearMount();
+    showFallbackImage(true);
+    currentTrigger = null;
+  });
+
+  const isActivationKey = (e) => e.key === "Enter" || e.key === " ";
+
+  const handleTrigger = (trigger, event) => {
+    if (event.type === "keydown" && !isActivationKey(event)) return;
+    if (event.type === "keydown") event.preventDefault();
+    currentTrigger = trigger;
+    updateModal(trigger.dataset, trigger);
+    modalRoute.open("media", getEntityId(trigger, "media"), modalEl);
+  };
+
+  document.addEventListener("click", (e) => {
+    const trigger = e.target.closest("[data-media-card]");
+    if (!trigger) return;
+    handleTrigger(trigger, e);
+  });
+
+  document.addEventListener("keydown", (e) => {
+    const trigger = e.target.closest("[data-media-card][role='button']");
+    if (!trigger) return;
+    handleTrigger(trigger, e);
+  });
+};
+
+/* ============================================================
+   6) Collection Navigation (delegated)
+============================================================ */
+
+const initCollectionNavigation = () => {
+  const container = document.querySelector(".c-collection-grid");
+  if (!container) return;
+
+  const navigate = (url) => { if (url) window.location.href = url; };
+
+  container.addEventListener("click", (event) => {
+    const card = event.target.closest("[data-collection-link]");
+    if (!card) return;
+    event.preventDefault();
+    navigate(card.dataset.collectionLink);
+  });
+
+  container.addEventListener("keydown", (event) => {
+    if (!ACTIVATION_KEYS.includes(event.key)) return;
+    const card = event.target.closest("[data-collection-link]");
+    if (!card) return;
+    event.preventDefault();
+    navigate(card.dataset.collectionLink);
+  });
+};
+
+/* ============================================================
+   7) Header Scroll State
+============================================================ */
+
+const initHeaderScrollState = () => {
+  const header = document.querySelector(".c-header");
+  if (!header) return;
+
+  const update = () => header.classList.toggle("c-header--scrolled", window.scrollY > 10);
+
+  window.addEventListener("scroll", update, { passive: true });
+  update();
+};
+
+/* ============================================================
+   8) Theme Toggle (Fixed: System Dark won't override Light)
+============================================================ */
+
+const THEME_STORAGE_KEY = "salehThemePreference";
+const themePrefersDark = window.matchMedia?.("(prefers-color-scheme: dark)");
+
+/**
+ * Update toggle visuals (icon + aria)
+ * @param {boolean} isDark
+ */
+const updateThemeToggleVisual = (isDark) => {
+  const toggle = document.querySelector("[data-theme-toggle]");
+  if (!toggle) return;
+
+  toggle.setAttribute("aria-pressed", String(isDark));
+  const label = i18n.t(isDark ? "theme.toLight" : "theme.toDark");
+  toggle.setAttribute("title", label);
+  toggle.setAttribute("aria-label", label);
+
+  const icon = toggle.querySelector("[data-theme-icon]");
+  if (!icon) return;
+
+  icon.classList.toggle("fa-sun", isDark);
+  icon.classList.toggle("fa-moon", !isDark);
+};
+
+/**
+ * Apply theme:
+ * - "dark"  => html[data-theme="dark"]
+ * - "light" => html[data-theme="light"]  (IMPORTANT: explicit!)
+ * - "system" => remove attribute (follow OS)
+ */
+const applyColorTheme = (variant, { persist = false } = {}) => {
+  const root = document.documentElement;
+  const body = document.body;
+  if (!root || !body) return;
+
+  let effective = variant;
+
+  if (variant === "system") {
+    const systemIsDark = !!themePrefersDark?.matches;
+    effective = systemIsDark ? "dark" : "light";
+    root.removeAttribute("data-theme"); // allow CSS prefers-color-scheme if you use it
+  } else {
+    // IMPORTANT FIX:
+    // Set explicit "light" when light, do NOT remove attribute.
+    root.setAttribute("data-theme", variant);
+  }
+
+  const isDark = effective === "dark";
+  body.classList.toggle("is-dark", isDark);
+
+  updateThemeToggleVisual(isDark);
+
+  if (persist) {
+    // store only "dark" | "light" | "system"
+    safeStorageSet(THEME_STORAGE_KEY, variant);
+  }
+};
+
+/**
+ * OS theme changes should only affect UI when user didn't pick manual theme,
+ * or explicitly set "system".
+ */
+const handleSystemThemeChange = () => {
+  const stored = safeStorageGet(THEME_STORAGE_KEY);
+  if (stored && stored !== "system") return; // user forced light/dark
+  applyColorTheme("system");
+};
+
+const initThemeToggle = () => {
+  const toggle = document.querySelector("[data-theme-toggle]");
+  if (!toggle) return;
+
+  toggle.addEventListener("click", () => {
+    const stored = safeStorageGet(THEME_STORAGE_KEY);
+
+    // If user never chose => start from system then toggle to opposite
+    // But simplest UX: toggle between light/dark only.
+    // Determine current effective theme:
+    const isCurrentlyDark =
+      document.documentElement.getAttribute("data-theme") === "dark" ||
+      (document.documentElement.hasAttribute("data-theme") === false && !!themePrefersDark?.matches);
+
+    const next = isCurrentlyDark ? "light" : "dark";
+    applyColorTheme(next, { persist: true });
+  });
+
+  // Titles are translated; re-read the current state on locale switch
+  document.addEventListener("i18n:change", () => updateThemeToggleVisual(document.body.classList.contains("is-dark")));
+};
+
+const bootTheme = () => {
+  const stored = safeStorageGet(THEME_STORAGE_KEY); // "dark" | "light" | "system" | null
+  const initial = stored || "system";
+
+  applyColorTheme(initial);
+
+  if (themePrefersDark?.addEventListener) {
+    themePrefersDark.addEventListener("change", handleSystemThemeChange);
+  } else if (themePrefersDark?.addListener) {
+    themePrefersDark.addListener(handleSystemThemeChange);
+  }
+};
+
+/* ============================================================
+   9) Milestone Cards
+============================================================ */
+
+const initMilestoneCards = () => {
+  document.querySelectorAll(".c-milestone").forEach((card) => {
+    const trigger = card.querySelector("[data-media-card]");
+    if (!trigger) return;
+
+    card.addEventListener("click", (e) => {
+      const isInteractive = e.target.closest("button, a, [data-media-card]");
+      if (isInteractive) return;
+      trigger.click();
+    });
+  });
+};
+
+/* ============================================================
+   10) Persona Flip + Media Tabs
+============================================================ */
+
+const initPersonaFlip = () => {
+  document.querySelectorAll("[data-persona-flip]").forEach((card) => {
+    const pauseMedia = () => {
+      card.querySelectorAll("video, audio").forEach((m) => {
+        try { m.pause(); } catch { }
+      });
+    };
+
+    const toFront = () => { card.classList.remove("is-flipped"); pauseMedia(); };
+    const toBack = () => { card.classList.add("is-flipped"); };
+
+    card.querySelectorAll("[data-flip-to]").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        e.preventDefault();
+        const target = btn.getAttribute("data-flip-to");
+        if (target === "back") toBack();
+        else toFront();
+      });
+    });
+
+    card.setAttribute("data-flip-mode", "button");
+    if (card.hasAttribute("tabindex")) card.removeAttribute("tabindex");
+  });
+};
+
+const initPersonaMediaTabs = () => {
+  document.querySelectorAll("[data-persona-media]").forEach((root) => {
+    const tabs = Array.from(root.querySelectorAll("[data-persona-tab]"));
+    const panels =
+      Array.from(root.closest(".c-persona__back")?.querySelectorAll("[data-persona-panel]") || []) ||
+      Array.from(root.parentElement?.querySelectorAll("[data-persona-panel]") || []);
+
+    if (!tabs.length || !panels.length) return;
+
+    const pauseHiddenPanelMedia = () => {
+      panels.forEach((panel) => {
+        if (!panel.classList.contains("is-visible")) {
+          panel.querySelectorAll("video, audio").forEach((m) => {
+            try { m.pause(); } catch { }
+          });
+        }
+      });
+    };
+
+    const activate = (key) => {
+      tabs.forEach((btn) => {
+        const active = btn.getAttribute("data-persona-tab") === key;
+        btn.classList.toggle("is-active", active);
+        btn.setAttribute("aria-selected", String(active));
+      });
+
+      panels.forEach((panel) => {
+        const show = panel.getAttribute("data-persona-panel") === key;
+        panel.classList.toggle("is-visible", show);
+      });
+
+      pauseHiddenPanelMedia();
+    };
+
+    tabs.forEach((btn) => btn.addEventListener("click", () => activate(btn.getAttribute("data-persona-tab"))));
+
+    const initialKey = root.querySelector("[data-persona-tab].is-active")?.getAttribute("data-persona-tab") || "video";
+    activate(initialKey);
+  });
+};
+
+/* ============================================================
+   11) Plyr Players (optional)
+============================================================ */
+
+const initPlyrPlayers = () => {
+  if (!window.Plyr) return;
+
+  const setup = (el) => {
+    if (el._player) return;
+    const inst = new window.Plyr(el, {
+      controls: ["play", "progress", "current-time", "mute", "volume", "settings"],
+    });
+    try { el._player = inst; } catch { }
+  };
+
+  document.querySelectorAll(".js-plyr").forEach(setup);
+
+  // Players inside feed-rendered cards
+  document.addEventListener("archive:items-rendered", (e) => {
+    (e.detail?.elements || []).forEach((el) => el.querySelectorAll(".js-plyr").forEach(setup));
+  });
+};
+
+/* ============================================================
+   12) Audio Library (GLOBAL initializer)  ✅ FIXED SCOPE
+============================================================ */
+
+const AUDIO_PREFS_STORAGE_KEY = "salehAudioPlayerPrefs";
+const AUDIO_REPEAT_MODES = ["off", "all", "one"];
+const AUDIO_SEEK_STEP = 5; // seconds
+const AUDIO_SESSION_ARTWORK = "assets/images/icons/app-512.png"; // rows without data-cover
+
+const initAudioLibrary = () => {
+  const list = document.querySelector("[data-audio-list]");
+  const playerAudio = document.querySelector("[data-player-audio]");
+  if (!list || !playerAudio) return;
+
+  const formatTime = (s) => {
+    if (!isFinite(s) || s < 0) return "--:--";
+    const mm = Math.floor(s / 60);
+    const ss = Math.floor(s % 60);
+    return `${mm}:${String(ss).padStart(2, "0")}`;
+  };
+
+  const getPlyrInstance = (audioEl) => audioEl?.plyr || audioEl?._player || null;
+
+  const playerSource = playerAudio.querySelector("source") || (() => {
+    const s = document.createElement("source");
+    playerAudio.appendChild(s);
+    return s;
+  })();
+
+  // Rows may be appended later by the feed layer (see initArchiveFeeds)
+  let rows = Array.from(list.querySelectorAll("[data-audio-item]"));
+
+  let currentRow = null;
+  let rafId = null;
+  const playback = trackPlayback(playerAudio);
+
+  const els = {
+    title: document.querySelector("[data-player-title]"),
+    desc: document.querySelector("[data-player-desc]"),
+    meta: document.querySelector("[data-player-meta]"),
+    plays: document.querySelector("[data-player-plays]"),
+    category: document.querySelector("[data-player-category]"),
+    cover: document.querySelector("[data-player-cover]"),
+    duration: document.querySelector("[data-player-duration]"),
+  };
+
+  const transcriptPanel = createTranscriptPanel(document.querySelector("[data-player-transcript]"), playerAudio);
+
+  // Lock screen / headset / notification controls (Media Session API)
+  const session = "mediaSession" in navigator ? navigator.mediaSession : null;
+
+  const setSessionMetadata = (row) => {
+    if (!session || typeof window.MediaMetadata !== "function" || !row) return;
+
+    const artwork = row.dataset.cover
+      ? [{ src: new URL(row.dataset.cover, document.baseURI).href }]
+      : [{ src: new URL(AUDIO_SESSION_ARTWORK, document.baseURI).href, sizes: "512x512", type: "image/png" }];
+
+    session.metadata = new window.MediaMetadata({
+      title: row.dataset.title || i18n.t("type.audio"),
+      artist: i18n.t("audio.sessionArtist"),
+      album: [row.dataset.categoryLabel || row.dataset.category, row.dataset.year].filter(Boolean).join(" · "),
+      artwork,
+    });
+  };
+
+  const syncSessionPosition = () => {
+    const d = playerAudio.duration;
+    if (!session?.setPositionState || !isFinite(d) || d <= 0) return;
+    try {
+      session.setPositionState({
+        duration: d,
+        playbackRate: playerAudio.playbackRate || 1,
+        position: Math.min(Math.max(0, playerAudio.currentTime), d),
+      });
+    } catch { }
+  };
+
+  const setRowTimeToDuration = (row) => {
+    const timeEl = row?.querySelector("[data-duration]");
+    if (timeEl) timeEl.textContent = formatTime(row._duration);
+  };
+
+  const setRowTimeToCurrent = (row) => {
+    const timeEl = row?.querySelector("[data-duration]");
+    if (timeEl) timeEl.textContent = formatTime(playerAudio.currentTime);
+  };
+
+  const setRowActive = (row) => rows.forEach((r) => r.classList.toggle("is-active", r === row));
+
+  const updateRowPlayIcons = (isPlaying) => {
+    rows.forEach((r) => {
+      const btn = r.querySelector("[data-audio-play]");
+      if (!btn) return;
+
+      const icon = btn.querySelector("i");
+      const isCurrent = r === currentRow;
+
+      btn.setAttribute("aria-label", i18n.t(isCurrent && isPlaying ? "common.stop" : "common.play"));
+      if (icon) {
+        icon.classList.toggle("fa-play", !(isCurrent && isPlaying));
+        icon.classList.toggle("fa-pause", isCurrent && isPlaying);
+      }
+    });
+  };
+
+  const updateThumbOverlayIcons = (isPlaying) => {
+    rows.forEach((r) => {
+      const overlayIcon = r.querySelector(".c-audio-row__playIcon i");
+      if (!overlayIcon) return;
+      const isCurrent = r === currentRow;
+      overlayIcon.classList.toggle("fa-play", !(isCurrent && isPlaying));
+      overlayIcon.classList.toggle("fa-pause", isCurrent && isPlaying);
+    });
+  };
+
+  const stopActiveTicker = () => {
+    if (rafId) cancelAnimationFrame(rafId);
+    rafId = null;
+  };
+
+  const startActiveTicker = () => {
+    stopActiveTicker();
+    const tick = () => {
+      if (currentRow && !playerAudio.paused && !playerAudio.ended) {
+        setRowTimeToCurrent(currentRow);
+        rafId = requestAnimationFrame(tick);
+      } else {
+        rafId = null;
+      }
+    };
+    rafId = requestAnimationFrame(tick);
+  };
+
+  const updatePlayerUIFromRow = (row) => {
+    const title = row.dataset.title || "";
+    const desc = row.dataset.desc || "";
+    const year = row.dataset.year || "";
+    const source = row.dataset.source || "";
+    const plays = row.dataset.plays || "";
+    const categoryLabel = row.dataset.categoryLabel || row.dataset.category || "—";
+    const cover = row.dataset.cover || "";
+
+    if (els.title) els.title.textContent = title || "—";
+    if (els.desc) els.desc.textContent = desc || "";
+    if (els.meta) els.meta.textContent = `${year}${source ? " · " + source : ""}` || "—";
+    if (els.plays) els.plays.textContent = formatCompactNumber(plays);
+    if (els.category) els.category.textContent = categoryLabel;
+    if (els.cover && cover) { els.cover.src = cover; els.cover.alt = title || i18n.t("audio.coverAlt"); }
+
+    transcriptPanel?.load(row.dataset.transcript || "");
+    setSessionMetadata(row);
+  };
+
+  const loadAndPlayRow = async (row) => {
+    const url = row.dataset.audio;
+    if (!url) return;
+
+    if (currentRow === row) {
+      const plyr = getPlyrInstance(playerAudio);
+      if (!playerAudio.paused && !playerAudio.ended) {
+        if (plyr?.pause) plyr.pause();
+        else playerAudio.pause();
+        return;
+      }
+      if (plyr?.play) { try { await plyr.play(); } catch { } }
+      else { try { await playerAudio.play(); } catch { } }
+      return;
+    }
+
+    if (currentRow) setRowTimeToDuration(currentRow);
+
+    playback.setEntry({
+      kind: "audio",
+      id: getEntityId(row, "audio"),
+      title: row.dataset.title || "",
+      cover: row.dataset.cover || "",
+    });
+
+    currentRow = row;
+    setRowActive(row);
+    updatePlayerUIFromRow(row);
+
+    playerSource.src = url;
+    try { playerAudio.load(); } catch { }
+
+    const deckEl = document.querySelector("[data-player-deck]");
+    playback.offerResume(deckEl?.parentElement, { before: deckEl });
+
+    const plyr = getPlyrInstance(playerAudio);
+    if (plyr?.play) { try { await plyr.play(); } catch { } }
+    else { try { await playerAudio.play(); } catch { } }
+  };
+
+  const ensurePlayButton = (row) => {
+    row.querySelectorAll('[aria-label="تفاصيل"], [aria-label="ربط بالمحطة"]').forEach((b) => b.remove());
+
+    const actions = row.querySelector(".c-audio-row__actions");
+    if (!actions) return;
+
+    if (!row.querySelector("[data-audio-play]")) {
+      const playBtn = document.createElement("button");
+      playBtn.className = "c-icon-btn";
+      playBtn.type = "button";
+      playBtn.setAttribute("aria-label", i18n.t("common.play"));
+      playBtn.setAttribute("data-audio-play", "");
+      playBtn.innerHTML = '<i class="fa-solid fa-play" aria-hidden="true"></i>';
+
+      const copyBtn = actions.querySelector('[aria-label="نسخ رابط"], [data-audio-copy]');
+      if (copyBtn) actions.insertBefore(playBtn, copyBtn);
+      else actions.appendChild(playBtn);
+    }
+  };
+
+  const ensureOfflineButton = (row) => {
+    const actions = row.querySelector(".c-audio-row__actions");
+    if (!actions || !row.dataset.audio || !offlineLibrary.supported || row.querySelector("[data-offline-toggle]")) return;
+
+    actions.appendChild(createOfflineToggle(row.dataset.audio, () => ({
+      kind: "audio",
+      id: getEntityId(row, "audio"),
+      title: row.dataset.title || "",
+      cover: row.dataset.cover || "",
+    })));
+  };
+
+  const wireRow = (row) => {
+    ensurePlayButton(row);
+    ensureOfflineButton(row);
+
+    const playBtn = row.querySelector("[data-audio-play]");
+    if (playBtn) {
+      playBtn.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        loadAndPlayRow(row);
+      });
+    }
+
+    row.addEventListener("click", (e) => {
+      const isInteractive = e.target.closest("button, a, input, select, textarea, label");
+      if (isInteractive) return;
+      loadAndPlayRow(row);
+    });
+
+    row.addEventListener("keydown", (e) => {
+      if (!ACTIVATION_KEYS.includes(e.key)) return;
+      e.preventDefault();
+      loadAndPlayRow(row);
+    });
+
+    const audioUrl = row.dataset.audio;
+    if (audioUrl) {
+      const probe = new Audio();
+      probe.preload = "metadata";
+      probe.src = audioUrl;
+      probe.addEventListener("loadedmetadata", () => {
+        row._duration = probe.duration;
+        if (row !== currentRow) setRowTimeToDuration(row);
+        row.dispatchEvent(new CustomEvent("audio:duration-ready", { bubbles: true }));
+      });
+    }
+  };
+
+  rows.forEach(wireRow);
+
+  list.addEventListener("archive:items-rendered", (e) => {
+    const added = (e.detail?.elements || []).filter((el) => el.matches("[data-audio-item]"));
+    added.forEach(wireRow);
+    rows = Array.from(list.querySelectorAll("[data-audio-item]"));
+  });
+
+  /* ---------- Playlist engine ----------
+   * Queue = rows currently visible in the list, in DOM order, so the
+   * chips/search/sort of initAudioLibraryFilters define what plays next.
+   * The deck drives the <audio> element itself; Plyr (when present) mirrors it.
+   */
+  const deck = {
+    root: document.querySelector("[data-player-deck]"),
+    seek: document.querySelector("[data-player-seek]"),
+    current: document.querySelector("[data-player-current]"),
+    total: document.querySelector("[data-player-total]"),
+    toggle: document.querySelector("[data-player-toggle]"),
+    prev: document.querySelector("[data-player-prev]"),
+    next: document.querySelector("[data-player-next]"),
+    shuffle: document.querySelector("[data-player-shuffle]"),
+    repeat: document.querySelector("[data-player-repeat]"),
+    mute: document.querySelector("[data-player-mute]"),
+    volume: document.querySelector("[data-player-volume]"),
+  };
+
+  const prefs = (() => {
+    try { return JSON.parse(safeStorageGet(AUDIO_PREFS_STORAGE_KEY) || "{}") || {}; } catch { return {}; }
+  })();
+
+  const playlist = {
+    shuffle: prefs.shuffle === true,
+    repeat: AUDIO_REPEAT_MODES.includes(prefs.repeat) ? prefs.repeat : "off",
+    history: [], // rows already played in shuffle mode ("previous" walks back through it)
+  };
+
+  const savePrefs = () => {
+    safeStorageSet(AUDIO_PREFS_STORAGE_KEY, JSON.stringify({
+      shuffle: playlist.shuffle,
+      repeat: playlist.repeat,
+      volume: playerAudio.volume,
+      muted: playerAudio.muted,
+    }));
+  };
+
+  const isQueued = (row) => !!row && row.isConnected && !row.hidden && !row.classList.contains("u-hide");
+  const getOrderedRows = () => Array.from(list.querySelectorAll("[data-audio-item]"));
+  const getQueue = () => getOrderedRows().filter(isQueued);
+
+  // Next/previous visible row relative to the current one (which may itself be filtered out).
+  const getSibling = (step) => {
+    const ordered = getOrderedRows();
+    const queue = ordered.filter(isQueued);
+    if (!queue.length) return null;
+
+    const wrapTarget = step > 0 ? queue[0] : queue[queue.length - 1];
+    const from = ordered.indexOf(currentRow);
+    if (from === -1) return wrapTarget;
+
+    const candidates = step > 0 ? ordered.slice(from + 1) : ordered.slice(0, from).reverse();
+    const hit = candidates.find(isQueued);
+    if (hit) return hit;
+    return playlist.repeat === "all" ? wrapTarget : null;
+  };
+
+  // Each visible row plays once per shuffle round; "repeat all" starts a new round.
+  const pickShuffled = () => {
+    const queue = getQueue();
+    if (!queue.length) return null;
+
+    let pool = queue.filter((r) => r !== currentRow && !playlist.history.includes(r));
+    if (!pool.length) {
+      if (playlist.repeat !== "all") return null;
+      playlist.history = [];
+      pool = queue.length > 1 ? queue.filter((r) => r !== currentRow) : queue;
+    }
+    return pool[Math.floor(Math.random() * pool.length)];
+  };
+
+  const playFromStart = (row) => {
+    if (row !== currentRow) return loadAndPlayRow(row);
+    try { playerAudio.currentTime = 0; } catch { }
+    if (playerAudio.paused || playerAudio.ended) return loadAndPlayRow(row);
+  };
+
+  const playNext = () => {
+    const target = playlist.shuffle ? pickShuffled() : getSibling(1);
+    if (!target) return false;
+    if (playlist.shuffle && currentRow && currentRow !== target) playlist.history.push(currentRow);
+    playFromStart(target);
+    return true;
+  };
+
+  const playPrev = () => {
+    // Like most players: "previous" first rewinds a track that is already underway.
+    if (currentRow && playerAudio.currentTime > 3) {
+      try { playerAudio.currentTime = 0; } catch { }
+      return true;
+    }
+
+    let target = null;
+    if (playlist.shuffle) {
+      while (playlist.history.length && !target) {
+        const candidate = playlist.history.pop();
+        if (isQueued(candidate)) target = candidate;
+      }
+    } else {
+      target = getSibling(-1);
+    }
+
+    if (!target) return false;
+    playFromStart(target);
+    return true;
+  };
+
+  const togglePlayback = () => {
+    if (currentRow) loadAndPlayRow(currentRow);
+    else playNext();
+  };
+
+  const handlePlaylistEnded = () => {
+    if (!currentRow) return;
+    if (playlist.repeat === "one") playFromStart(currentRow);
+    else playNext();
+  };
+
+  const syncTransport = () => {
+    const isPlaying = !!currentRow && !playerAudio.paused && !playerAudio.ended;
+    const hasQueue = getQueue().length > 0;
+
+    if (deck.toggle) {
+      deck.toggle.setAttribute("aria-label", i18n.t(isPlaying ? "audio.pause" : "common.play"));
+      deck.toggle.disabled = !currentRow && !hasQueue;
+      const icon = deck.toggle.querySelector("i");
+      if (icon) {
+        icon.classList.toggle("fa-play", !isPlaying);
+        icon.classList.toggle("fa-pause", isPlaying);
+      }
+    }
+
+    if (deck.prev) deck.prev.disabled = !hasQueue;
+    if (deck.next) deck.next.disabled = !hasQueue;
+
+    if (deck.shuffle) {
+      deck.shuffle.setAttribute("aria-pressed", String(playlist.shuffle));
+      deck.shuffle.classList.toggle("is-active", playlist.shuffle);
+    }
+
+    if (deck.repeat) {
+      deck.repeat.dataset.mode = playlist.repeat;
+      deck.repeat.setAttribute("aria-pressed", String(playlist.repeat !== "off"));
+      const repeatLabel = i18n.t(`audio.repeat.${playlist.repeat}`);
+      deck.repeat.setAttribute("aria-label", repeatLabel);
+      deck.repeat.title = repeatLabel;
+      deck.repeat.classList.toggle("is-active", playlist.repeat !== "off");
+    }
+  };
+
+  /* Progress (seek) */
+  let isSeeking = false;
+
+  const syncProgress = () => {
+    const d = playerAudio.duration;
+    const hasDuration = isFinite(d) && d > 0;
+    const t = hasDuration ? playerAudio.currentTime : 0;
+
+    if (deck.total) deck.total.textContent = formatTime(d);
+    if (!deck.seek) {
+      if (deck.current) deck.current.textContent = formatTime(t);
+      return;
+    }
+
+    deck.seek.disabled = !hasDuration;
+    if (isSeeking) return;
+
+    if (deck.current) deck.current.textContent = formatTime(t);
+    deck.seek.value = hasDuration ? String(Math.round((t / d) * 1000)) : "0";
+    deck.seek.setAttribute("aria-valuetext", i18n.t("common.of", { current: formatTime(t), total: formatTime(d) }));
+  };
+
+  const seekTo = (seconds) => {
+    const d = playerAudio.duration;
+    if (!isFinite(d) || d <= 0) return;
+    try { playerAudio.currentTime = Math.max(0, Math.min(d, seconds)); } catch { }
+    syncProgress();
+  };
+
+  if (deck.seek) {
+    deck.seek.addEventListener("input", () => {
+      isSeeking = true;
+      const d = playerAudio.duration;
+      const t = (Number(deck.seek.value) / 1000) * (isFinite(d) ? d : 0);
+      if (deck.current) deck.current.textContent = formatTime(t);
+      deck.seek.setAttribute("aria-valuetext", i18n.t("common.of", { current: formatTime(t), total: formatTime(d) }));
+    });
+
+    deck.seek.addEventListener("change", () => {
+      isSeeking = false;
+      seekTo((Number(deck.seek.value) / 1000) * playerAudio.duration);
+    });
+
+    // Seconds-based stepping (the raw 0..1000 scale is too fine for arrow keys); follows the range's reading direction.
+    deck.seek.addEventListener("keydown", (e) => {
+      const d = playerAudio.duration;
+      if (!isFinite(d) || d <= 0) return;
+
+      const isRTL = getComputedStyle(deck.seek).direction === "rtl";
+      const t = playerAudio.currentTime;
+      const targets = {
+        ArrowUp: t + AUDIO_SEEK_STEP,
+        ArrowDown: t - AUDIO_SEEK_STEP,
+        ArrowRight: t + (isRTL ? -AUDIO_SEEK_STEP : AUDIO_SEEK_STEP),
+        ArrowLeft: t + (isRTL ? AUDIO_SEEK_STEP : -AUDIO_SEEK_STEP),
+        PageUp: t + AUDIO_SEEK_STEP * 6,
+        PageDown: t - AUDIO_SEEK_STEP * 6,
+        Home: 0,
+        End: d,
+      };
+      if (!(e.key in targets)) return;
+
+      e.preventDefault();
+      isSeeking = false;
+      seekTo(targets[e.key]);
+    });
+  }
+
+  /* Volume */
+  const syncVolume = () => {
+    const level = playerAudio.muted ? 0 : playerAudio.volume;
+
+    if (deck.volume) {
+      deck.volume.value = String(Math.round(level * 100));
+      deck.volume.setAttribute("aria-valuetext", `${Math.round(level * 100)}%`);
+    }
+
+    if (deck.mute) {
+      deck.mute.setAttribute("aria-pressed", String(playerAudio.muted));
+      deck.mute.setAttribute("aria-label", i18n.t(playerAudio.muted ? "audio.unmute" : "audio.mute"));
+      const icon = deck.mute.querySelector("i");
+      if (icon) {
+        icon.classList.toggle("fa-volume-xmark", level === 0);
+        icon.classList.toggle("fa-volume-low", level > 0 && level < 0.5);
+        icon.classList.toggle("fa-volume-high", level >= 0.5);
+      }
+    }
+  };
+
+  const toggleMute = () => {
+    const plyr = getPlyrInstance(playerAudio);
+    const next = !playerAudio.muted;
+    if (plyr && "muted" in plyr) plyr.muted = next;
+    else playerAudio.muted = next;
+    if (!next && playerAudio.volume === 0) playerAudio.volume = 0.5;
+  };
+
+  if (deck.volume) {
+    deck.volume.addEventListener("input", () => {
+      const level = Number(deck.volume.value) / 100;
+      playerAudio.volume = level;
+      playerAudio.muted = level === 0;
+    });
+  }
+
+  if (typeof prefs.volume === "number" && prefs.volume >= 0 && prefs.volume <= 1) playerAudio.volume = prefs.volume;
+  if (prefs.muted === true) playerAudio.muted = true;
+
+  /* Buttons */
+  deck.toggle?.addEventListener("click", togglePlayback);
+  deck.next?.addEventListener("click", playNext);
+  deck.prev?.addEventListener("click", playPrev);
+  deck.mute?.addEventListener("click", toggleMute);
+
+  deck.shuffle?.addEventListener("click", () => {
+    playlist.shuffle = !playlist.shuffle;
+    playlist.history = [];
+    savePrefs();
+    syncTransport();
+  });
+
+  deck.repeat?.addEventListener("click", () => {
+    const i = AUDIO_REPEAT_MODES.indexOf(playlist.repeat);
+    playlist.repeat = AUDIO_REPEAT_MODES[(i + 1) % AUDIO_REPEAT_MODES.length];
+    savePrefs();
+    syncTransport();
+  });
+
+  // Single-key shortcuts anywhere inside the library (physical key codes, so they work on Arabic layouts too).
+  const libraryRoot = list.closest(".c-audio-library") || deck.root;
+  const shortcuts = {
+    KeyK: togglePlayback,
+    KeyN: playNext,
+    KeyP: playPrev,
+    KeyM: toggleMute,
+    KeyS: () => deck.shuffle?.click(),
+    KeyR: () => deck.repeat?.click(),
+  };
+
+  libraryRoot?.addEventListener("keydown", (e) => {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    const handler = shortcuts[e.code];
+    if (!handler) return;
+    if (e.target.closest("input:not([type='range']), select, textarea, [contenteditable='true'], .plyr")) return;
+
+    e.preventDefault();
+    handler();
+  });
+
+  // Same transport for the OS media controls; unsupported actions throw and are skipped
+  if (session) {
+    const sessionActions = {
+      play: () => { if (!currentRow || playerAudio.paused) togglePlayback(); },
+      pause: () => { if (currentRow && !playerAudio.paused) togglePlayback(); },
+      previoustrack: playPrev,
+      nexttrack: playNext,
+      seekbackward: (details) => seekTo(playerAudio.currentTime - (details?.seekOffset || AUDIO_SEEK_STEP)),
+      seekforward: (details) => seekTo(playerAudio.currentTime + (details?.seekOffset || AUDIO_SEEK_STEP)),
+      seekto: (details) => {
+        if (!isFinite(details?.seekTime)) return;
+        if (details.fastSeek && typeof playerAudio.fastSeek === "function") playerAudio.fastSeek(details.seekTime);
+        else seekTo(details.seekTime);
+      },
+    };
+
+    Object.entries(sessionActions).forEach(([action, handler]) => {
+      try { session.setActionHandler(action, handler); } catch { }
+    });
+
+    ["loadedmetadata", "durationchange", "ratechange", "seeked"].forEach((type) =>
+      playerAudio.addEventListener(type, syncSessionPosition)
+    );
+    document.addEventListener("i18n:change", () => setSessionMetadata(currentRow));
+  }
+
+  ["play", "pause", "ended", "emptied"].forEach((type) => playerAudio.addEventListener(type, syncTransport));
+  ["timeupdate", "loadedmetadata", "durationchange", "emptied", "seeked"].forEach((type) =>
+    playerAudio.addEventListener(type, syncProgress)
+  );
+  playerAudio.addEventListener("volumechange", () => {
+    syncVolume();
+    savePrefs();
+  });
+
+  list.addEventListener("audio:view-change", syncTransport);
+  list.addEventListener("archive:items-rendered", syncTransport);
+  document.addEventListener("i18n:change", syncTransport);
+
+  syncTransport();
+  syncProgress();
+  syncVolume();
+
+  playerAudio.addEventListener("loadedmetadata", () => {
+    if (els.duration) els.duration.textContent = formatTime(playerAudio.duration);
+    if (currentRow) currentRow._duration = playerAudio.duration;
+  });
+
+  playerAudio.addEventListener("play", () => {
+    updateRowPlayIcons(true);
+    updateThumbOverlayIcons(true);
+    startActiveTicker();
+    if (session) session.playbackState = "playing";
+    syncSessionPosition();
+  });
+
+  playerAudio.addEventListener("pause", () => {
+    updateRowPlayIcons(false);
+    updateThumbOverlayIcons(false);
+    stopActiveTicker();
+    if (currentRow) setRowTimeToDuration(currentRow);
+    if (session) session.playbackState = "paused";
+    syncSessionPosition();
+  });
+
+  playerAudio.addEventListener("ended", () => {
+    updateRowPlayIcons(false);
+    updateThumbOverlayIcons(false);
+    stopActiveTicker();
+    if (currentRow) setRowTimeToDuration(currentRow);
+    if (session) session.playbackState = "paused";
+    handlePlaylistEnded();
+  });
+};
+
+/* ============================================================
+   13) Hero Stats Counter
+============================================================ */
+
+const initHeroStatsCounter = () => {
+  const root = document.querySelector("[data-stats]");
+  if (!root) return;
+
+  const counters = Array.from(root.querySelectorAll(".c-counter[data-count-to]"));
+  if (!counters.length) return;
+
+  const prefersReducedMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)")?.matches ?? false;
+  const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+
+  const animateCounter = (el, { duration = 900 } = {}) => {
+    const to = Number(el.getAttribute("data-count-to") || 0);
+    const prefix = el.getAttribute("data-prefix") || "";
+    const suffix = el.getAttribute("data-suffix") || "";
+
+    if (prefersReducedMotion) {
+      el.textContent = `${prefix}${to}${suffix}`;
+      return;
+    }
+
+    const from = 0;
+    const startTime = performance.now();
+
+    const tick = (now) => {
+      const elapsed = now - startTime;
+      const t = Math.min(1, elapsed / duration);
+      const eased = easeOutCubic(t);
+
+      const value = Math.round(from + (to - from) * eased);
+      el.textContent = `${prefix}${value}${suffix}`;
+
+      if (t < 1) requestAnimationFrame(tick);
+      else el.textContent = `${prefix}${to}${suffix}`;
+    };
+
+    requestAnimationFrame(tick);
+  };
+
+  const runAll = () => counters.forEach((el, idx) => setTimeout(() => animateCounter(el, { duration: 900 }), idx * 120));
+
+  const obs = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        runAll();
+        obs.disconnect();
+      });
+    },
+    { threshold: 0.35 }
+  );
+
+  obs.observe(root);
+};
+
+/* ============================================================
+   14) Quotes Spotlight (AUTO IIFE, no global call)
+============================================================ */
+
+(function () {
+  "use strict";
+
+  /* ---------- Share as image (canvas) ---------- */
+  const QUOTE_IMAGE_FORMATS = {
+    square: { width: 1080, height: 1080 },
+    story: { width: 1080, height: 1920 },
+    landscape: { width: 1200, height: 630 },
+  };
+  const QUOTE_IMAGE_LOGO = "assets/images/logo.png";
+  // Same faces as tokens.css; canvas only uses them once they're loaded
+  const QUOTE_IMAGE_FONTS = { quote: "Barada", body: "Tajawal", bold: "Tajawal-Bold" };
+
+  const loadImage = (src) => new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+
+  const loadQuoteFonts = () => {
+    if (!document.fonts?.load) return Promise.resolve();
+    return Promise.all(Object.values(QUOTE_IMAGE_FONTS).map((family) => document.fonts.load(`32px "${family}"`).catch(() => null)));
+  };
+
+  // Colours follow the active theme (tokens.css redefines the neutrals in dark mode)
+  const readQuoteTheme = () => {
+    const css = getComputedStyle(document.documentElement);
+    const v = (name, fallback) => css.getPropertyValue(name).trim() || fallback;
+    const dark = document.body.classList.contains("is-dark");
+    return {
+      bg: dark ? v("--color-neutral-900", "#0b1410") : v("--color-neutral-100", "#f6f4ef"),
+      text: dark ? "#f6f4ef" : v("--color-neutral-950", "#0f140f"),
+      muted: dark ? "rgba(246, 244, 239, 0.7)" : v("--color-neutral-600", "#5a574f"),
+      accent: v("--color-accent", "#c7952a"),
+      primary: v("--color-primary", "#15582d"),
+    };
+  };
+
+  const wrapLines = (ctx, text, maxWidth) => {
+    const lines = [];
+    let line = "";
+    String(text).split(/\s+/).filter(Boolean).forEach((word) => {
+      const next = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(next).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    });
+    if (line) lines.push(line);
+    return lines;
+  };
+
+  /** Draw the quote card and resolve to a PNG blob (null when canvas isn't available). */
+  const renderQuoteImage = async (quote, formatKey) => {
+    const { width, height } = QUOTE_IMAGE_FORMATS[formatKey] || QUOTE_IMAGE_FORMATS.square;
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext?.("2d");
+    if (!ctx) return null;
+
+    const [logo] = await Promise.all([loadImage(QUOTE_IMAGE_LOGO), loadQuoteFonts()]);
+    const theme = readQuoteTheme();
+    const unit = Math.min(width, height);
+    const pad = Math.round(unit * 0.08);
+    const cx = width / 2;
+
+    // Quotes are Arabic whatever the UI locale: shape + order them right-to-left
+    canvas.dir = "rtl";
+    ctx.direction = "rtl";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    ctx.fillStyle = theme.bg;
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = theme.accent;
+    ctx.fillRect(0, 0, width, Math.round(unit * 0.012));
+
+    // Watermark quote mark
+    ctx.save();
+    ctx.globalAlpha = 0.08;
+    ctx.fillStyle = theme.primary;
+    ctx.font = `${Math.round(unit * 0.6)}px "${QUOTE_IMAGE_FONTS.quote}", serif`;
+    ctx.fillText("”", cx, height * 0.3);
+    ctx.restore();
+
+    let top = pad;
+    if (logo?.naturalWidth) {
+      const logoH = Math.round(unit * 0.11);
+      const logoW = Math.round((logo.naturalWidth / logo.naturalHeight) * logoH);
+      ctx.drawImage(logo, cx - logoW / 2, top, logoW, logoH);
+      top += logoH + pad / 2;
+    }
+
+    // Footer block: who / meta / source, then the site as a small watermark
+    const whoSize = Math.round(unit * 0.04);
+    const metaSize = Math.round(unit * 0.028);
+    const footer = [
+      quote.who && { text: `— ${quote.who}`, font: `${whoSize}px "${QUOTE_IMAGE_FONTS.bold}", sans-serif`, color: theme.accent, size: whoSize },
+      quote.meta && { text: quote.meta, font: `${metaSize}px "${QUOTE_IMAGE_FONTS.body}", sans-serif`, color: theme.muted, size: metaSize },
+      quote.source && { text: quote.source, font: `${metaSize}px "${QUOTE_IMAGE_FONTS.body}", sans-serif`, color: theme.muted, size: metaSize },
+    ].filter(Boolean);
+    const footerH = footer.reduce((sum, row) => sum + row.size * 1.6, 0);
+    const siteH = metaSize * 2;
+    const bottom = height - pad - siteH - footerH - pad / 2;
+
+    // Largest quote size whose wrapped lines fit between the logo and the footer
+    const maxWidth = width - pad * 2;
+    let size = Math.round(unit * 0.085);
+    let lines = [];
+    for (; size >= Math.round(unit * 0.035); size -= 2) {
+      ctx.font = `${size}px "${QUOTE_IMAGE_FONTS.quote}", serif`;
+      lines = wrapLines(ctx, quote.text, maxWidth);
+      if (lines.length * size * 1.7 <= bottom - top) break;
+    }
+
+    const lineH = size * 1.7;
+    let y = top + (bottom - top - lines.length * lineH) / 2 + lineH / 2;
+    ctx.fillStyle = theme.text;
+    lines.forEach((line) => {
+      ctx.fillText(line, cx, y);
+      y += lineH;
+    });
+
+    y = bottom + pad / 2;
+    ctx.fillStyle = theme.accent;
+    ctx.fillRect(cx - unit * 0.05, y - pad / 4, unit * 0.1, Math.max(2, Math.round(unit * 0.004)));
+    footer.forEach((row) => {
+      ctx.font = row.font;
+      ctx.fillStyle = row.color;
+      y += row.size * 0.8;
+      ctx.fillText(row.text, cx, y, maxWidth);
+      y += row.size * 0.8;
+    });
+
+    ctx.font = `${metaSize}px "${QUOTE_IMAGE_FONTS.body}", sans-serif`;
+    ctx.fillStyle = theme.muted;
+    ctx.direction = "ltr";
+    ctx.fillText(window.location.host || document.title, cx, height - pad / 2 - siteH / 2);
+
+    return new Promise((resolve) => {
+      try { canvas.toBlob(resolve, "image/png"); } catch { resolve(null); }
+    });
+  };
+
+  function initQuotesSpotlight(root) {
+    if (!root) return;
+
+    const featured = root.querySelector("[data-q-featured]");
+    const listRoot = root.querySelector("[data-q-list]");
+    if (!featured || !listRoot) return;
+
+    const tKicker = featured.querySelector("[data-q-kicker]");
+    const tChip = featured.querySelector("[data-q-chip]");
+    const tText = featured.querySelector("[data-q-text]");
+    const tWho = featured.querySelector("[data-q-who]");
+    const tMeta = featured.querySelector("[data-q-meta]");
+    const tSourceText = featured.querySelector("[data-q-source-text]");
+
+    const btnCopy = featured.querySelector("[data-q-copy]");
+    const btnShare = featured.querySelector("[data-q-share]");
+    const btnShareImage = featured.querySelector("[data-q-share-image]");
+    const imagePanel = featured.querySelector("[data-q-image-panel]");
+
+    const searchInput = root.querySelector("[data-q-search]");
+    const typeFilters = root.querySelector("[data-q-types]");
+    const yearFilter = root.querySelector("[data-q-year-filter]");
+    const btnLink = featured.querySelector("[data-q-link]");
+    const btnPrev = root.querySelector("[data-q-prev]");
+    const btnNext = root.querySelector("[data-q-next]");
+    const emptyState = root.querySelector("[data-q-empty]");
+
+    const items = Array.from(listRoot.querySelectorAll("[data-q-item]"));
+    if (!items.length) return;
+
+    const getVisibleItems = () => items.filter((el) => !el.classList.contains("u-hide"));
+
+    const setActiveItem = (active) => items.forEach((el) => el.classList.toggle("is-active", el === active));
+
+    const buildChip = (typeLabel, typeIcon) => {
+      const icon = typeIcon || "fa-regular fa-newspaper";
+      const label = typeLabel || "";
+      return `<i class="${icon}" aria-hidden="true"></i>${label ? " " + label : ""}`;
+    };
+
+    const renderFeatured = (item) => {
+      if (!item) return;
+      const d = item.dataset;
+
+      const title = d.qTitle || i18n.t("quote.defaultTitle");
+      const typeLabel = d.qTypeLabel || "";
+      const typeIcon = d.qTypeIcon || "fa-regular fa-newspaper";
+
+      const text = d.qText || "";
+      const meta = d.qMeta || "";
+      const source = d.qSource || i18n.t("quote.defaultSource");
+      const who = d.qWho || i18n.t("quote.defaultWho");
+
+      if (tKicker) tKicker.textContent = title;
+      if (tChip) tChip.innerHTML = buildChip(typeLabel, typeIcon);
+      if (tText) tText.textContent = text;
+      if (tWho) tWho.textContent = who;
+      if (tMeta) tMeta.textContent = meta;
+      if (tSourceText) tSourceText.textContent = source;
+
+      featured.dataset.qActiveText = text;
+      featured.dataset.qActiveMeta = meta;
+      featured.dataset.qActiveSource = source;
+      featured.dataset.qActiveWho = who;
+      featured.dataset.qActiveId = d.qId || "";
+
+      setActiveItem(item);
+      if (imagePanel && !imagePanel.hidden) buildImage();
+    };
+
+    const getActiveItem = () => {
+      const visible = getVisibleItems();
+      if (!visible.length) return null;
+      return visible.find((el) => el.classList.contains("is-active")) || visible[0];
+    };
+
+    // Permalink: "#quote=<id>" (read by initDeepLinks on load)
+    const getPermalink = (item) => `${window.location.pathname}${window.location.search}#quote=${encodeURIComponent(getEntityId(item, "quote"))}`;
+
+    const writePermalink = (item) => {
+      try { window.history.replaceState(window.history.state, "", getPermalink(item)); } catch { }
+    };
+
+    // User picks: render + permalink. Deep links land here too, so a filtered-out target clears the filters first.
+    const selectItem = (item, { focus = false } = {}) => {
+      if (!item) return;
+      if (item.classList.contains("u-hide")) resetFilters();
+      renderFeatured(item);
+      writePermalink(item);
+      if (focus) item.focus?.();
+    };
+
+    const step = (dir) => {
+      const visible = getVisibleItems();
+      if (!visible.length) return;
+
+      const active = getActiveItem();
+      const i = Math.max(0, visible.indexOf(active));
+      const last = visible.length - 1;
+      const nextIndex = { next: Math.min(last, i + 1), prev: Math.max(0, i - 1), first: 0, last }[dir];
+
+      selectItem(visible[nextIndex], { focus: true });
+    };
+
+    /* ---------- Search + facets (year / type) ---------- */
+    const filters = { query: "", year: "", type: "" };
+
+    const types = [];
+    items.forEach((item) => {
+      const d = item.dataset;
+      if (d.qType && !types.some((t) => t.key === d.qType)) {
+        types.push({ key: d.qType, label: d.qTypeLabel || d.qType, icon: d.qTypeIcon || "fa-regular fa-newspaper" });
+      }
+    });
+    const years = Array.from(new Set(items.map((item) => item.dataset.qYear).filter(Boolean))).sort((a, b) => b.localeCompare(a));
+
+    const renderFacets = () => {
+      if (typeFilters) {
+        typeFilters.innerHTML = [{ key: "", label: i18n.t("quote.allTypes"), icon: "fa-solid fa-layer-group" }, ...types]
+          .map((type) => `
+            <button class="c-chip${type.key === filters.type ? " is-active" : ""}" type="button"
+              aria-pressed="${type.key === filters.type}" data-q-type-filter="${escapeHTML(type.key)}">
+              <i class="${escapeHTML(type.icon)}" aria-hidden="true"></i> ${escapeHTML(type.label)}
+            </button>`)
+          .join("");
+      }
+      if (yearFilter) {
+        yearFilter.innerHTML = [`<option value="">${escapeHTML(i18n.t("quote.allYears"))}</option>`]
+          .concat(years.map((y) => `<option value="${escapeHTML(y)}">${escapeHTML(y)}</option>`))
+          .join("");
+        yearFilter.value = filters.year;
+      }
+    };
+
+    const applyFilters = () => {
+      const tokens = normalizeArabic(filters.query).split(" ").filter(Boolean);
+      let shown = 0;
+
+      items.forEach((item) => {
+        const d = item.dataset;
+        const haystack = normalizeArabic([d.qText, d.qYear, d.qTypeLabel, d.qMeta, d.qSource, d.qId].join(" "));
+        const match = tokens.every((token) => haystack.includes(token))
+          && (!filters.year || d.qYear === filters.year)
+          && (!filters.type || d.qType === filters.type);
+
+        item.classList.toggle("u-hide", !match);
+        renderHighlighted(item.querySelector(".c-quote-item__text"), d.qText || "", match ? filters.query : "");
+        if (match) shown += 1;
+      });
+
+      if (emptyState) emptyState.classList.toggle("u-hide", shown !== 0);
+
+      const active = getActiveItem();
+      if (active) renderFeatured(active);
+    };
+
+    const resetFilters = () => {
+      Object.assign(filters, { query: "", year: "", type: "" });
+      if (searchInput) searchInput.value = "";
+      renderFacets();
+      applyFilters();
+    };
+
+    const copyFeatured = async () => {
+      const text = featured.dataset.qActiveText || tText?.textContent || "";
+      if (!text) return;
+
+      try {
+        await navigator.clipboard.writeText(text);
+        btnCopy?.classList.add("is-done");
+        setTimeout(() => btnCopy?.classList.remove("is-done"), 700);
+      } catch {
+        const ta = document.createElement("textarea");
+        ta.value = text;
+        ta.style.position = "fixed";
+        ta.style.opacity = "0";
+        document.body.appendChild(ta);
+        ta.select();
+        try { document.execCommand("copy"); } catch { }
+        document.body.removeChild(ta);
+      }
+    };
+
+    const shareFeatured = async () => {
+      const text = featured.dataset.qActiveText || tText?.textContent || "";
+      const meta = featured.dataset.qActiveMeta || tMeta?.textContent || "";
+      const payload = meta ? `${text}\n\n— ${meta}` : text;
+      if (!payload) return;
+
+      if (navigator.share) {
+        try { await navigator.share({ title: i18n.t("quote.shareTitle"), text: payload }); return; } catch { }
+      }
+      try { await navigator.clipboard.writeText(payload); } catch { }
+    };
+
+    // Share as image: preview per format, then download or hand the file to the share sheet
+    const image = {
+      format: "square",
+      file: null,
+      url: "",
+      token: 0,
+      preview: imagePanel?.querySelector("[data-q-image-preview]"),
+      status: imagePanel?.querySelector("[data-q-image-status]"),
+      formats: Array.from(imagePanel?.querySelectorAll("[data-q-image-format]") || []),
+    };
+
+    const buildImage = async () => {
+      const token = ++image.token;
+      imagePanel.setAttribute("aria-busy", "true");
+      if (image.status) image.status.textContent = i18n.t("quote.imageLoading");
+
+      const quote = {
+        id: featured.dataset.qActiveId,
+        text: featured.dataset.qActiveText || tText?.textContent || "",
+        who: featured.dataset.qActiveWho || "",
+        meta: featured.dataset.qActiveMeta || "",
+        source: featured.dataset.qActiveSource
+          ? i18n.t("quote.sourceLabel", { source: featured.dataset.qActiveSource })
+          : "",
+      };
+
+      let blob = null;
+      try { blob = await renderQuoteImage(quote, image.format); } catch { }
+      if (token !== image.token) return;
+
+      imagePanel.removeAttribute("aria-busy");
+      if (image.url) URL.revokeObjectURL(image.url);
+      image.url = blob ? URL.createObjectURL(blob) : "";
+      image.file = blob ? new File([blob], `quote-${quote.id || "archive"}-${image.format}.png`, { type: "image/png" }) : null;
+
+      if (image.preview) {
+        image.preview.hidden = !blob;
+        if (blob) image.preview.src = image.url;
+        image.preview.alt = i18n.t("quote.imageAlt", { format: i18n.t(`quote.format.${image.format}`) });
+      }
+      if (image.status) image.status.textContent = blob ? "" : i18n.t("quote.imageError");
+      imagePanel.querySelectorAll("[data-q-image-download], [data-q-image-share]").forEach((btn) => { btn.disabled = !blob; });
+    };
+
+    const downloadImage = () => {
+      if (!image.file) return;
+      const a = document.createElement("a");
+      a.href = image.url;
+      a.download = image.file.name;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+    };
+
+    const shareImage = async () => {
+      if (!image.file) return;
+      if (navigator.canShare?.({ files: [image.file] })) {
+        try {
+          await navigator.share({ files: [image.file], title: i18n.t("quote.shareTitle"), text: featured.dataset.qActiveText || "" });
+          return;
+        } catch (err) {
+          if (err?.name === "AbortError") return;
+        }
+      }
+      downloadImage();
+    };
+
+    const setImageFormat = (key) => {
+      image.format = QUOTE_IMAGE_FORMATS[key] ? key : "square";
+      image.formats.forEach((btn) => {
+        const on = btn.dataset.qImageFormat === image.format;
+        btn.classList.toggle("is-active", on);
+        btn.setAttribute("aria-checked", String(on));
+      });
+      buildImage();
+    };
+
+    const toggleImagePanel = () => {
+      const open = imagePanel.hidden;
+      imagePanel.hidden = !open;
+      btnShareImage.setAttribute("aria-expanded", String(open));
+      if (open) buildImage();
+    };
+
+    if (btnShareImage && imagePanel) {
+      btnShareImage.setAttribute("aria-expanded", "false");
+      btnShareImage.addEventListener("click", toggleImagePanel);
+      image.formats.forEach((btn) => btn.addEventListener("click", () => setImageFormat(btn.dataset.qImageFormat)));
+      imagePanel.querySelector("[data-q-image-download]")?.addEventListener("click", downloadImage);
+      imagePanel.querySelector("[data-q-image-share]")?.addEventListener("click", shareImage);
+    }
+
+    const copyPermalink = async () => {
+      const active = getActiveItem();
+      if (!active) return;
+      try {
+        await navigator.clipboard.writeText(new URL(getPermalink(active), window.location.href).href);
+        btnLink?.classList.add("is-done");
+        setTimeout(() => btnLink?.classList.remove("is-done"), 700);
+      } catch { }
+    };
+
+    listRoot.addEventListener("click", (e) => {
+      const item = e.target.closest("[data-q-item]");
+      if (!item || !listRoot.contains(item)) return;
+      selectItem(item);
+    });
+
+    listRoot.addEventListener("keydown", (e) => {
+      if (!ACTIVATION_KEYS.includes(e.key)) return;
+      const item = e.target.closest("[data-q-item]");
+      if (!item || !listRoot.contains(item)) return;
+      e.preventDefault();
+      selectItem(item);
+    });
+
+    // Prev/next shortcuts anywhere in the spotlight (not while typing); arrows follow reading direction
+    root.addEventListener("keydown", (e) => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+      if (e.target.closest("input, textarea, select, [contenteditable='true'], [role='radio']")) return;
+
+      const rtl = getComputedStyle(root).direction === "rtl";
+      const dir = {
+        ArrowDown: "next",
+        ArrowUp: "prev",
+        ArrowLeft: rtl ? "next" : "prev",
+        ArrowRight: rtl ? "prev" : "next",
+        Home: "first",
+        End: "last",
+      }[e.key];
+      if (!dir) return;
+
+      e.preventDefault();
+      step(dir);
+    });
+
+    typeFilters?.addEventListener("click", (e) => {
+      const chip = e.target.closest("[data-q-type-filter]");
+      if (!chip) return;
+      filters.type = chip.dataset.qTypeFilter;
+      typeFilters.querySelectorAll("[data-q-type-filter]").forEach((c) => {
+        const on = c === chip;
+        c.classList.toggle("is-active", on);
+        c.setAttribute("aria-pressed", String(on));
+      });
+      applyFilters();
+    });
+
+    let debounceId = null;
+    if (searchInput) {
+      searchInput.addEventListener("input", () => {
+        window.clearTimeout(debounceId);
+        debounceId = window.setTimeout(() => {
+          filters.query = searchInput.value;
+          applyFilters();
+        }, 150);
+      });
+    }
+    if (yearFilter) {
+      yearFilter.addEventListener("change", () => {
+        filters.year = yearFilter.value;
+        applyFilters();
+      });
+    }
+    if (btnPrev) btnPrev.addEventListener("click", () => step("prev"));
+    if (btnNext) btnNext.addEventListener("click", () => step("next"));
+    if (btnCopy) btnCopy.addEventListener("click", copyFeatured);
+    if (btnShare) btnShare.addEventListener("click", shareFeatured);
+    if (btnLink) btnLink.addEventListener("click", copyPermalink);
+
+    // The facet "all" labels are translated
+    document.addEventListener("i18n:change", renderFacets);
+
+    renderFacets();
+    const initial = items.find((el) => el.classList.contains("is-active")) || items[0];
+    renderFeatured(initial);
+  }
+
+  function bootQuotes() {
+    document.querySelectorAll(".c-quotes").forEach((section) => initQuotesSpotlight(section));
+  }
+
+  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", bootQuotes);
+  else bootQuotes();
+})();
+
+/* ============================================================
+   15) REELS — Dedicated Modal Feed (FIXED + Delegated)
+   ------------------------------------------------------------
+   Virtualized: every slide keeps its poster, but only the active slide
+   and REELS_LOAD_RADIUS neighbours on each side hold a video src. The
+   rest are unloaded (src removed + load()) so the browser drops their
+   buffers; loaded slides carry [data-reels-loaded] for easy inspection.
+   The active slide is picked by an IntersectionObserver on the viewport.
+
+   Gestures: vertical swipe (touch/pen) moves one reel when it is long or
+   fast enough, a wheel notch (or one trackpad flick) moves one reel, a tap
+   toggles playback and a double tap likes. Mute, "auto-next" and likes are
+   feed-wide and persisted in "saleh:reels".
+============================================================ */
+
+const REELS_LOAD_RADIUS = 1;
+const REELS_ACTIVE_RATIO = 0.6; // visible share that makes a slide the active one
+const REELS_PREFS_KEY = "saleh:reels";
+const REELS_DOUBLE_TAP_MS = 280;
+
+const REELS_SWIPE = {
+  tapSlop: 10, // px of movement still counted as a tap
+  minDistance: 48, // px, together with minVelocity
+  minVelocity: 0.35, // px/ms over the last REELS_SWIPE.sampleMs
+  pageRatio: 0.35, // a drag this share of the viewport always changes reel
+  sampleMs: 100,
+};
+
+const REELS_WHEEL = {
+  notchDelta: 50, // |deltaY| from a mouse wheel notch (trackpads send small deltas)
+  notchGapMs: 260, // min time between two notch steps
+  smoothThreshold: 60, // accumulated trackpad delta that makes one step
+  idleMs: 180, // a pause this long ends a trackpad gesture
+};
+
+const initReelsModal = () => {
+  const modalEl = document.getElementById("reelsModal");
+  if (!modalEl || !window.bootstrap?.Modal) return;
+
+  const viewport = modalEl.querySelector("[data-reels-viewport]");
+  const track = modalEl.querySelector("[data-reels-track]");
+  const dotsEl = modalEl.querySelector("[data-reels-dots]");
+  const btnPrev = modalEl.querySelector("[data-reels-prev]");
+  const btnNext = modalEl.querySelector("[data-reels-next]");
+
+  const sideTitle = modalEl.querySelector("[data-reel-side-title]");
+  const sideMeta = modalEl.querySelector("[data-reel-side-meta]");
+  const sideDuration = modalEl.querySelector("[data-reel-side-duration]");
+  const sideDate = modalEl.querySelector("[data-reel-side-date]");
+  const sideSource = modalEl.querySelector("[data-reel-side-source]");
+
+  if (!viewport || !track) return;
+
+  const bsModal = window.bootstrap.Modal.getOrCreateInstance(modalEl);
+
+  const getReelCards = () => Array.from(document.querySelectorAll("[data-reel-card]"));
+
+  const getReelDataFromCard = (el) => ({
+    id: el?.dataset?.reelId || "",
+    entityId: el ? getEntityId(el, "reel") : "",
+    title: el?.dataset?.reelTitle || i18n.t("type.reel"),
+    meta: el?.dataset?.reelMeta || "",
+    source: el?.dataset?.reelSource || "",
+    date: el?.dataset?.reelDate || "",
+    duration: el?.dataset?.reelDuration || "",
+    poster: el?.dataset?.reelPoster || "",
+    video: el?.dataset?.reelVideo || "",
+    sources: el?.dataset?.sources || "",
+    transcript: el?.dataset?.transcript || "",
+    transcriptLang: el?.dataset?.transcriptLang || "",
+  });
+
+  const formatDate = (iso) => archiveDates.format(iso) || iso || "—";
+
+  const prefs = (() => {
+    try {
+      const saved = JSON.parse(safeStorageGet(REELS_PREFS_KEY) || "{}") || {};
+      return {
+        muted: saved.muted !== false, // autoplay needs muted until the reader opts in
+        autoNext: saved.autoNext === true,
+        likes: Array.isArray(saved.likes) ? saved.likes : [],
+      };
+    } catch {
+      return { muted: true, autoNext: false, likes: [] };
+    }
+  })();
+
+  const savePrefs = () => safeStorageSet(REELS_PREFS_KEY, JSON.stringify(prefs));
+
+  const state = {
+    dataList: [],
+    activeIndex: 0,
+    isBuilt: false,
+    allowScrollSync: true,
+  };
+
+  const getSlides = () => Array.from(track.querySelectorAll("[data-reels-slide]"));
+
+  const loadSlide = (slide) => {
+    const v = slide.querySelector("video");
+    const d = state.dataList[Number(slide.dataset.reelsIndex)];
+    if (!v || slide.hasAttribute("data-reels-loaded")) return;
+
+    const sources = videoSources.parse(d?.sources, d?.video || "");
+    if (!sources.length) return;
+
+    transcripts.addTrack(v, d.transcript, d.transcriptLang);
+    // Neighbours stay poster-only (no hls.js, no manifest) until they actually play
+    v._sources = createVideoSourceController(v, sources, { lazy: true });
+    slide.appendChild(createQualityControl(v._sources, { className: "c-reels-slide__quality" }));
+    slide.appendChild(createVideoErrorNotice(v._sources));
+
+    // Shown until the first play; it's what's left when autoplay is blocked, even muted
+    const startBtn = document.createElement("button");
+    startBtn.className = "c-video-start";
+    startBtn.type = "button";
+    startBtn.setAttribute("aria-label", i18n.t("video.play", { title: d.title }));
+    startBtn.innerHTML = `<i class="fa-solid fa-play" aria-hidden="true"></i>`;
+    startBtn.addEventListener("click", () => togglePlay(slide));
+    slide.appendChild(startBtn);
+
+    v.addEventListener("play", () => startBtn.remove(), { once: true });
+    v._sources.onChange(() => {
+      if (v._sources?.failed) startBtn.remove();
+    });
+
+    slide.setAttribute("data-reels-loaded", "");
+  };
+
+  const unloadSlide = (slide) => {
+    const v = slide.querySelector("video");
+    if (!v || !slide.hasAttribute("data-reels-loaded")) return;
+
+    try { v.pause(); } catch { }
+    v._playback?.flush();
+    v._sources?.destroy();
+    v._sources = null;
+    slide.querySelector(".c-reels-slide__quality")?.remove();
+    slide.querySelector(".c-video-error")?.remove();
+    slide.querySelector(".c-video-start")?.remove();
+    v.querySelectorAll("track").forEach((t) => t.remove());
+    try { v.load(); } catch { } // releases the decoder + buffered data
+    slide.removeAttribute("data-reels-loaded");
+  };
+
+  // Only the active slide and its immediate neighbours keep a source
+  const virtualize = (index) => {
+    getSlides().forEach((slide, i) => {
+      if (Math.abs(i - index) <= REELS_LOAD_RADIUS) loadSlide(slide);
+      else unloadSlide(slide);
+    });
+  };
+
+  const slideObserver = new IntersectionObserver(
+    (entries) => {
+      if (!state.allowScrollSync) return;
+
+      const hit = entries
+        .filter((entry) => entry.isIntersecting && entry.intersectionRatio >= REELS_ACTIVE_RATIO)
+        .sort((a, b) => b.intersectionRatio - a.intersectionRatio)[0];
+      if (!hit) return;
+
+      const idx = Number(hit.target.dataset.reelsIndex);
+      if (idx !== state.activeIndex) setActive(idx);
+    },
+    { root: viewport, threshold: [REELS_ACTIVE_RATIO] }
+  );
+
+  const updateSide = (d) => {
+    if (sideTitle) sideTitle.textContent = d?.title || "—";
+    if (sideMeta) sideMeta.textContent = d?.meta || "—";
+    if (sideDuration) sideDuration.textContent = d?.duration || "—";
+    if (sideDate) sideDate.textContent = formatDate(d?.date || "");
+    if (sideSource) sideSource.textContent = d?.source || "—";
+  };
+
+  const pauseAllExcept = (index) => {
+    getSlides().forEach((slide, idx) => {
+      const v = slide.querySelector("video");
+      if (!v) return;
+      if (idx === index) return;
+      try { v.pause(); } catch { }
+    });
+  };
+
+  const playAt = (index) => {
+    const slide = getSlides()[index];
+    if (!slide) return;
+
+    const v = slide.querySelector("video");
+    if (!v) return;
+
+    applyPrefs(v);
+
+    // Use RAF after modal layout to reduce "play failed" cases; HLS via hls.js attaches asynchronously
+    (v._sources?.ready || Promise.resolve()).then(() => requestAnimationFrame(() => {
+      if (getSlides()[state.activeIndex] !== slide) return; // the reader moved on meanwhile
+      const p = v.play();
+      if (!p?.catch) return;
+      p.catch(() => {
+        // Sound may be what got blocked: retry muted for this slide only (prefs untouched)
+        if (v.muted) return;
+        v.muted = true;
+        syncSlide(slide);
+        v.play()?.catch?.(() => { /* blocked -> user can press play */ });
+      });
+    }));
+  };
+
+  const applyPrefs = (v) => {
+    v.muted = prefs.muted;
+    v.loop = !prefs.autoNext;
+  };
+
+  // pressed: true/false for on/off toggles; undefined for buttons whose label flips instead
+  const setActionState = (btn, { pressed, icon, label }) => {
+    if (!btn) return;
+    if (pressed === undefined) btn.removeAttribute("aria-pressed");
+    else btn.setAttribute("aria-pressed", String(pressed));
+    btn.setAttribute("aria-label", label);
+    btn.title = label;
+    btn.classList.toggle("is-active", pressed === true);
+    btn.innerHTML = `<i class="${icon}" aria-hidden="true"></i>`;
+  };
+
+  const syncSlide = (slide) => {
+    const v = slide?.querySelector("video");
+    if (!v) return;
+
+    const playing = !v.paused && !v.ended;
+    const liked = prefs.likes.includes(slide.dataset.reelsEntity);
+
+    setActionState(slide.querySelector("[data-reels-toggle]"), {
+      icon: playing ? "fa-solid fa-pause" : "fa-solid fa-play",
+      label: i18n.t(playing ? "reel.pause" : "reel.play"),
+    });
+    setActionState(slide.querySelector("[data-reels-mute]"), {
+      icon: v.muted ? "fa-solid fa-volume-xmark" : "fa-solid fa-volume-high",
+      label: i18n.t(v.muted ? "reel.unmute" : "reel.mute"),
+    });
+    setActionState(slide.querySelector("[data-reels-like]"), {
+      pressed: liked,
+      icon: liked ? "fa-solid fa-heart" : "fa-regular fa-heart",
+      label: i18n.t("reel.like"),
+    });
+    setActionState(slide.querySelector("[data-reels-autonext]"), {
+      pressed: prefs.autoNext,
+      icon: "fa-solid fa-forward",
+      label: i18n.t("reel.autoNext"),
+    });
+  };
+
+  const syncAllSlides = () => getSlides().forEach(syncSlide);
+
+  const togglePlay = (slide) => {
+    const v = slide?.querySelector("video");
+    if (!v) return;
+    if (v.paused || v.ended) {
+      const p = v.play();
+      if (p?.catch) p.catch(() => { });
+    } else {
+      try { v.pause(); } catch { }
+    }
+  };
+
+  // One mute state for the whole feed (and the next visit)
+  const toggleMute = (slide) => {
+    const v = slide?.querySelector("video");
+    prefs.muted = !(v ? v.muted : prefs.muted);
+    savePrefs();
+    getSlides().forEach((s) => {
+      const sv = s.querySelector("video");
+      if (sv) sv.muted = prefs.muted;
+    });
+    syncAllSlides();
+  };
+
+  const toggleAutoNext = () => {
+    prefs.autoNext = !prefs.autoNext;
+    savePrefs();
+    getSlides().forEach((s) => {
+      const sv = s.querySelector("video");
+      if (sv) sv.loop = !prefs.autoNext;
+    });
+    syncAllSlides();
+  };
+
+  const setLiked = (slide, liked) => {
+    const id = slide?.dataset.reelsEntity;
+    if (!id) return;
+
+    prefs.likes = prefs.likes.filter((x) => x !== id);
+    if (liked) prefs.likes.push(id);
+    savePrefs();
+    syncSlide(slide);
+
+    if (!liked) return;
+    const burst = slide.querySelector(".c-reels-slide__burst");
+    if (!burst) return;
+    burst.classList.remove("is-bursting");
+    void burst.offsetWidth; // restart the animation
+    burst.classList.add("is-bursting");
+  };
+
+  const syncProgress = (slide) => {
+    const v = slide.querySelector("video");
+    const bar = slide.querySelector(".c-reels-slide__progress span");
+    if (!v || !bar) return;
+    const d = v.duration;
+    bar.style.width = isFinite(d) && d > 0 ? `${Math.min(100, (v.currentTime / d) * 100)}%` : "0%";
+  };
+
+  const syncDots = (index) => {
+    if (!dotsEl) return;
+    const dots = Array.from(dotsEl.querySelectorAll(".c-reels-dot"));
+    dots.forEach((dot, i) => dot.classList.toggle("is-active", i === index));
+  };
+
+  const setActive = (index) => {
+    const clamped = Math.max(0, Math.min(index, state.dataList.length - 1));
+    state.activeIndex = clamped;
+
+    updateSide(state.dataList[clamped]);
+    pauseAllExcept(clamped);
+    virtualize(clamped);
+    syncDots(clamped);
+    playAt(clamped);
+    modalRoute.update("reel", state.dataList[clamped]?.entityId);
+
+    const slide = getSlides()[clamped];
+    slide?.querySelector("video")?._playback?.offerResume(slide, { overlay: true });
+  };
+
+  const teardownSlides = () => {
+    slideObserver.disconnect();
+    getSlides().forEach(unloadSlide);
+    track.innerHTML = "";
+    if (dotsEl) dotsEl.innerHTML = "";
+  };
+
+  const buildSlides = (activeId) => {
+    const reelCards = getReelCards();
+    if (!reelCards.length) return false;
+
+    teardownSlides();
+
+    state.dataList = reelCards.map(getReelDataFromCard);
+
+    state.dataList.forEach((d, idx) => {
+      const slide = document.createElement("article");
+      slide.className = "c-reels-slide";
+      slide.setAttribute("data-reels-slide", "");
+      slide.setAttribute("data-reels-id", d.id || `reel-${idx}`);
+      slide.dataset.reelsIndex = String(idx);
+      slide.dataset.reelsEntity = d.entityId;
+      slide.setAttribute("aria-label", d.title);
+
+      // No src yet: virtualize() attaches it when the slide comes near
+      const video = document.createElement("video");
+      video.className = "c-reels-slide__video";
+      if (d.poster) video.poster = d.poster;
+      video.preload = "metadata";
+      video.playsInline = true;
+      applyPrefs(video);
+
+      ["play", "pause", "ended", "volumechange"].forEach((type) => video.addEventListener(type, () => syncSlide(slide)));
+      ["timeupdate", "durationchange", "emptied"].forEach((type) => video.addEventListener(type, () => syncProgress(slide)));
+      video.addEventListener("ended", () => {
+        if (prefs.autoNext && Number(slide.dataset.reelsIndex) === state.activeIndex) goToIndex(state.activeIndex + 1);
+      });
+
+      video._playback = trackPlayback(video, { minSeconds: 3 });
+      video._playback.setEntry({ kind: "reel", id: d.entityId, title: d.title, cover: d.poster });
+
+      const shade = document.createElement("div");
+      shade.className = "c-reels-slide__shade";
+      shade.setAttribute("aria-hidden", "true");
+
+      const info = document.createElement("div");
+      info.className = "c-reels-slide__info";
+      info.innerHTML = `
+        <h3 class="c-reels-slide__title">${d.title}</h3>
+        <p class="c-reels-slide__meta">${d.meta || ""}</p>
+      `;
+
+      const actions = document.createElement("div");
+      actions.className = "c-reels-slide__actions";
+      actions.innerHTML = `
+        <button class="c-reels-action c-reels-action--like" type="button" data-reels-like></button>
+        <button class="c-reels-action" type="button" data-reels-toggle></button>
+        <button class="c-reels-action" type="button" data-reels-mute></button>
+        <button class="c-reels-action" type="button" data-reels-autonext></button>
+      `;
+
+      const progress = document.createElement("div");
+      progress.className = "c-reels-slide__progress";
+      progress.setAttribute("aria-hidden", "true");
+      progress.innerHTML = "<span></span>";
+
+      const burst = document.createElement("span");
+      burst.className = "c-reels-slide__burst";
+      burst.setAttribute("aria-hidden", "true");
+      burst.innerHTML = '<i class="fa-solid fa-heart"></i>';
+      burst.addEventListener("animationend", () => burst.classList.remove("is-bursting"));
+
+      slide.appendChild(video);
+      slide.appendChild(shade);
+      slide.appendChild(burst);
+      slide.appendChild(info);
+      slide.appendChild(actions);
+      slide.appendChild(progress);
+      syncSlide(slide);
+
+      track.appendChild(slide);
+      slideObserver.observe(slide);
+
+      if (dotsEl) {
+        const dot = document.createElement("span");
+        dot.className = "c-reels-dot";
+        dot.setAttribute("aria-hidden", "true");
+        dotsEl.appendChild(dot);
+      }
+    });
+
+    const found = state.dataList.findIndex((x) => x.id === activeId);
+    state.activeIndex = Math.max(0, found);
+
+    return true;
+  };
+
+  const goToIndex = (index) => {
+    const slides = getSlides();
+    const clamped = Math.max(0, Math.min(index, slides.length - 1));
+    const target = slides[clamped];
+    if (!target) return;
+
+    state.allowScrollSync = false;
+    target.scrollIntoView({ behavior: "smooth", block: "start" });
+
+    // Allow scroll sync after the smooth scroll settles
+    window.setTimeout(() => { state.allowScrollSync = true; }, 220);
+
+    // Snapping back to the current reel (short swipe) must not restart it
+    if (clamped !== state.activeIndex) setActive(clamped);
+  };
+
+  // Slide actions (like, play/pause, mute, auto-next) via delegation
+  track.addEventListener("click", (e) => {
+    const slide = e.target.closest("[data-reels-slide]");
+    if (!slide) return;
+
+    if (e.target.closest("[data-reels-like]")) setLiked(slide, !prefs.likes.includes(slide.dataset.reelsEntity));
+    if (e.target.closest("[data-reels-toggle]")) togglePlay(slide);
+    if (e.target.closest("[data-reels-mute]")) toggleMute(slide);
+    if (e.target.closest("[data-reels-autonext]")) toggleAutoNext();
+  });
+
+  /* Pointer gestures: drag/swipe (touch + pen), tap / double tap (any pointer) */
+  let drag = null;
+  let tapTimer = null;
+  let lastTapAt = 0;
+
+  const handleTap = (slide) => {
+    const now = performance.now();
+    if (now - lastTapAt < REELS_DOUBLE_TAP_MS) {
+      window.clearTimeout(tapTimer);
+      lastTapAt = 0;
+      setLiked(slide, true); // double tap only ever likes, like the platforms
+      return;
+    }
+
+    lastTapAt = now;
+    window.clearTimeout(tapTimer);
+    tapTimer = window.setTimeout(() => togglePlay(slide), REELS_DOUBLE_TAP_MS);
+  };
+
+  const endDrag = (e, cancelled = false) => {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const { slide, startY, samples, moved, swipe } = drag;
+    drag = null;
+    viewport.classList.remove("is-dragging");
+
+    if (cancelled) {
+      if (swipe) goToIndex(state.activeIndex);
+      return;
+    }
+
+    if (!moved) {
+      handleTap(slide);
+      return;
+    }
+    if (!swipe) return;
+
+    const dy = e.clientY - startY;
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const velocity = last.t > first.t ? (last.y - first.y) / (last.t - first.t) : 0;
+
+    const isSwipe = (Math.abs(dy) >= REELS_SWIPE.minDistance && Math.abs(velocity) >= REELS_SWIPE.minVelocity)
+      || Math.abs(dy) >= viewport.clientHeight * REELS_SWIPE.pageRatio;
+
+    // Finger up = content up = next reel
+    goToIndex(isSwipe ? state.activeIndex + (dy < 0 ? 1 : -1) : state.activeIndex);
+  };
+
+  viewport.addEventListener("pointerdown", (e) => {
+    if (!e.isPrimary || e.button !== 0) return;
+    const slide = e.target.closest("[data-reels-slide]");
+    if (!slide || e.target.closest("button, a, input, select, .c-resume")) return;
+
+    drag = {
+      pointerId: e.pointerId,
+      slide,
+      startY: e.clientY,
+      startTop: viewport.scrollTop,
+      samples: [{ y: e.clientY, t: e.timeStamp }],
+      moved: false,
+      swipe: e.pointerType !== "mouse",
+    };
+
+    if (drag.swipe) {
+      try { viewport.setPointerCapture(e.pointerId); } catch { }
+      viewport.classList.add("is-dragging");
+    }
+  });
+
+  viewport.addEventListener("pointermove", (e) => {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    const dy = e.clientY - drag.startY;
+    if (Math.abs(dy) > REELS_SWIPE.tapSlop) drag.moved = true;
+    if (!drag.swipe) return;
+
+    // Follow the finger (snap is off while .is-dragging)
+    viewport.scrollTop = drag.startTop - dy;
+    drag.samples.push({ y: e.clientY, t: e.timeStamp });
+    while (drag.samples.length > 2 && e.timeStamp - drag.samples[0].t > REELS_SWIPE.sampleMs) drag.samples.shift();
+  });
+
+  viewport.addEventListener("pointerup", (e) => endDrag(e));
+  viewport.addEventListener("pointercancel", (e) => endDrag(e, true));
+
+  /* Wheel: one reel per mouse notch, one reel per trackpad flick */
+  const wheel = { lockedUntil: 0, acc: 0, spent: false, idleTimer: null };
+
+  viewport.addEventListener("wheel", (e) => {
+    if (e.ctrlKey || Math.abs(e.deltaY) <= Math.abs(e.deltaX)) return; // pinch-zoom / sideways
+    e.preventDefault();
+
+    window.clearTimeout(wheel.idleTimer);
+    wheel.idleTimer = window.setTimeout(() => {
+      wheel.acc = 0;
+      wheel.spent = false;
+    }, REELS_WHEEL.idleMs);
+
+    const dir = e.deltaY > 0 ? 1 : -1;
+    const isNotch = e.deltaMode !== 0 || Math.abs(e.deltaY) >= REELS_WHEEL.notchDelta;
+
+    if (isNotch) {
+      if (e.timeStamp < wheel.lockedUntil) return;
+      wheel.lockedUntil = e.timeStamp + REELS_WHEEL.notchGapMs;
+      goToIndex(state.activeIndex + dir);
+      return;
+    }
+
+    if (wheel.spent) return;
+    wheel.acc += e.deltaY;
+    if (Math.abs(wheel.acc) < REELS_WHEEL.smoothThreshold) return;
+    wheel.spent = true;
+    goToIndex(state.activeIndex + dir);
+  }, { passive: false });
+
+  document.addEventListener("i18n:change", syncAllSlides);
+
+  // Keyboard navigation
+  viewport.addEventListener("keydown", (e) => {
+    if (e.target.closest("select")) return; // quality menu uses the arrows itself
+    if (e.key === "ArrowDown") { e.preventDefault(); goToIndex(state.activeIndex + 1); }
+    if (e.key === "ArrowUp") { e.preventDefault(); goToIndex(state.activeIndex - 1); }
+  });
+
+  if (btnPrev) btnPrev.addEventListener("click", () => goToIndex(state.activeIndex - 1));
+  if (btnNext) btnNext.addEventListener("click", () => goToIndex(state.activeIndex + 1));
+
+  // Cleanup on close
+  modalEl.addEventListener("hidden.bs.modal", () => {
+    teardownSlides();
+    state.isBuilt = false;
+  });
+
+  // Delegated open from any reel card (supports backend-rendered cards)
+  const openFromTrigger = (trigger) => {
+    const activeId = trigger.dataset.reelId || "";
+
+    // Build fresh each time (safe if backend updates list)
+    const ok = buildSlides(activeId);
+    if (!ok) return;
+
+    bsModal.show();
+    modalRoute.open("reel", getEntityId(trigger, "reel"), modalEl);
+
+    modalEl.addEventListener("shown.bs.modal", () => {
+      // Jump (no smooth scroll) to the opened reel; the observer takes over from there
+      state.allowScrollSync = false;
+      getSlides()[state.activeIndex]?.scrollIntoView({ block: "start" });
+
+      // Activate after modal layout is stable
+      requestAnimationFrame(() => {
+        setActive(state.activeIndex);
+        state.allowScrollSync = true;
+        try { viewport.focus(); } catch { }
+      });
+    }, { once: true });
+  };
+
+  document.addEventListener("click", (e) => {
+    const trigger = e.target.closest("[data-reel-card]");
+    if (!trigger) return;
+    openFromTrigger(trigger);
+  });
+
+  document.addEventListener("keydown", (e) => {
+    const trigger = e.target.closest("[data-reel-card][role='button']");
+    if (!trigger) return;
+    if (!ACTIVATION_KEYS.includes(e.key)) return;
+    e.preventDefault();
+    openFromTrigger(trigger);
+  });
+};
+
+/* ============================================================
+   16) Deep Link Targets (#media=, #reel=, #audio=, #quote=, #news=, #station=)
+       + modal routing / Back button
+============================================================ */
+
+/**
+ * Hash format: "#<kind>=<id>" (URLSearchParams syntax).
+ * Plain anchors like "#hub" or "#reels" are ignored.
+ */
+const flashDeepLinkTarget = (el) => {
+  if (!el) return;
+  el.scrollIntoView({ behavior: "smooth", block: "center" });
+  el.classList.add("is-deeplinked");
+  window.setTimeout(() => el.classList.remove("is-deeplinked"), 2400);
+};
+
+const DEEP_LINK_OPENERS = {
+  media: (el) => { flashDeepLinkTarget(el); el.click(); },
+  reel: (el) => { flashDeepLinkTarget(el); el.click(); },
+  audio: (el) => { flashDeepLinkTarget(el); el.click(); },
+  quote: (el) => { flashDeepLinkTarget(el.closest(".c-quotes") || el); el.click(); },
+  news: (el) => flashDeepLinkTarget(el),
+  station: (el) => { el.click(); flashDeepLinkTarget(el.closest(".c-timeline-hub") || el); },
+};
+
+const readDeepLink = () => {
+  const params = new URLSearchParams(window.location.hash.replace(/^#/, ""));
+  for (const [kind, id] of params) {
+    if (DEEP_LINK_OPENERS[kind] && id) return { kind, id };
+  }
+  return null;
+};
+
+const openDeepLinkTarget = () => {
+  const link = readDeepLink();
+  if (!link) return false;
+
+  const el = findEntityById(link.kind, link.id);
+  if (!el) return false;
+
+  DEEP_LINK_OPENERS[link.kind](el);
+  return true;
+};
+
+/**
+ * Feed items exist only once a page of the feed is rendered (e.g. behind
+ * "load more"): if the target isn't on the page yet, render it from the feed
+ * and retry whenever items are rendered, until the hash moves on.
+ */
+let deepLinkRetry = null;
+
+const openDeepLinkWhenReady = () => {
+  if (deepLinkRetry) document.removeEventListener("archive:items-rendered", deepLinkRetry);
+  deepLinkRetry = null;
+
+  if (openDeepLinkTarget()) return;
+  const link = readDeepLink();
+  if (!link) return;
+
+  const hash = window.location.hash;
+  const retry = () => {
+    if (window.location.hash === hash && !openDeepLinkTarget()) return;
+    document.removeEventListener("archive:items-rendered", retry);
+    if (deepLinkRetry === retry) deepLinkRetry = null;
+  };
+  deepLinkRetry = retry;
+  document.addEventListener("archive:items-rendered", retry);
+  revealFeedItem(link.kind, link.id);
+};
+
+/**
+ * Modal routing (media detail + reels):
+ * - opening from a card pushes "#media=<id>" / "#reel=<id>" as one history entry
+ * - moving between reels replaces that entry (no history spam)
+ * - Back pops the entry and closes the modal; closing the modal pops it too
+ * Arriving via a deep link pushes nothing: the hash is already there and is
+ * simply cleared on close.
+ */
+const modalRoute = {
+  active: null, // { kind, modalEl, pushed, popped }
+  suppressHashChange: false,
+
+  hashFor(kind, id) {
+    return `#${kind}=${encodeURIComponent(id)}`;
+  },
+
+  open(kind, id, modalEl) {
+    if (!id || !modalEl) return;
+    if (this.active) {
+      this.update(kind, id);
+      return;
+    }
+
+    const hash = this.hashFor(kind, id);
+    let pushed = false;
+    if (window.location.hash !== hash) {
+      try {
+        window.history.pushState({ modalRoute: kind }, "", hash);
+        pushed = true;
+      } catch { /* ignore (e.g. sandboxed iframes) */ }
+    }
+
+    this.active = { kind, modalEl, pushed, popped: false };
+    modalEl.addEventListener("hidden.bs.modal", () => this.closed(modalEl), { once: true });
+  },
+
+  update(kind, id) {
+    if (!this.active || this.active.kind !== kind || !id) return;
+    const hash = this.hashFor(kind, id);
+    if (window.location.hash === hash) return;
+    try { window.history.replaceState(window.history.state, "", hash); } catch { }
+  },
+
+  closed(modalEl) {
+    const route = this.active;
+    if (!route || route.modalEl !== modalEl) return;
+    this.active = null;
+
+    if (route.popped) return;
+    if (route.pushed) {
+      this.suppressHashChange = true;
+      window.history.back();
+      return;
+    }
+    try {
+      window.history.replaceState(window.history.state, "", window.location.pathname + window.location.search);
+    } catch { }
+  },
+
+  handlePopState() {
+    const route = this.active;
+    if (!route) return;
+
+    // Browser Back while a routed modal is open: close it, and don't let the
+    // hashchange that follows re-open whatever the previous hash pointed at.
+    route.popped = true;
+    this.suppressHashChange = true;
+    window.bootstrap?.Modal?.getInstance(route.modalEl)?.hide();
+  },
+};
+
+const initDeepLinks = () => {
+  window.addEventListener("popstate", () => modalRoute.handlePopState());
+  window.addEventListener("hashchange", () => {
+    if (modalRoute.suppressHashChange) {
+      modalRoute.suppressHashChange = false;
+      return;
+    }
+    openDeepLinkWhenReady();
+  });
+  openDeepLinkWhenReady();
+};
+
+/* ============================================================
+   17) Archive Search (offcanvas #offcanvasSearch)
+============================================================ */
+
+/**
+ * Runtime index built from the static pages themselves:
+ * each page is fetched once (same-origin) and parsed with DOMParser,
+ * so the HTML stays the single source of truth. If fetching is not possible
+ * (e.g. file://) the current document is indexed as a fallback.
+ *
+ * Feed items (section 18) only reach the pages through "load more", so the
+ * feed is indexed on its own; each type links to the page whose grid shows it.
+ */
+const SEARCH_SOURCES = [
+  { page: "index.html", kinds: ["media", "reel", "audio", "quote"] },
+  { page: "media.html", kinds: ["media", "reel"] },
+  { page: "news.html", kinds: ["news"] },
+  { page: "timeline.html", kinds: ["station"] },
+];
+
+const SEARCH_FEED = {
+  src: "assets/data/archive.json",
+  targets: {
+    photo: { page: "media.html", kind: "media" },
+    video: { page: "media.html", kind: "media" },
+    reel: { page: "media.html", kind: "reel" },
+    audio: { page: "index.html", kind: "audio" },
+  },
+};
+
+const SEARCH_GROUPS = [
+  { kind: "station", icon: "fa-solid fa-timeline" },
+  { kind: "media", icon: "fa-regular fa-images" },
+  { kind: "reel", icon: "fa-solid fa-mobile-screen-button" },
+  { kind: "audio", icon: "fa-solid fa-wave-square" },
+  { kind: "quote", icon: "fa-solid fa-quote-right" },
+  { kind: "news", icon: "fa-regular fa-newspaper" },
+];
+
+const SEARCH_MAX_PER_GROUP = 5;
+
+const textOf = (root, sel) => root.querySelector(sel)?.textContent?.replace(/\s+/g, " ").trim() || "";
+
+const SEARCH_EXTRACTORS = {
+  media: (doc) => Array.from(doc.querySelectorAll(ENTITY_SOURCES.media.selector)).map((el) => {
+    const d = el.dataset;
+    return {
+      id: getEntityId(el, "media"),
+      title: d.modalTitle || d.mediaTitle || "",
+      text: d.modalDescription || "",
+      meta: [d.modalBadge, d.modalTimestamp, d.modalSource, d.mediaYear].filter(Boolean),
+      transcript: d.transcript || "",
+    };
+  }),
+
+  reel: (doc) => Array.from(doc.querySelectorAll(ENTITY_SOURCES.reel.selector)).map((el) => {
+    const d = el.dataset;
+    return {
+      id: getEntityId(el, "reel"),
+      title: d.reelTitle || "",
+      text: d.reelMeta || "",
+      meta: [d.reelSource, d.reelDate].filter(Boolean),
+      transcript: d.transcript || "",
+    };
+  }),
+
+  audio: (doc) => Array.from(doc.querySelectorAll(ENTITY_SOURCES.audio.selector)).map((el) => {
+    const d = el.dataset;
+    return {
+      id: getEntityId(el, "audio"),
+      title: d.title || "",
+      text: d.desc || "",
+      meta: [d.categoryLabel, d.year, d.source].filter(Boolean),
+      transcript: d.transcript || "",
+    };
+  }),
+
+  quote: (doc) => Array.from(doc.querySelectorAll(ENTITY_SOURCES.quote.selector)).map((el) => {
+    const d = el.dataset;
+    return {
+      id: getEntityId(el, "quote"),
+      title: d.qText || "",
+      text: [d.qTitle, d.qSource].filter(Boolean).join(" "),
+      meta: [d.qTypeLabel, d.qMeta || d.qYear].filter(Boolean),
+    };
+  }),
+
+  news: (doc) => Array.from(doc.querySelectorAll(ENTITY_SOURCES.news.selector)).map((el) => ({
+    id: getEntityId(el, "news"),
+    title: textOf(el, ".c-news-card__title, .c-news-featured__title, .c-news-item__title"),
+    text: textOf(el, ".c-news-card__excerpt, .c-news-featured__excerpt, .c-news-item__excerpt"),
+    meta: [
+      textOf(el, ".c-news-card__badge, .c-pill"),
+      textOf(el, "time"),
+    ].filter(Boolean),
+  })),
+
+  // Stations come from the single data source (#hubStaticData), not the rendered panels
+  station: (doc) => Array.from(doc.querySelectorAll("#hubStaticData [data-id]")).map((el) => {
+    const d = el.dataset;
+    const facts = Array.from(el.querySelectorAll("[data-facts] [data-v]")).map((li) => li.dataset.v);
+    return {
+      id: d.id,
+      title: d.title || "",
+      text: [d.desc, d.lead, ...facts].filter(Boolean).join(" "),
+      meta: [d.year, d.badge].filter(Boolean),
+    };
+  }),
+};
+
+const buildSearchRecords = (doc, page, kinds) => {
+  const seen = new Set();
+  const records = [];
+
+  kinds.forEach((kind) => {
+    SEARCH_EXTRACTORS[kind](doc).forEach((r) => {
+      if (!r.id || !r.title) return;
+
+      // Demo grids repeat the same card; keep the first occurrence only
+      const dedupeKey = `${kind}|${normalizeArabic(r.title)}|${normalizeArabic(r.text)}`;
+      if (seen.has(dedupeKey)) return;
+      seen.add(dedupeKey);
+
+      records.push(toSearchRecord(r, kind, page));
+    });
+  });
+
+  return records;
+};
+
+const toSearchRecord = (r, kind, page) => ({
+  ...r,
+  kind,
+  page,
+  href: `${page}#${kind}=${encodeURIComponent(r.id)}`,
+  nTitle: normalizeArabic(r.title),
+  nBody: normalizeArabic([r.text, ...r.meta].join(" ")),
+});
+
+const loadSearchFeed = async () => {
+  try {
+    const items = await archiveData.load(SEARCH_FEED.src);
+    const records = items
+      .filter((item) => SEARCH_FEED.targets[item.type])
+      .map((item) => {
+        const { page, kind } = SEARCH_FEED.targets[item.type];
+        return toSearchRecord({
+          id: item.id,
+          title: item.title,
+          text: item.description || item.meta,
+          meta: [item.timestamp, item.source, item.year, item.categoryLabel].filter(Boolean),
+          transcript: item.transcript,
+        }, kind, page);
+      });
+    return await attachSearchTranscripts(records);
+  } catch {
+    return [];
+  }
+};
+
+// Cue text joins the body match; the cues are kept so a transcript-only hit can quote the line
+const attachSearchTranscripts = (records) => Promise.all(records.map(async (record) => {
+  if (!record.transcript) return record;
+
+  const cues = await transcripts.load(record.transcript);
+  if (!cues.length) return record;
+
+  record.cues = cues.map((cue) => ({ text: cue.text, nText: normalizeArabic(cue.text) }));
+  record.nBody += ` ${normalizeArabic(transcripts.toText(cues))}`;
+  return record;
+}));
+
+// First cue matching every token, only when title/text/meta alone would not have matched
+const findTranscriptExcerpt = (record, tokens) => {
+  if (!record.cues) return "";
+  const nVisible = `${record.nTitle} ${normalizeArabic([record.text, ...record.meta].join(" "))}`;
+  if (tokens.every((token) => nVisible.includes(token))) return "";
+
+  const hit = record.cues.find((cue) => tokens.every((token) => cue.nText.includes(token)))
+    || record.cues.find((cue) => tokens.some((token) => cue.nText.includes(token)));
+  return hit?.text || "";
+};
+
+const loadSearchSource = async ({ page, kinds }) => {
+  const currentFile = window.location.pathname.split("/").pop() || "index.html";
+
+  try {
+    const res = await fetch(page, { credentials: "same-origin" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const html = await res.text();
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    return await attachSearchTranscripts(buildSearchRecords(doc, page, kinds));
+  } catch {
+    return page === currentFile ? attachSearchTranscripts(buildSearchRecords(document, page, kinds)) : [];
+  }
+};
+
+let searchIndexPromise = null;
+
+const getSearchIndex = () => {
+  if (!searchIndexPromise) {
+    searchIndexPromise = Promise.all([...SEARCH_SOURCES.map(loadSearchSource), loadSearchFeed()]).then((lists) => {
+      // A feed item that is also in a page's markup links to the same place: keep one
+      const seen = new Set();
+      return lists.flat().filter((record) => {
+        if (seen.has(record.href)) return false;
+        seen.add(record.href);
+        return true;
+      });
+    });
+  }
+  return searchIndexPromise;
+};
+
+/**
+ * Every token must match (title or body). Title hits weigh more than body hits,
+ * prefix hits more than infix hits, and a full-phrase title hit gets a bonus.
+ */
+const scoreSearchRecord = (record, tokens, phrase) => {
+  let score = 0;
+
+  for (const token of tokens) {
+    const inTitle = record.nTitle.includes(token);
+    const inBody = record.nBody.includes(token);
+    if (!inTitle && !inBody) return 0;
+
+    if (record.nTitle.startsWith(token)) score += 6;
+    else if (record.nTitle.includes(` ${token}`)) score += 4;
+    else if (inTitle) score += 3;
+    if (inBody) score += 1;
+  }
+
+  if (tokens.length > 1 && record.nTitle.includes(phrase)) score += 5;
+  return score;
+};
+
+const searchArchive = (records, query) => {
+  const phrase = normalizeArabic(query);
+  const tokens = phrase.split(" ").filter((t) => t.length > 1 || /\d/.test(t));
+  if (!tokens.length) return [];
+
+  const hits = records
+    .map((record) => ({ record, score: scoreSearchRecord(record, tokens, phrase) }))
+    .filter((h) => h.score > 0);
+
+  return SEARCH_GROUPS
+    .map((group) => ({
+      ...group,
+      items: hits
+        .filter((h) => h.record.kind === group.kind)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, SEARCH_MAX_PER_GROUP)
+        .map((h) => ({ ...h.record, excerpt: findTranscriptExcerpt(h.record, tokens) })),
+    }))
+    .filter((group) => group.items.length);
+};
+
+const initArchiveSearch = () => {
+  const input = document.getElementById("offcanvasSearch");
+  if (!input) return;
+
+  const wrap = input.closest(".c-offcanvas__search") || input.parentElement;
+  const offcanvasEl = input.closest(".offcanvas");
+
+  const status = document.createElement("p");
+  status.className = "c-search__status u-muted";
+  status.setAttribute("aria-live", "polite");
+
+  const results = document.createElement("div");
+  results.className = "c-search__results";
+  results.id = "offcanvasSearchResults";
+  results.setAttribute("role", "listbox");
+  results.setAttribute("aria-label", i18n.t("search.results"));
+  results.hidden = true;
+
+  wrap.appendChild(status);
+  wrap.appendChild(results);
+
+  input.setAttribute("role", "combobox");
+  input.setAttribute("autocomplete", "off");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-controls", results.id);
+  input.setAttribute("aria-expanded", "false");
+
+  let options = [];
+  let activeIndex = -1;
+  let debounceId = null;
+  let lastQuery = "";
+
+  const setActiveOption = (index) => {
+    activeIndex = options.length ? (index + options.length) % options.length : -1;
+
+    options.forEach((opt, i) => {
+      const on = i === activeIndex;
+      opt.classList.toggle("is-active", on);
+      opt.setAttribute("aria-selected", String(on));
+    });
+
+    const active = options[activeIndex];
+    if (active) {
+      input.setAttribute("aria-activedescendant", active.id);
+      active.scrollIntoView({ block: "nearest" });
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  };
+
+  const close = () => {
+    results.hidden = true;
+    results.innerHTML = "";
+    options = [];
+    activeIndex = -1;
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+  };
+
+  const render = (groups) => {
+    results.innerHTML = groups.map((group) => `
+      <div class="c-search__group" role="group" aria-label="${escapeHTML(i18n.t(`search.group.${group.kind}`))}">
+        <p class="c-search__group-title" aria-hidden="true">
+          <i class="${group.icon}" aria-hidden="true"></i> ${escapeHTML(i18n.t(`search.group.${group.kind}`))}
+        </p>
+        ${group.items.map((item) => `
+          <a class="c-search__option" role="option" aria-selected="false" tabindex="-1" href="${escapeHTML(item.href)}">
+            <span class="c-search__title">${escapeHTML(item.title)}</span>
+            ${item.meta.length ? `<span class="c-search__meta">${escapeHTML(item.meta.join(" · "))}</span>` : ""}
+            ${item.excerpt ? `<span class="c-search__excerpt"><span class="visually-hidden">${escapeHTML(i18n.t("search.inTranscript"))}: </span>«${escapeHTML(item.excerpt)}»</span>` : ""}
+          </a>
+        `).join("")}
+      </div>
+    `).join("");
+
+    options = Array.from(results.querySelectorAll(".c-search__option"));
+    options.forEach((opt, i) => { opt.id = `offcanvasSearchOption-${i}`; });
+
+    results.hidden = !options.length;
+    input.setAttribute("aria-expanded", String(!!options.length));
+    activeIndex = -1;
+    input.removeAttribute("aria-activedescendant");
+  };
+
+  const run = async () => {
+    const query = input.value.trim();
+    lastQuery = query;
+
+    if (!query) {
+      close();
+      status.textContent = "";
+      return;
+    }
+
+    status.textContent = i18n.t("search.loading");
+    const records = await getSearchIndex();
+    if (query !== lastQuery) return; // a newer query is in flight
+
+    const groups = searchArchive(records, query);
+    const count = groups.reduce((n, g) => n + g.items.length, 0);
+
+    render(groups);
+    status.textContent = count ? i18n.t("search.count", { count: i18n.formatNumber(count) }) : i18n.t("search.empty");
+  };
+
+  const go = (option) => {
+    const href = option?.getAttribute("href");
+    if (!href) return;
+
+    if (offcanvasEl && window.bootstrap?.Offcanvas) {
+      window.bootstrap.Offcanvas.getInstance(offcanvasEl)?.hide();
+    }
+
+    window.location.href = href;
+  };
+
+  // Warm the index once the user shows intent
+  input.addEventListener("focus", () => { getSearchIndex(); }, { once: true });
+
+  input.addEventListener("input", () => {
+    window.clearTimeout(debounceId);
+    debounceId = window.setTimeout(run, 120);
+  });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown") {
+      if (!options.length) return;
+      e.preventDefault();
+      setActiveOption(activeIndex + 1);
+    } else if (e.key === "ArrowUp") {
+      if (!options.length) return;
+      e.preventDefault();
+      setActiveOption(activeIndex < 0 ? options.length - 1 : activeIndex - 1);
+    } else if (e.key === "Enter") {
+      if (!options.length) return;
+      e.preventDefault();
+      go(options[Math.max(0, activeIndex)]);
+    } else if (e.key === "Escape" && !results.hidden) {
+      // First Escape clears results; the next one lets Bootstrap close the offcanvas
+      e.stopPropagation();
+      input.value = "";
+      status.textContent = "";
+      close();
+    }
+  });
+
+  results.addEventListener("click", (e) => {
+    const option = e.target.closest(".c-search__option");
+    if (!option) return;
+    e.preventDefault();
+    go(option);
+  });
+
+  // Header search icon: open the offcanvas and focus the search field
+  const headerBtn = document.querySelector(".c-header__actions [data-search-open]");
+  if (headerBtn && offcanvasEl && window.bootstrap?.Offcanvas) {
+    headerBtn.addEventListener("click", () => {
+      offcanvasEl.addEventListener("shown.bs.offcanvas", () => input.focus(), { once: true });
+      window.bootstrap.Offcanvas.getOrCreateInstance(offcanvasEl).show();
+    });
+  }
+};
+
+/* ============================================================
+   18) Archive Data Layer (JSON feed -> dataset-driven cards)
+============================================================ */
+
+/**
+ * Feed schema (assets/data/archive.json):
+ *
+ * {
+ *   "version": 1,
+ *   "items": [ArchiveItem, ...]
+ * }
+ *
+ * @typedef {Object} ArchiveItem
+ * @property {string} id            Unique, stable id (used for deep links + dedupe)
+ * @property {"photo"|"video"|"reel"|"audio"} type
+ * @property {string} title
+ * @property {string} [description]
+ * @property {string} [date]        ISO date "YYYY-MM-DD"
+ * @property {string} [year]        Defaults to the year part of `date`
+ * @property {string} [timestamp]   Human readable date (e.g. "2 يناير 2024")
+ * @property {string} [source]
+ * @property {string} [image]       Poster / cover / photo URL
+ * @property {string} [video]       Video URL (video + reel)
+ * @property {Array<string|{src: string, type?: string, label?: string, height?: number}>} [sources]
+ *                                  Renditions / HLS manifest (video + reel), see "0.4) Video Sources"
+ * @property {string} [audio]       Audio URL (audio)
+ * @property {string} [duration]    "mm:ss"
+ * @property {string} [location]
+ * @property {string} [tag]
+ * @property {string} [meta]        Reel subtitle line
+ * @property {string} [category]    Audio category key (ruh | quran | hamasi | ritha)
+ * @property {string} [categoryLabel]
+ * @property {number} [plays]
+ * @property {string} [transcript]  WebVTT URL (video, reel, audio): captions + transcript + search
+ * @property {string} [transcriptLang] BCP 47 language of the transcript (default "ar")
+ *
+ * Markup hooks:
+ * - [data-feed-src]        container rendered/paginated from the feed
+ * - [data-feed-type]       item type(s) to take, comma separated (defaults to the container's data-grid)
+ * - [data-feed-template]   media | reel | audio | audioCard (defaults from type)
+ * - [data-feed-page-size]  items per page (default 6)
+ * - [data-feed-autoload]   render the first page on load even if the container already has items
+ * - .js-load-more[data-load-type] appends the next page to [data-grid="<type>"]
+ *
+ * The transport is pluggable: archiveData.setAdapter(async (url) => json)
+ */
+const FEED_DEFAULT_PAGE_SIZE = 6;
+const FEED_TYPES = ["photo", "video", "reel", "audio"];
+
+const fetchJsonAdapter = async (url) => {
+  const res = await fetch(url, { credentials: "same-origin" });
+  if (!res.ok) throw new Error(`Feed request failed (${res.status}): ${url}`);
+  return res.json();
+};
+
+const normalizeFeedItem = (raw) => {
+  if (!raw || typeof raw !== "object") return null;
+
+  const id = String(raw.id ?? "").trim();
+  const type = String(raw.type ?? "").trim().toLowerCase();
+  const title = String(raw.title ?? "").trim();
+  if (!id || !title || !FEED_TYPES.includes(type)) return null;
+
+  const date = String(raw.date ?? "").trim();
+
+  return {
+    id,
+    type,
+    title,
+    description: raw.description || "",
+    date,
+    year: String(raw.year || date.slice(0, 4) || ""),
+    timestamp: raw.timestamp || date,
+    source: raw.source || "",
+    image: raw.image || "",
+    video: raw.video || "",
+    sources: Array.isArray(raw.sources) ? raw.sources : [],
+    audio: raw.audio || "",
+    duration: raw.duration || "",
+    location: raw.location || "",
+    tag: raw.tag || "",
+    meta: raw.meta || "",
+    category: raw.category || "",
+    categoryLabel: raw.categoryLabel || raw.category || "",
+    plays: Number(raw.plays) || 0,
+    transcript: raw.transcript || "",
+    transcriptLang: raw.transcriptLang || "",
+  };
+};
+
+const FEED_BADGE_ICONS = { photo: "fa-regular fa-image", video: "fa-solid fa-video", reel: "fa-solid fa-video" };
+
+const renderFeedBadge = (type) =>
+  FEED_BADGE_ICONS[type]
+    ? `<span class="c-badge c-badge--${type}"><i class="${FEED_BADGE_ICONS[type]}"></i>${escapeHTML(i18n.t(`type.${type}`))}</span>`
+    : "";
+
+const assignDataset = (el, data) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === "" || value == null) return;
+    el.dataset[key] = String(value);
+  });
+  return el;
+};
+
+/**
+ * Templates return a detached element whose dataset matches what the
+ * existing initializers read (initMediaModals / initReelsModal / initAudioLibrary).
+ */
+const FEED_TEMPLATES = {
+  media: (item) => {
+    const el = document.createElement("article");
+    el.className = "c-media-card";
+    el.setAttribute("role", "button");
+    el.tabIndex = 0;
+    el.setAttribute("data-media-card", "");
+
+    assignDataset(el, {
+      mediaId: item.id,
+      mediaType: item.type,
+      mediaTitle: item.title,
+      mediaYear: item.year,
+      mediaDate: item.date,
+      mediaDuration: item.duration,
+      mediaLocation: item.location,
+      mediaTag: item.tag,
+      modalTitle: item.title,
+      modalDescription: item.description,
+      modalBadge: i18n.t(`type.${item.type}`),
+      modalTimestamp: item.timestamp,
+      modalSource: item.source,
+      modalImage: item.image,
+      modalVideo: item.video,
+      sources: item.sources.length ? JSON.stringify(item.sources) : "",
+      transcript: item.transcript,
+      transcriptLang: item.transcriptLang,
+    });
+
+    const isVideo = item.type === "video";
+    el.innerHTML = `
+      <div class="c-media-card__media${isVideo ? " u-aspect-16x9" : ""}">
+        <img src="${escapeHTML(item.image)}" alt="${escapeHTML(item.title)}" loading="lazy" />
+        ${isVideo ? '<div class="c-media-card__overlay"><span class="c-media-card__play" aria-hidden="true"><i class="fa-solid fa-play"></i></span></div>' : ""}
+        <div class="c-media-card__badge">${renderFeedBadge(item.type)}</div>
+      </div>
+      <div class="c-media-card__content">
+        <h3 class="c-media-card__title">${escapeHTML(item.title)}</h3>
+        <p class="u-muted">${escapeHTML(item.year)}</p>
+        <div class="c-media-card__details">
+          <span>${escapeHTML(i18n.t(`type.${item.type}`))}</span>
+          <span class="u-muted">${escapeHTML(i18n.t("common.details"))}</span>
+        </div>
+      </div>
+    `;
+    return el;
+  },
+
+  reel: (item) => {
+    const el = document.createElement("article");
+    el.className = "c-media-card c-reel-card";
+    el.setAttribute("role", "button");
+    el.tabIndex = 0;
+    el.setAttribute("data-reel-card", "");
+
+    assignDataset(el, {
+      reelId: item.id,
+      reelTitle: item.title,
+      reelMeta: item.meta || item.description,
+      reelSource: item.source,
+      reelDate: item.date,
+      reelDuration: item.duration,
+      reelPoster: item.image,
+      reelVideo: item.video,
+      sources: item.sources.length ? JSON.stringify(item.sources) : "",
+      transcript: item.transcript,
+      transcriptLang: item.transcriptLang,
+    });
+
+    el.innerHTML = `
+      <div class="c-reel-card__media" aria-hidden="true">
+        <img src="${escapeHTML(item.image)}" alt="" loading="lazy">
+        <span class="c-reel-card__shade" aria-hidden="true"></span>
+        <div class="c-media-card__badge">${renderFeedBadge("reel")}</div>
+        <span class="c-reel-card__play" aria-hidden="true"><i class="fa-solid fa-play"></i></span>
+      </div>
+      <div class="c-reel-card__content">
+        <h3 class="c-reel-card__title">${escapeHTML(item.title)}</h3>
+        <p class="c-reel-card__desc">${escapeHTML(item.meta || item.description)}</p>
+      </div>
+    `;
+    return el;
+  },
+
+  // Home audio library row
+  audio: (item) => {
+    const el = document.createElement("article");
+    el.className = "c-audio-row";
+    el.setAttribute("role", "listitem");
+    el.tabIndex = 0;
+    el.setAttribute("data-audio-item", "");
+
+    assignDataset(el, {
+      audioId: item.id,
+      title: item.title,
+      desc: item.description,
+      year: item.year,
+      source: item.source,
+      category: item.category,
+      categoryLabel: item.categoryLabel,
+      plays: item.plays || "",
+      date: item.date,
+      cover: item.image,
+      audio: item.audio,
+      transcript: item.transcript,
+      transcriptLang: item.transcriptLang,
+    });
+
+    el.innerHTML = `
+      <div class="c-audio-row__time">
+        <span class="c-audio-row__timeText" data-duration>--:--</span>
+      </div>
+      <div class="c-audio-row__plays">
+        <span class="c-audio-row__playsText" data-plays-text>${escapeHTML(formatCompactNumber(item.plays))}</span>
+      </div>
+      <div class="c-audio-row__main">
+        <div class="c-audio-row__thumb">
+          <img src="${escapeHTML(item.image)}" alt="" loading="lazy" />
+          <span class="c-audio-row__playIcon" aria-hidden="true"><i class="fa-solid fa-play"></i></span>
+        </div>
+        <div class="c-audio-row__info">
+          <h4 class="c-audio-row__title">${escapeHTML(item.title)}</h4>
+          <p class="c-audio-row__sub u-muted">${escapeHTML([item.year, item.description].filter(Boolean).join(" · "))}</p>
+        </div>
+      </div>
+      <div class="c-audio-row__actions">
+        <button class="c-icon-btn" type="button" aria-label="${escapeHTML(i18n.t("common.play"))}" data-audio-play>
+          <i class="fa-solid fa-play" aria-hidden="true"></i>
+        </button>
+        <button class="c-icon-btn" type="button" aria-label="${escapeHTML(i18n.t("common.copyLink"))}" data-audio-copy>
+          <i class="fa-regular fa-copy" aria-hidden="true"></i>
+        </button>
+      </div>
+    `;
+    return el;
+  },
+
+  // Media center audio card (inline player + details button)
+  audioCard: (item) => {
+    const el = document.createElement("article");
+    el.className = "c-media-card c-audio";
+    el.setAttribute("role", "button");
+    el.tabIndex = 0;
+
+    assignDataset(el, {
+      mediaId: item.id,
+      mediaTitle: item.title,
+      mediaYear: item.year,
+      mediaDate: item.date,
+      modalTitle: item.title,
+      modalDescription: item.description,
+      modalBadge: i18n.t("type.audio"),
+      modalTimestamp: item.timestamp,
+      modalSource: item.source,
+      modalImage: item.image,
+    });
+
+    el.innerHTML = `
+      <header class="c-audio__top">
+        <div class="c-audio__icon" aria-hidden="true"><i class="fa-solid fa-microphone-lines"></i></div>
+        <div class="c-audio__top-copy">
+          <h3 class="c-audio__title">${escapeHTML(item.title)}</h3>
+          <p class="c-audio__meta">
+            <span class="c-audio__year">${escapeHTML(item.year)}</span>
+            <span class="c-audio__dot" aria-hidden="true">•</span>
+            <span class="c-audio__source">${escapeHTML(item.source)}</span>
+          </p>
+        </div>
+        <div class="c-audio__chips" aria-label="${escapeHTML(i18n.t("common.categories"))}">
+          ${item.categoryLabel ? `<span class="c-audio__chip">${escapeHTML(item.categoryLabel)}</span>` : ""}
+          <span class="c-audio__chip c-audio__chip--accent">${escapeHTML(i18n.t("type.audio"))}</span>
+        </div>
+      </header>
+      <div class="c-audio-player__plyr c-audio__player">
+        <audio class="js-plyr" controls preload="metadata">
+          <source src="${escapeHTML(item.audio)}" type="audio/mpeg" />
+        </audio>
+      </div>
+      <footer class="c-audio__footer">
+        <button class="c-btn c-btn--ghost c-audio__btn" type="button" data-media-card>${escapeHTML(i18n.t("common.details"))}</button>
+      </footer>
+    `;
+
+    assignDataset(el.querySelector("[data-media-card]"), {
+      mediaId: item.id,
+      modalTitle: item.title,
+      modalDescription: item.description,
+      modalBadge: i18n.t("type.audio"),
+      modalTimestamp: item.timestamp,
+      modalSource: item.source,
+      modalImage: item.image,
+      modalAudio: item.audio,
+      mediaDuration: item.duration,
+    });
+
+    return el;
+  },
+};
+
+const FEED_TEMPLATE_BY_TYPE = { photo: "media", video: "media", reel: "reel", audio: "audio" };
+
+const archiveData = {
+  adapter: fetchJsonAdapter,
+  templates: FEED_TEMPLATES,
+  cache: new Map(),
+
+  /** Swap the transport (e.g. a CMS client or a test stub). Clears the cache. */
+  setAdapter(adapter) {
+    if (typeof adapter !== "function") return;
+    this.adapter = adapter;
+    this.cache.clear();
+  },
+
+  /** Load + validate a feed once per URL. Invalid items are dropped. */
+  load(src) {
+    if (!this.cache.has(src)) {
+      const request = Promise.resolve(this.adapter(src)).then((json) => {
+        const raw = Array.isArray(json) ? json : json?.items;
+        if (!Array.isArray(raw)) throw new Error(`Feed has no "items" array: ${src}`);
+        return raw.map(normalizeFeedItem).filter(Boolean);
+      });
+
+      // Do not cache failures; a later call may succeed (e.g. after reconnecting)
+      request.catch(() => this.cache.delete(src));
+      this.cache.set(src, request);
+    }
+    return this.cache.get(src);
+  },
+
+  render(item, templateName) {
+    const template = this.templates[templateName || FEED_TEMPLATE_BY_TYPE[item.type]];
+    return template ? template(item) : null;
+  },
+};
+
+const getCardEntityId = (el) =>
+  el.dataset.mediaId || el.dataset.reelId || el.dataset.audioId ||
+  el.querySelector("[data-media-id]")?.dataset.mediaId || "";
+
+/**
+ * One paginator per [data-feed-src] container.
+ * Items already present in the HTML (same id) are skipped, so hand-authored
+ * cards and feed cards can coexist without duplicates.
+ */
+const createFeedPaginator = (container) => {
+  const src = container.dataset.feedSrc;
+  const types = (container.dataset.feedType || container.dataset.grid || "")
+    .split(",").map((t) => t.trim()).filter(Boolean);
+  const templateName = container.dataset.feedTemplate || "";
+  const pageSize = Number(container.dataset.feedPageSize) || FEED_DEFAULT_PAGE_SIZE;
+
+  let queue = null;
+  let cursor = 0;
+
+  const getQueue = async () => {
+    if (queue) return queue;
+
+    const existing = new Set(
+      Array.from(container.children).map(getCardEntityId).filter(Boolean)
+    );
+
+    const items = await archiveData.load(src);
+    queue = items.filter((it) => (!types.length || types.includes(it.type)) && !existing.has(it.id));
+    return queue;
+  };
+
+  const nextPage = async () => {
+    const items = await getQueue();
+    const page = items.slice(cursor, cursor + pageSize);
+    cursor += page.length;
+
+    const elements = page.map((it) => archiveData.render(it, templateName)).filter(Boolean);
+    elements.forEach((el) => container.appendChild(el));
+
+    if (elements.length) {
+      container.dispatchEvent(new CustomEvent("archive:items-rendered", {
+        bubbles: true,
+        detail: { elements, types },
+      }));
+    }
+
+    return { added: elements.length, hasMore: cursor < items.length };
+  };
+
+  // One item out of page order (deep links); it leaves the queue so no later page repeats it
+  const reveal = async (id, selector) => {
+    const items = await getQueue();
+    const idx = items.findIndex((it) => it.id === id);
+    if (idx < cursor) return null; // not in this feed, or already on the page
+
+    const el = archiveData.render(items[idx], templateName);
+    const target = el && (el.matches(selector) ? el : el.querySelector(selector));
+    if (!target) return null;
+
+    items.splice(idx, 1);
+    container.appendChild(el);
+    container.dispatchEvent(new CustomEvent("archive:items-rendered", {
+      bubbles: true,
+      detail: { elements: [el], types },
+    }));
+    return target;
+  };
+
+  return { nextPage, reveal };
+};
+
+/** Paginators of the current page (container -> paginator), set up by initArchiveFeeds */
+const feedPaginators = new Map();
+
+/** Render the feed item behind a link (kind + id, see ENTITY_SOURCES); resolves with it or null. */
+const revealFeedItem = async (kind, id) => {
+  const selector = ENTITY_SOURCES[kind]?.selector;
+  if (!selector || !id) return null;
+
+  for (const paginator of feedPaginators.values()) {
+    try {
+      const el = await paginator.reveal(id, selector);
+      if (el) return el;
+    } catch { }
+  }
+  return null;
+};
+
+const setLoadMoreState = (btn, state) => {
+  if (!btn) return;
+  if (!btn.dataset.label) btn.dataset.label = btn.textContent.trim();
+
+  btn.setAttribute("aria-busy", String(state === "loading"));
+  btn.disabled = state !== "idle";
+  btn.classList.toggle("is-disabled", state === "done" || state === "error");
+
+  if (state === "loading") btn.textContent = i18n.t("feed.loading");
+  else if (state === "done") btn.textContent = i18n.t("feed.done");
+  else if (state === "error") btn.textContent = i18n.t("feed.error");
+  else btn.textContent = btn.dataset.label;
+};
+
+const initArchiveFeeds = () => {
+  const containers = Array.from(document.querySelectorAll("[data-feed-src]"));
+  if (!containers.length) return;
+
+  containers.forEach((c) => feedPaginators.set(c, createFeedPaginator(c)));
+
+  const loadInto = async (container, btn) => {
+    const paginator = feedPaginators.get(container);
+    setLoadMoreState(btn, "loading");
+
+    try {
+      const { hasMore } = await paginator.nextPage();
+      setLoadMoreState(btn, hasMore ? "idle" : "done");
+    } catch {
+      // The load-more button shows the failure and re-arms itself
+      setLoadMoreState(btn, "error");
+      if (btn) window.setTimeout(() => setLoadMoreState(btn, "idle"), 2500);
+    }
+  };
+
+  const findLoadMore = (container) => {
+    const type = container.dataset.grid;
+    return type ? document.querySelector(`.js-load-more[data-load-type="${type}"]`) : null;
+  };
+
+  containers.forEach((container) => {
+    const btn = findLoadMore(container);
+    if (btn) btn.addEventListener("click", () => loadInto(container, btn));
+
+    const isEmpty = !container.children.length;
+    if (isEmpty || container.hasAttribute("data-feed-autoload")) loadInto(container, btn);
+  });
+};
+
+/* ============================================================
+   19) Audio Library — Filter Chips, Search, Sort
+============================================================ */
+
+/**
+ * Works on the DOM only: rows are hidden (u-hide) and re-appended in sorted
+ * order. The player keeps its own reference to the current row, so
+ * filtering/sorting never interrupts playback.
+ */
+const AUDIO_SORTERS = {
+  recent: (a, b) => (b.dataset.date || "").localeCompare(a.dataset.date || ""),
+  oldest: (a, b) => (a.dataset.date || "").localeCompare(b.dataset.date || ""),
+  popular: (a, b) => (Number(b.dataset.plays) || 0) - (Number(a.dataset.plays) || 0),
+  duration: (a, b) => (b._duration || 0) - (a._duration || 0),
+  title: (a, b) => (a.dataset.title || "").localeCompare(b.dataset.title || "", "ar"),
+};
+
+const initAudioLibraryFilters = () => {
+  const list = document.querySelector("[data-audio-list]");
+  if (!list) return;
+
+  const searchInput = document.querySelector("[data-audio-search]");
+  const filtersRoot = document.querySelector("[data-audio-filters]");
+  const sortSelect = document.querySelector("[data-audio-sort]");
+  const emptyState = document.querySelector("[data-audio-empty]");
+  const countEl = document.querySelector("[data-audio-count]");
+
+  const chips = filtersRoot ? Array.from(filtersRoot.querySelectorAll("[data-filter]")) : [];
+
+  const state = {
+    category: chips.find((c) => c.classList.contains("is-active"))?.dataset.filter || "all",
+    query: "",
+    sort: sortSelect?.value || "recent",
+  };
+
+  const getRows = () => Array.from(list.querySelectorAll("[data-audio-item]"));
+
+  const rowHaystack = (row) => {
+    if (row._searchText == null) {
+      const d = row.dataset;
+      row._searchText = normalizeArabic([d.title, d.desc, d.source, d.year, d.categoryLabel].join(" "));
+    }
+    return row._searchText;
+  };
+
+  const matches = (row) => {
+    if (state.category !== "all" && row.dataset.category !== state.category) return false;
+    if (!state.query) return true;
+    const haystack = rowHaystack(row);
+    return state.query.split(" ").every((token) => haystack.includes(token));
+  };
+
+  const apply = () => {
+    const rows = getRows();
+    const sorter = AUDIO_SORTERS[state.sort] || AUDIO_SORTERS.recent;
+
+    rows.sort(sorter).forEach((row) => list.appendChild(row));
+
+    let shown = 0;
+    rows.forEach((row) => {
+      const show = matches(row);
+      row.classList.toggle("u-hide", !show);
+      row.hidden = !show;
+      if (show) shown += 1;
+    });
+
+    if (emptyState) emptyState.classList.toggle("u-hide", shown !== 0);
+    if (countEl) {
+      countEl.textContent = shown === rows.length
+        ? i18n.t("audio.count", { total: i18n.formatNumber(rows.length) })
+        : i18n.t("audio.countFiltered", { shown: i18n.formatNumber(shown), total: i18n.formatNumber(rows.length) });
+    }
+
+    list.dispatchEvent(new CustomEvent("audio:view-change", { bubbles: true }));
+  };
+
+  const activateChip = (chip) => {
+    chips.forEach((c) => {
+      const on = c === chip;
+      c.classList.toggle("is-active", on);
+      c.setAttribute("aria-selected", String(on));
+    });
+    state.category = chip.dataset.filter || "all";
+    apply();
+  };
+
+  chips.forEach((chip) => {
+    chip.setAttribute("role", "tab");
+    chip.setAttribute("aria-selected", String(chip.classList.contains("is-active")));
+    chip.addEventListener("click", () => activateChip(chip));
+  });
+
+  let debounceId = null;
+  if (searchInput) {
+    searchInput.addEventListener("input", () => {
+      window.clearTimeout(debounceId);
+      debounceId = window.setTimeout(() => {
+        state.query = normalizeArabic(searchInput.value);
+        apply();
+      }, 120);
+    });
+  }
+
+  if (sortSelect) {
+    sortSelect.addEventListener("change", () => {
+      state.sort = sortSelect.value;
+      apply();
+    });
+  }
+
+  // Feed rows and late duration metadata both affect the current view
+  list.addEventListener("archive:items-rendered", apply);
+  list.addEventListener("audio:duration-ready", () => {
+    if (state.sort === "duration") apply();
+  });
+
+  document.addEventListener("i18n:change", apply);
+  apply();
+};
+
+/* ============================================================
+   20) Playback Memory (resume positions + recently played)
+   ------------------------------------------------------------
+   One localStorage record, namespaced + versioned:
+     "saleh:playback:v1" -> { v, positions: { "audio:a-3": {t, d, at} }, history: [...] }
+   Bumping PLAYBACK_STORE_VERSION drops older records (see readPlaybackStore)
+   instead of feeding an old shape to new code.
+============================================================ */
+
+const PLAYBACK_STORE_NAMESPACE = "saleh:playback";
+const PLAYBACK_STORE_VERSION = 1;
+const PLAYBACK_STORE_KEY = `${PLAYBACK_STORE_NAMESPACE}:v${PLAYBACK_STORE_VERSION}`;
+
+const PLAYBACK_LIMITS = {
+  positions: 200, // oldest entries are evicted first
+  history: 12,
+  saveEvery: 5, // seconds of playback between writes
+  tailSkip: 8, // closer than this to the end counts as "finished"
+};
+
+const PLAYBACK_KIND_TYPES = { audio: "audio", media: "video", reel: "reel" };
+const PLAYBACK_KIND_ICONS = {
+  audio: "fa-solid fa-headphones-simple",
+  media: "fa-solid fa-film",
+  reel: "fa-solid fa-mobile-screen-button",
+};
+
+const emptyPlaybackStore = () => ({ v: PLAYBACK_STORE_VERSION, positions: {}, history: [] });
+
+const dropStalePlaybackStores = () => {
+  try {
+    for (let i = localStorage.length - 1; i >= 0; i -= 1) {
+      const key = localStorage.key(i);
+      if (key?.startsWith(`${PLAYBACK_STORE_NAMESPACE}:`) && key !== PLAYBACK_STORE_KEY) {
+        localStorage.removeItem(key);
+      }
+    }
+  } catch { /* ignore */ }
+};
+
+const readPlaybackStore = () => {
+  dropStalePlaybackStores();
+  try {
+    const parsed = JSON.parse(safeStorageGet(PLAYBACK_STORE_KEY) || "null");
+    if (parsed?.v !== PLAYBACK_STORE_VERSION) return emptyPlaybackStore();
+    return {
+      v: PLAYBACK_STORE_VERSION,
+      positions: parsed.positions && typeof parsed.positions === "object" ? parsed.positions : {},
+      history: Array.isArray(parsed.history) ? parsed.history : [],
+    };
+  } catch {
+    return emptyPlaybackStore();
+  }
+};
+
+const playbackMemory = {
+  store: null,
+
+  get data() {
+    if (!this.store) this.store = readPlaybackStore();
+    return this.store;
+  },
+
+  persist() {
+    safeStorageSet(PLAYBACK_STORE_KEY, JSON.stringify(this.data));
+    document.dispatchEvent(new CustomEvent("playback:memory-change"));
+  },
+
+  keyOf(kind, id) {
+    return `${kind}:${id}`;
+  },
+
+  getPosition(kind, id) {
+    const entry = this.data.positions[this.keyOf(kind, id)];
+    return entry && isFinite(entry.t) ? entry : null;
+  },
+
+  setPosition(kind, id, seconds, duration) {
+    const positions = this.data.positions;
+    positions[this.keyOf(kind, id)] = {
+      t: Math.floor(seconds),
+      d: isFinite(duration) ? Math.floor(duration) : null,
+      at: Date.now(),
+    };
+
+    const keys = Object.keys(positions);
+    if (keys.length > PLAYBACK_LIMITS.positions) {
+      keys
+        .sort((a, b) => positions[a].at - positions[b].at)
+        .slice(0, keys.length - PLAYBACK_LIMITS.positions)
+        .forEach((k) => delete positions[k]);
+    }
+    this.persist();
+  },
+
+  clearPosition(kind, id) {
+    const key = this.keyOf(kind, id);
+    if (!(key in this.data.positions)) return;
+    delete this.data.positions[key];
+    this.persist();
+  },
+
+  recordPlay(entry) {
+    const history = this.data.history.filter((h) => !(h.kind === entry.kind && h.id === entry.id));
+    history.unshift({ ...entry, at: Date.now() });
+    this.data.history = history.slice(0, PLAYBACK_LIMITS.history);
+    this.persist();
+  },
+
+  getHistory() {
+    return this.data.history.slice();
+  },
+
+  clear() {
+    this.store = emptyPlaybackStore();
+    this.persist();
+  },
+};
+
+const formatPlaybackTime = (s) => {
+  const total = Math.max(0, Math.floor(s || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const ss = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${ss}` : `${m}:${ss}`;
+};
+
+const getCurrentPage = () => (window.location.pathname.split("/").pop() || "index.html");
+
+/**
+ * Track one media element. The element may be reused for several items
+ * (the audio library swaps <source>), so callers announce the current item
+ * with setEntry() *before* loading it; the previous item is flushed first.
+ *
+ * Entry: { kind: "audio"|"media"|"reel", id, title, cover?, page? }
+ */
+const trackPlayback = (mediaEl, { minSeconds = 10 } = {}) => {
+  let entry = null;
+  let lastSaved = 0;
+  let recorded = false;
+  let prompt = null;
+
+  const hidePrompt = () => {
+    prompt?.remove();
+    prompt = null;
+  };
+
+  const save = () => {
+    if (!entry) return;
+    const t = mediaEl.currentTime;
+    const d = mediaEl.duration;
+    if (!isFinite(t) || t < minSeconds) return;
+
+    if (isFinite(d) && d > 0 && t >= d - PLAYBACK_LIMITS.tailSkip) {
+      playbackMemory.clearPosition(entry.kind, entry.id);
+      return;
+    }
+    playbackMemory.setPosition(entry.kind, entry.id, t, d);
+    lastSaved = t;
+  };
+
+  const seekAndPlay = (seconds) => {
+    const apply = () => {
+      try { mediaEl.currentTime = seconds; } catch { }
+      const plyr = mediaEl.plyr || mediaEl._player;
+      const p = plyr?.play ? plyr.play() : mediaEl.play();
+      if (p?.catch) p.catch(() => { });
+    };
+    if (mediaEl.readyState >= 1) apply();
+    else mediaEl.addEventListener("loadedmetadata", apply, { once: true });
+  };
+
+  const offerResume = (host, { before = null, overlay = false } = {}) => {
+    hidePrompt();
+    if (!entry || !host) return;
+
+    const saved = playbackMemory.getPosition(entry.kind, entry.id);
+    if (!saved || saved.t < minSeconds) return;
+
+    const label = i18n.t("playback.resume", { time: formatPlaybackTime(saved.t) });
+    prompt = document.createElement("div");
+    prompt.className = `c-resume${overlay ? " c-resume--overlay" : ""}`;
+    prompt.setAttribute("role", "status");
+    prompt.innerHTML = `
+      <i class="fa-solid fa-clock-rotate-left c-resume__icon" aria-hidden="true"></i>
+      <button class="c-resume__btn" type="button" data-resume-accept>${escapeHTML(label)}</button>
+      <button class="c-resume__close" type="button" aria-label="${escapeHTML(i18n.t("playback.startOver"))}" data-resume-dismiss>
+        <i class="fa-solid fa-xmark" aria-hidden="true"></i>
+      </button>
+    `;
+
+    prompt.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (e.target.closest("[data-resume-accept]")) seekAndPlay(saved.t);
+      if (e.target.closest("[data-resume-accept], [data-resume-dismiss]")) hidePrompt();
+    });
+
+    if (overlay) host.classList.add("c-resume-host");
+    host.insertBefore(prompt, before);
+  };
+
+  mediaEl.addEventListener("play", () => {
+    if (!entry || recorded) return;
+    recorded = true;
+    playbackMemory.recordPlay({ page: getCurrentPage(), ...entry });
+  });
+
+  mediaEl.addEventListener("timeupdate", () => {
+    if (Math.abs(mediaEl.currentTime - lastSaved) >= PLAYBACK_LIMITS.saveEvery) save();
+    // Once playback is past the offered point, the prompt is noise
+    if (prompt && mediaEl.currentTime >= minSeconds && !mediaEl.paused) {
+      const saved = entry && playbackMemory.getPosition(entry.kind, entry.id);
+      if (!saved || mediaEl.currentTime >= saved.t) hidePrompt();
+    }
+  });
+
+  mediaEl.addEventListener("pause", save);
+
+  mediaEl.addEventListener("ended", () => {
+    if (entry) playbackMemory.clearPosition(entry.kind, entry.id);
+    hidePrompt();
+  });
+
+  return {
+    setEntry(next) {
+      save();
+      hidePrompt();
+      entry = next;
+      lastSaved = 0;
+      recorded = false;
+    },
+    flush: save,
+    offerResume,
+    hidePrompt,
+  };
+};
+
+const getPlaybackHref = (item) => {
+  const page = item.page || "index.html";
+  return `${page}#${encodeURIComponent(item.kind)}=${encodeURIComponent(item.id)}`;
+};
+
+const initPlaybackHistory = () => {
+  const panels = Array.from(document.querySelectorAll("[data-playback-history]"));
+  if (!panels.length) return;
+
+  const render = (panel) => {
+    const listEl = panel.querySelector("[data-playback-history-list]");
+    const clearBtn = panel.querySelector("[data-playback-history-clear]");
+    const items = playbackMemory.getHistory();
+
+    panel.hidden = !items.length;
+    if (clearBtn) clearBtn.disabled = !items.length;
+    if (!listEl) return;
+
+    listEl.innerHTML = items
+      .map((item) => {
+        const saved = playbackMemory.getPosition(item.kind, item.id);
+        const progress = saved?.d ? Math.round((saved.t / saved.d) * 100) : 0;
+        const status = saved
+          ? i18n.t("playback.stoppedAt", { time: formatPlaybackTime(saved.t) })
+          : i18n.t("playback.finished");
+
+        return `
+          <li class="c-playback-history__item">
+            <a class="c-playback-history__link" href="${escapeHTML(getPlaybackHref(item))}">
+              <span class="c-playback-history__thumb">
+                ${item.cover
+            ? `<img src="${escapeHTML(item.cover)}" alt="" loading="lazy" />`
+            : `<i class="${PLAYBACK_KIND_ICONS[item.kind] || "fa-solid fa-play"}" aria-hidden="true"></i>`}
+              </span>
+              <span class="c-playback-history__body">
+                <span class="c-playback-history__name">${escapeHTML(item.title || "—")}</span>
+                <span class="c-playback-history__meta">${escapeHTML(PLAYBACK_KIND_TYPES[item.kind] ? i18n.t(`type.${PLAYBACK_KIND_TYPES[item.kind]}`) : "")} · ${escapeHTML(status)}</span>
+                ${progress ? `<span class="c-playback-history__bar" aria-hidden="true"><span style="width:${progress}%"></span></span>` : ""}
+              </span>
+            </a>
+          </li>
+        `;
+      })
+      .join("");
+  };
+
+  const renderAll = () => panels.forEach(render);
+
+  panels.forEach((panel) => {
+    panel.querySelector("[data-playback-history-clear]")?.addEventListener("click", () => {
+      if (!window.confirm(i18n.t("playback.confirmClear"))) return;
+      playbackMemory.clear();
+    });
+  });
+
+  document.addEventListener("playback:memory-change", renderAll);
+  document.addEventListener("i18n:change", renderAll);
+
+  // Another tab may have played something
+  window.addEventListener("storage", (e) => {
+    if (e.key !== PLAYBACK_STORE_KEY) return;
+    playbackMemory.store = null;
+    renderAll();
+  });
+
+  renderAll();
+};
+
+/* ============================================================
+   21) Media Center — Type Chips, Search, Sort (media.html)
+   ------------------------------------------------------------
+   Markup hooks:
+   - [data-media-filters] [data-filter]   type chips (all/photo/video/reel/audio)
+   - [data-media-search], [data-media-sort]
+   - [data-grid="type"] + [data-count="type"] + [data-empty="type"]
+   - .c-year-chip[data-year]              optional quick year filter
+   State lives in the query string (?type=&q=&sort=&year=) so a filtered
+   view can be shared; the hash stays free for deep links.
+============================================================ */
+
+const MEDIA_CENTER_TYPES = ["photo", "video", "reel", "audio"];
+const MEDIA_CENTER_ITEM_SELECTOR = "[data-media-card], [data-reel-card], .c-audio";
+const MEDIA_CENTER_DEFAULTS = { type: "all", q: "", sort: "recent", year: "" };
+
+const readMediaCardMeta = (card) => {
+  if (!card._mediaMeta) {
+    const d = card.dataset;
+    const date = d.mediaDate || d.reelDate || d.modalDate || "";
+    const yearMatch = String(d.mediaYear || "").match(/\d{4}/) || date.match(/^\d{4}/);
+    const title = d.mediaTitle || d.reelTitle || d.modalTitle || textOf(card, "h3");
+
+    card._mediaMeta = {
+      date,
+      year: yearMatch ? yearMatch[0] : "",
+      title,
+      haystack: normalizeArabic([
+        title,
+        d.modalTitle,
+        d.modalDescription,
+        d.modalSource,
+        d.reelMeta,
+        d.reelSource,
+        d.mediaTag,
+        d.mediaLocation,
+        card.textContent,
+      ].join(" ")),
+    };
+  }
+  return card._mediaMeta;
+};
+
+const MEDIA_SORTERS = {
+  recent: (a, b) => readMediaCardMeta(b).date.localeCompare(readMediaCardMeta(a).date),
+  oldest: (a, b) => readMediaCardMeta(a).date.localeCompare(readMediaCardMeta(b).date),
+  // Newest year first; undated items last, ties by title
+  year: (a, b) => {
+    const ya = readMediaCardMeta(a).year;
+    const yb = readMediaCardMeta(b).year;
+    if (ya !== yb) return !ya ? 1 : !yb ? -1 : yb.localeCompare(ya);
+    return readMediaCardMeta(a).title.localeCompare(readMediaCardMeta(b).title, "ar");
+  },
+  title: (a, b) => readMediaCardMeta(a).title.localeCompare(readMediaCardMeta(b).title, "ar"),
+};
+
+const initMediaCenter = () => {
+  const filtersRoot = document.querySelector("[data-media-filters]");
+  const grids = MEDIA_CENTER_TYPES
+    .map((type) => ({ type, grid: document.querySelector(`[data-grid="${type}"]`) }))
+    .filter((g) => g.grid);
+  if (!grids.length) return;
+
+  const searchInput = document.querySelector("[data-media-search]");
+  const sortSelect = document.querySelector("[data-media-sort]");
+  const featured = document.querySelector(".c-featured");
+  const chips = filtersRoot ? Array.from(filtersRoot.querySelectorAll("[data-filter]")) : [];
+  const yearChips = Array.from(document.querySelectorAll(".c-year-chip[data-year]"));
+
+  const sortValues = sortSelect ? Array.from(sortSelect.options).map((o) => o.value) : Object.keys(MEDIA_SORTERS);
+  const typeValues = ["all", ...MEDIA_CENTER_TYPES];
+
+  const readStateFromUrl = () => {
+    const params = new URLSearchParams(window.location.search);
+    const type = params.get("type") || "";
+    const sort = params.get("sort") || "";
+    const year = params.get("year") || "";
+    return {
+      type: typeValues.includes(type) ? type : MEDIA_CENTER_DEFAULTS.type,
+      q: (params.get("q") || "").slice(0, 120),
+      sort: sortValues.includes(sort) ? sort : MEDIA_CENTER_DEFAULTS.sort,
+      year: /^\d{4}$/.test(year) ? year : MEDIA_CENTER_DEFAULTS.year,
+    };
+  };
+
+  const state = readStateFromUrl();
+
+  const isFiltered = () => state.type !== "all" || !!state.q || !!state.year;
+
+  const matches = (card) => {
+    const meta = readMediaCardMeta(card);
+    if (state.year && meta.year !== state.year) return false;
+    if (!state.q) return true;
+    return normalizeArabic(state.q).split(" ").every((token) => meta.haystack.includes(token));
+  };
+
+  const apply = () => {
+    const sorter = MEDIA_SORTERS[state.sort] || MEDIA_SORTERS.recent;
+
+    grids.forEach(({ type, grid }) => {
+      const block = grid.closest(".c-media-block");
+      const counter = document.querySelector(`[data-count="${type}"]`);
+      const empty = document.querySelector(`[data-empty="${type}"]`);
+      const typeOn = state.type === "all" || state.type === type;
+
+      if (block) block.hidden = !typeOn;
+
+      const cards = Array.from(grid.children).filter((el) => el.matches(MEDIA_CENTER_ITEM_SELECTOR));
+      cards.sort(sorter).forEach((card) => grid.appendChild(card));
+
+      let shown = 0;
+      cards.forEach((card) => {
+        const show = typeOn && matches(card);
+        card.classList.toggle("u-hide", !show);
+        card.hidden = !show;
+        if (show) shown += 1;
+      });
+
+      if (counter) counter.textContent = String(shown);
+
+      if (empty) {
+        if (empty.dataset.emptyDefault == null) empty.dataset.emptyDefault = empty.textContent.trim();
+        empty.textContent = cards.length && (state.q || state.year)
+          ? i18n.t("mediaCenter.emptySearch")
+          : empty.dataset.emptyDefault;
+        empty.classList.toggle("u-hide", shown !== 0);
+      }
+    });
+
+    if (featured) featured.hidden = isFiltered();
+
+    chips.forEach((chip) => {
+      const on = (chip.dataset.filter || "all") === state.type;
+      chip.classList.toggle("is-active", on);
+      chip.setAttribute("aria-selected", String(on));
+    });
+
+    yearChips.forEach((chip) => {
+      const on = chip.dataset.year === state.year;
+      chip.classList.toggle("is-active", on);
+      chip.setAttribute("aria-pressed", String(on));
+    });
+
+    writeQueryState(state, MEDIA_CENTER_DEFAULTS);
+    document.dispatchEvent(new CustomEvent("media:view-change", { detail: { ...state } }));
+  };
+
+  chips.forEach((chip) => {
+    chip.setAttribute("role", "tab");
+    chip.addEventListener("click", () => {
+      state.type = chip.dataset.filter || "all";
+      apply();
+    });
+  });
+
+  yearChips.forEach((chip) => {
+    chip.addEventListener("click", () => {
+      state.year = state.year === chip.dataset.year ? "" : chip.dataset.year;
+      apply();
+      if (state.year) document.getElementById("library")?.scrollIntoView({ behavior: "smooth", block: "start" });
+    });
+  });
+
+  if (searchInput) {
+    searchInput.value = state.q;
+    let debounceId = null;
+    searchInput.addEventListener("input", () => {
+      window.clearTimeout(debounceId);
+      debounceId = window.setTimeout(() => {
+        state.q = searchInput.value.trim();
+        apply();
+      }, 150);
+    });
+  }
+
+  if (sortSelect) {
+    sortSelect.value = state.sort;
+    sortSelect.addEventListener("change", () => {
+      state.sort = sortSelect.value;
+      apply();
+    });
+  }
+
+  // Feed pages appended by "load more" need the current filter/sort too
+  document.addEventListener("archive:items-rendered", (e) => {
+    if (grids.some(({ grid }) => grid.contains(e.target))) apply();
+  });
+  document.addEventListener("i18n:change", apply);
+
+  apply();
+};
+
+/* ============================================================
+   22) Newsroom — Search, Category, Date Range, Sort (news.html)
+   ------------------------------------------------------------
+   Filters every news entry on the page (.c-news-card, featured, list items).
+   Category: explicit data-news-category wins; otherwise the badge/pill text
+   is matched against NEWS_CATEGORY_ALIASES.
+   Dates come from <time datetime="YYYY-MM-DD">, compared as ISO strings.
+   URL: ?q=&cat=&sort=&from=&to=
+============================================================ */
+
+const NEWS_CATEGORY_ALIASES = {
+  statements: ["بيان", "إشعار", "اعلان"],
+  reports: ["تقرير", "تقارير", "تحديث"],
+  interviews: ["مقابلة", "مقابلات", "حوار", "لقاء"],
+  video: ["فيديو", "مرئي", "وسائط قصيرة", "ريل"],
+};
+
+const NEWS_DEFAULTS = { q: "", cat: "all", sort: "recent", from: "", to: "" };
+
+const NEWS_SORTERS = {
+  recent: (a, b) => readNewsMeta(b).date.localeCompare(readNewsMeta(a).date),
+  oldest: (a, b) => readNewsMeta(a).date.localeCompare(readNewsMeta(b).date),
+  title: (a, b) => readNewsMeta(a).title.localeCompare(readNewsMeta(b).title, "ar"),
+};
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const resolveNewsCategory = (label) => {
+  const text = normalizeArabic(label);
+  if (!text) return "";
+  const hit = Object.entries(NEWS_CATEGORY_ALIASES)
+    .find(([, aliases]) => aliases.some((alias) => text.includes(normalizeArabic(alias))));
+  return hit ? hit[0] : "";
+};
+
+const readNewsMeta = (el) => {
+  if (!el._newsMeta) {
+    const label = textOf(el, ".c-news-card__badge, .c-pill");
+    el._newsMeta = {
+      date: el.querySelector("time[datetime]")?.getAttribute("datetime")?.slice(0, 10) || "",
+      title: textOf(el, ".c-news-card__title, .c-news-featured__title, .c-news-item__title"),
+      category: el.dataset.newsCategory || resolveNewsCategory(label),
+      haystack: normalizeArabic(el.textContent),
+    };
+  }
+  return el._newsMeta;
+};
+
+const initNewsroom = () => {
+  const searchInput = document.getElementById("newsSearch");
+  const categorySelect = document.getElementById("newsCategory");
+  const sortSelect = document.getElementById("newsSort");
+  const dateFrom = document.getElementById("dateFrom");
+  const dateTo = document.getElementById("dateTo");
+  if (!searchInput && !categorySelect && !sortSelect && !dateFrom && !dateTo) return;
+
+  const entries = Array.from(document.querySelectorAll(ENTITY_SOURCES.news.selector));
+  if (!entries.length) return;
+
+  const dateError = document.querySelector("[data-news-date-error]");
+  const emptyState = document.querySelector("[data-news-empty]");
+  const countEl = document.querySelector("[data-news-count]");
+  const resetBtns = Array.from(document.querySelectorAll("[data-news-reset]"));
+
+  // Containers that disappear entirely when none of their entries match
+  const groups = Array.from(new Set(entries.map((el) => el.parentElement)));
+  const sections = [document.querySelector(".c-news-grid")].filter(Boolean);
+
+  const optionValues = (select, fallback) =>
+    (select ? Array.from(select.options).map((o) => o.value) : fallback);
+
+  const readStateFromUrl = () => {
+    const params = new URLSearchParams(window.location.search);
+    const cat = params.get("cat") || "";
+    const sort = params.get("sort") || "";
+    const from = params.get("from") || "";
+    const to = params.get("to") || "";
+    return {
+      q: (params.get("q") || "").slice(0, 120),
+      cat: optionValues(categorySelect, ["all"]).includes(cat) ? cat : NEWS_DEFAULTS.cat,
+      sort: optionValues(sortSelect, Object.keys(NEWS_SORTERS)).includes(sort) ? sort : NEWS_DEFAULTS.sort,
+      from: ISO_DATE_RE.test(from) ? from : "",
+      to: ISO_DATE_RE.test(to) ? to : "",
+    };
+  };
+
+  const state = readStateFromUrl();
+
+  const isRangeValid = () => !state.from || !state.to || state.from <= state.to;
+
+  const validateRange = () => {
+    const valid = isRangeValid();
+    const message = valid ? "" : i18n.t("news.dateError");
+
+    [dateFrom, dateTo].forEach((input) => {
+      if (!input) return;
+      input.setCustomValidity?.(message);
+      input.setAttribute("aria-invalid", String(!valid));
+    });
+
+    if (dateFrom) dateFrom.max = state.to || "";
+    if (dateTo) dateTo.min = state.from || "";
+
+    if (dateError) {
+      dateError.textContent = message;
+      dateError.hidden = valid;
+    }
+    return valid;
+  };
+
+  const matches = (el, useRange) => {
+    const meta = readNewsMeta(el);
+    if (state.cat !== "all" && meta.category !== state.cat) return false;
+    if (useRange) {
+      if (state.from && (!meta.date || meta.date < state.from)) return false;
+      if (state.to && (!meta.date || meta.date > state.to)) return false;
+    }
+    if (!state.q) return true;
+    return normalizeArabic(state.q).split(" ").every((token) => meta.haystack.includes(token));
+  };
+
+  const apply = () => {
+    // An inverted range is reported, not applied
+    const useRange = validateRange();
+    const sorter = NEWS_SORTERS[state.sort] || NEWS_SORTERS.recent;
+
+    groups.forEach((group) => {
+      entries
+        .filter((el) => el.parentElement === group)
+        .sort(sorter)
+        .forEach((el) => group.appendChild(el));
+    });
+
+    let shown = 0;
+    entries.forEach((el) => {
+      const show = matches(el, useRange);
+      el.classList.toggle("u-hide", !show);
+      el.hidden = !show;
+      if (show) shown += 1;
+    });
+
+    [...groups, ...sections].forEach((container) => {
+      const empty = !entries.some((el) => container.contains(el) && !el.hidden);
+      container.classList.toggle("u-hide", empty);
+      container.hidden = empty;
+    });
+
+    if (emptyState) emptyState.classList.toggle("u-hide", shown !== 0);
+    if (countEl) {
+      countEl.textContent = shown === entries.length
+        ? i18n.t("news.count", { total: i18n.formatNumber(entries.length) })
+        : i18n.t("news.countFiltered", { shown: i18n.formatNumber(shown), total: i18n.formatNumber(entries.length) });
+    }
+
+    writeQueryState(useRange ? state : { ...state, from: "", to: "" }, NEWS_DEFAULTS);
+  };
+
+  const syncControls = () => {
+    if (searchInput) searchInput.value = state.q;
+    if (categorySelect) categorySelect.value = state.cat;
+    if (sortSelect) sortSelect.value = state.sort;
+    if (dateFrom) dateFrom.value = state.from;
+    if (dateTo) dateTo.value = state.to;
+  };
+
+  let debounceId = null;
+  searchInput?.addEventListener("input", () => {
+    window.clearTimeout(debounceId);
+    debounceId = window.setTimeout(() => {
+      state.q = searchInput.value.trim();
+      apply();
+    }, 150);
+  });
+
+  categorySelect?.addEventListener("change", () => {
+    state.cat = categorySelect.value;
+    apply();
+  });
+
+  sortSelect?.addEventListener("change", () => {
+    state.sort = sortSelect.value;
+    apply();
+  });
+
+  [[dateFrom, "from"], [dateTo, "to"]].forEach(([input, key]) => {
+    input?.addEventListener("change", () => {
+      state[key] = ISO_DATE_RE.test(input.value) ? input.value : "";
+      apply();
+    });
+  });
+
+  resetBtns.forEach((btn) => btn.addEventListener("click", () => {
+    Object.assign(state, NEWS_DEFAULTS);
+    syncControls();
+    apply();
+    searchInput?.focus();
+  }));
+
+  document.addEventListener("i18n:change", apply);
+
+  syncControls();
+  apply();
+};
+
+/* ============================================================
+   23) Photo Lightbox (#photoLightbox)
+   ------------------------------------------------------------
+   Triggers: any [data-photo-album][data-photo-index] (timeline hub thumbs).
+   - Albums are grouped by data-photo-album, ordered by data-photo-index
+   - data-full (fallback: inner <img>), caption from data-title / data-meta
+   - Arrow keys follow reading direction (RTL: ArrowLeft = next)
+   - Swipe to navigate; pinch, double-tap, +/- keys to zoom; drag to pan
+   - Bootstrap Modal provides the focus trap; focus returns to the trigger
+============================================================ */
+
+const LIGHTBOX_ZOOM = { min: 1, max: 4, doubleTap: 2.5 };
+const LIGHTBOX_SWIPE = { distance: 60, flickDistance: 20, flickVelocity: 0.45 }; // px, px, px/ms
+const LIGHTBOX_DOUBLE_TAP_MS = 300;
+
+const readPhotoAlbum = (key) =>
+  Array.from(document.querySelectorAll("[data-photo-album][data-photo-index]"))
+    .filter((el) => el.dataset.photoAlbum === key)
+    .sort((a, b) => (Number(a.dataset.photoIndex) || 0) - (Number(b.dataset.photoIndex) || 0))
+    .map((el) => {
+      const img = el.querySelector("img");
+      return {
+        trigger: el,
+        full: el.dataset.full || img?.getAttribute("src") || "",
+        thumb: img?.getAttribute("src") || el.dataset.full || "",
+        title: el.dataset.title || img?.alt || "",
+        meta: el.dataset.meta || "",
+      };
+    })
+    .filter((item) => item.full);
+
+const initPhotoLightbox = () => {
+  const modalEl = document.getElementById("photoLightbox");
+  if (!modalEl || !window.bootstrap?.Modal) return;
+
+  const $ = (sel) => modalEl.querySelector(sel);
+
+  const ui = {
+    stage: $("[data-lightbox-stage]"),
+    img: $("[data-lightbox-img]"),
+    title: $("[data-lightbox-title]"),
+    meta: $("[data-lightbox-meta]"),
+    counter: $("[data-lightbox-counter]"),
+    prev: $("[data-lightbox-prev]"),
+    next: $("[data-lightbox-next]"),
+    zoom: $("[data-lightbox-zoom]"),
+    thumbs: $("[data-lightbox-thumbs]"),
+  };
+  if (!ui.stage || !ui.img) return;
+
+  const bsModal = window.bootstrap.Modal.getOrCreateInstance(modalEl);
+
+  const state = {
+    items: [],
+    index: 0,
+    trigger: null,
+    scale: 1,
+    x: 0,
+    y: 0,
+  };
+
+  const preloaded = new Map(); // url -> Image (kept so the browser doesn't drop it)
+
+  const isRTL = () => getComputedStyle(modalEl).direction === "rtl";
+
+  /* ---------- Zoom / pan ---------- */
+  const clampPan = () => {
+    const rect = ui.stage.getBoundingClientRect();
+    const maxX = (rect.width * (state.scale - 1)) / 2;
+    const maxY = (rect.height * (state.scale - 1)) / 2;
+    state.x = Math.max(-maxX, Math.min(maxX, state.x));
+    state.y = Math.max(-maxY, Math.min(maxY, state.y));
+  };
+
+  const applyTransform = (extraX = 0) => {
+    const zoomed = state.scale > 1;
+    ui.img.style.transform = zoomed || extraX
+      ? `translate(${state.x + extraX}px, ${state.y}px) scale(${state.scale})`
+      : "";
+    modalEl.classList.toggle("is-zoomed", zoomed);
+
+    if (ui.zoom) {
+      ui.zoom.setAttribute("aria-pressed", String(zoomed));
+      ui.zoom.setAttribute("aria-label", i18n.t(zoomed ? "lightbox.zoomOut" : "lightbox.zoomIn"));
+      const icon = ui.zoom.querySelector("i");
+      if (icon) {
+        icon.classList.toggle("fa-magnifying-glass-plus", !zoomed);
+        icon.classList.toggle("fa-magnifying-glass-minus", zoomed);
+      }
+    }
+  };
+
+  // origin: viewport point that should stay under the finger/cursor
+  const setZoom = (scale, origin = null) => {
+    const prev = state.scale;
+    const next = Math.max(LIGHTBOX_ZOOM.min, Math.min(LIGHTBOX_ZOOM.max, scale));
+
+    if (origin && prev > 0) {
+      const rect = ui.stage.getBoundingClientRect();
+      const px = origin.x - (rect.left + rect.width / 2);
+      const py = origin.y - (rect.top + rect.height / 2);
+      state.x = px - (px - state.x) * (next / prev);
+      state.y = py - (py - state.y) * (next / prev);
+    }
+
+    state.scale = next;
+    if (next === 1) {
+      state.x = 0;
+      state.y = 0;
+    }
+    clampPan();
+    applyTransform();
+  };
+
+  const resetZoom = () => setZoom(1);
+  const toggleZoom = (origin) => setZoom(state.scale > 1 ? 1 : LIGHTBOX_ZOOM.doubleTap, origin);
+
+  /* ---------- Rendering ---------- */
+  const preloadNeighbours = () => {
+    const n = state.items.length;
+    if (n < 2) return;
+    [state.index + 1, state.index - 1].forEach((i) => {
+      const url = state.items[(i + n) % n].full;
+      if (preloaded.has(url)) return;
+      const img = new Image();
+      img.decoding = "async";
+      img.src = url;
+      preloaded.set(url, img);
+    });
+  };
+
+  const renderThumbs = () => {
+    if (!ui.thumbs) return;
+    ui.thumbs.hidden = state.items.length < 2;
+    ui.thumbs.innerHTML = state.items
+      .map((item, i) => `
+        <button class="c-lightbox__thumb" type="button" data-lightbox-index="${i}"
+          aria-label="${escapeHTML(i18n.t("lightbox.thumb", { index: i + 1, title: item.title || i18n.t("type.photo") }))}">
+          <img src="${escapeHTML(item.thumb)}" alt="" loading="lazy" />
+        </button>
+      `)
+      .join("");
+  };
+
+  const show = (index) => {
+    const n = state.items.length;
+    if (!n) return;
+
+    state.index = (index + n) % n;
+    const item = state.items[state.index];
+
+    resetZoom();
+    modalEl.classList.add("is-loading");
+    ui.img.src = item.full;
+    ui.img.alt = item.title || i18n.t("type.photo");
+
+    if (ui.title) ui.title.textContent = item.title || i18n.t("type.photo");
+    if (ui.meta) {
+      ui.meta.textContent = item.meta;
+      ui.meta.hidden = !item.meta;
+    }
+    if (ui.counter) ui.counter.textContent = `${state.index + 1} / ${n}`;
+
+    [ui.prev, ui.next].forEach((btn) => { if (btn) btn.hidden = n < 2; });
+
+    ui.thumbs?.querySelectorAll("[data-lightbox-index]").forEach((btn, i) => {
+      const on = i === state.index;
+      btn.classList.toggle("is-active", on);
+      if (on) btn.setAttribute("aria-current", "true");
+      else btn.removeAttribute("aria-current");
+    });
+  };
+
+  const step = (delta) => {
+    if (state.items.length < 2) return;
+    show(state.index + delta);
+  };
+
+  ui.img.addEventListener("load", () => {
+    modalEl.classList.remove("is-loading");
+    preloadNeighbours();
+  });
+  ui.img.addEventListener("error", () => modalEl.classList.remove("is-loading"));
+
+  const open = (trigger) => {
+    const items = readPhotoAlbum(trigger.dataset.photoAlbum);
+    if (!items.length) return;
+
+    state.items = items;
+    state.trigger = trigger;
+    renderThumbs();
+    show(Math.max(0, items.findIndex((item) => item.trigger === trigger)));
+    bsModal.show();
+  };
+
+  /* ---------- Controls ---------- */
+  ui.prev?.addEventListener("click", () => step(-1));
+  ui.next?.addEventListener("click", () => step(1));
+  ui.zoom?.addEventListener("click", () => toggleZoom());
+
+  ui.thumbs?.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-lightbox-index]");
+    if (btn) show(Number(btn.dataset.lightboxIndex) || 0);
+  });
+
+  modalEl.addEventListener("keydown", (e) => {
+    const forward = isRTL() ? "ArrowLeft" : "ArrowRight";
+    const backward = isRTL() ? "ArrowRight" : "ArrowLeft";
+
+    const actions = {
+      [forward]: () => step(1),
+      [backward]: () => step(-1),
+      Home: () => show(0),
+      End: () => show(state.items.length - 1),
+      "+": () => setZoom(state.scale + 0.5),
+      "=": () => setZoom(state.scale + 0.5),
+      "-": () => setZoom(state.scale - 0.5),
+      0: resetZoom,
+    };
+
+    const action = actions[e.key];
+    if (!action || e.altKey || e.ctrlKey || e.metaKey) return;
+    e.preventDefault();
+    action();
+  });
+
+  /* ---------- Pointer gestures (swipe / pinch / pan / double-tap) ---------- */
+  const pointers = new Map();
+  let gesture = null;
+  let lastTap = { time: 0, x: 0, y: 0 };
+
+  const pointerDistance = () => {
+    const [a, b] = Array.from(pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  const pointerMidpoint = () => {
+    const [a, b] = Array.from(pointers.values());
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  };
+
+  const beginSinglePointer = (e) => ({
+    type: state.scale > 1 ? "pan" : "swipe",
+    startX: e.clientX,
+    startY: e.clientY,
+    startTime: performance.now(),
+    baseX: state.x,
+    baseY: state.y,
+    moved: false,
+  });
+
+  const handleTap = (e) => {
+    const now = performance.now();
+    const isDouble = now - lastTap.time < LIGHTBOX_DOUBLE_TAP_MS
+      && Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < 30;
+
+    if (isDouble) {
+      toggleZoom({ x: e.clientX, y: e.clientY });
+      lastTap = { time: 0, x: 0, y: 0 };
+    } else {
+      lastTap = { time: now, x: e.clientX, y: e.clientY };
+    }
+  };
+
+  ui.stage.addEventListener("pointerdown", (e) => {
+    if (e.target.closest("button")) return;
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+
+    try { ui.stage.setPointerCapture(e.pointerId); } catch { }
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointers.size === 2) {
+      gesture = { type: "pinch", startDist: pointerDistance() || 1, startScale: state.scale };
+    } else if (pointers.size === 1) {
+      gesture = beginSinglePointer(e);
+    }
+  });
+
+  ui.stage.addEventListener("pointermove", (e) => {
+    if (!pointers.has(e.pointerId) || !gesture) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (gesture.type === "pinch" && pointers.size === 2) {
+      setZoom(gesture.startScale * (pointerDistance() / gesture.startDist), pointerMidpoint());
+      return;
+    }
+
+    const dx = e.clientX - gesture.startX;
+    const dy = e.clientY - gesture.startY;
+    if (Math.hypot(dx, dy) > 8) gesture.moved = true;
+
+    if (gesture.type === "pan") {
+      state.x = gesture.baseX + dx;
+      state.y = gesture.baseY + dy;
+      clampPan();
+      applyTransform();
+    } else if (gesture.type === "swipe" && gesture.moved && Math.abs(dx) > Math.abs(dy)) {
+      modalEl.classList.add("is-dragging");
+      applyTransform(dx); // follow the finger
+    }
+  });
+
+  const endPointer = (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.delete(e.pointerId);
+    modalEl.classList.remove("is-dragging");
+
+    if (!gesture) return;
+
+    if (gesture.type === "pinch") {
+      if (state.scale < 1.05) resetZoom();
+      // Lifting one finger of a pinch continues as a pan with the other
+      const rest = Array.from(pointers.values())[0];
+      gesture = rest ? beginSinglePointer({ clientX: rest.x, clientY: rest.y }) : null;
+      return;
+    }
+
+    const dx = e.clientX - gesture.startX;
+    const dy = e.clientY - gesture.startY;
+    const dt = Math.max(1, performance.now() - gesture.startTime);
+
+    if (gesture.type === "swipe") {
+      applyTransform();
+      const horizontal = Math.abs(dx) > Math.abs(dy);
+      const far = Math.abs(dx) > LIGHTBOX_SWIPE.distance;
+      const flick = Math.abs(dx) > LIGHTBOX_SWIPE.flickDistance && Math.abs(dx) / dt > LIGHTBOX_SWIPE.flickVelocity;
+
+      if (e.type !== "pointercancel" && horizontal && (far || flick)) {
+        // RTL: the next photo sits to the left, so dragging right reveals it
+        const towardsNext = isRTL() ? dx > 0 : dx < 0;
+        step(towardsNext ? 1 : -1);
+      }
+    }
+
+    if (!gesture.moved && e.type === "pointerup") handleTap(e);
+    gesture = null;
+  };
+
+  ui.stage.addEventListener("pointerup", endPointer);
+  ui.stage.addEventListener("pointercancel", endPointer);
+
+  // Ctrl/trackpad pinch arrives as a ctrl+wheel
+  ui.stage.addEventListener("wheel", (e) => {
+    if (!e.ctrlKey) return;
+    e.preventDefault();
+    setZoom(state.scale * (e.deltaY < 0 ? 1.15 : 1 / 1.15), { x: e.clientX, y: e.clientY });
+  }, { passive: false });
+
+  /* ---------- Lifecycle ---------- */
+  modalEl.addEventListener("shown.bs.modal", () => {
+    try { ui.stage.focus({ preventScroll: true }); } catch { }
+  });
+
+  modalEl.addEventListener("hidden.bs.modal", () => {
+    resetZoom();
+    pointers.clear();
+    gesture = null;
+    ui.img.removeAttribute("src");
+    modalEl.classList.remove("is-loading");
+
+    const trigger = state.trigger;
+    state.items = [];
+    state.trigger = null;
+    if (trigger?.isConnected) {
+      try { trigger.focus({ preventScroll: true }); } catch { }
+    }
+  });
 
-    const initialKey = root.querySelector("[data-persona-tab].is-active")?.getAttribute("data-persona-tab") || "video";
-    activate(initialKey);
+  document.addEventListener("click", (e) => {
+    const trigger = e.target.closest("[data-photo-album][data-photo-index]");
+    if (!trigger) return;
+    e.preventDefault();
+    open(trigger);
   });
 };
 
 /* ============================================================
-   11) Plyr Players (optional)
+   24) Timeline Hub (stations rendered from one data source)
 ============================================================ */
 
-const initPlyrPlayers = () => {
-  if (!window.Plyr) return;
+/**
+ * Stations come from #hubStaticData (one <article class="hub-station"> each)
+ * or, when .c-timeline-hub[data-hub-src] is set, from a JSON file loaded
+ * through archiveData.adapter: { "stations": [HubStation, ...] }.
+ *
+ * @typedef {Object} HubStation
+ * @property {string} id
+ * @property {string} [year]
+ * @property {string} [badge]
+ * @property {string} title
+ * @property {string} [desc]      Index blurb
+ * @property {string} [meta]      Panel subtitle (also the lightbox caption meta)
+ * @property {string} [lead]
+ * @property {{k: string, v: string}[]} [facts]
+ * @property {{thumb: string, full?: string, label?: string}[]} [photos]
+ * @property {{thumb?: string, src: string, title?: string, meta?: string}[]} [videos]
+ * @property {{thumb?: string, src: string, title?: string, meta?: string}[]} [audios]
+ *
+ * Deep links: "#<station>" or "#<station>/<tab>" (e.g. #prison/photos).
+ * "#station=<id>" still works through the generic deep link opener.
+ */
+const HUB_TABS = [
+  { key: "details", icon: "fa-regular fa-file-lines" },
+  { key: "photos", icon: "fa-regular fa-images" },
+  { key: "videos", icon: "fa-solid fa-circle-play" },
+  { key: "audios", icon: "fa-solid fa-wave-square" },
+];
+const HUB_MEDIA_KEYS = ["photos", "videos", "audios"];
+const HUB_HASH_RE = /^#([\w-]+)(?:\/([\w-]+))?$/;
+
+const normalizeHubStation = (raw) => {
+  if (!raw || typeof raw !== "object") return null;
+
+  const id = String(raw.id ?? "").trim();
+  const title = String(raw.title ?? "").trim();
+  if (!id || !title) return null;
+
+  const str = (v) => String(v ?? "").trim();
+  const list = (v) => (Array.isArray(v) ? v.filter((x) => x && typeof x === "object") : []);
+
+  return {
+    id,
+    title,
+    year: str(raw.year),
+    badge: str(raw.badge),
+    desc: str(raw.desc),
+    meta: str(raw.meta),
+    lead: str(raw.lead),
+    facts: list(raw.facts).filter((f) => f.k && f.v),
+    photos: list(raw.photos).filter((p) => p.thumb || p.full),
+    videos: list(raw.videos).filter((v) => v.src),
+    audios: list(raw.audios).filter((a) => a.src),
+  };
+};
 
-  document.querySelectorAll(".js-plyr").forEach((el) => {
-    const inst = new window.Plyr(el, {
-      controls: ["play", "progress", "current-time", "mute", "volume", "settings"],
-    });
-    try { el._player = inst; } catch { }
+const readHubStaticStations = (root) =>
+  Array.from(root?.querySelectorAll(".hub-station[data-id]") || []).map((el) => {
+    const list = (name) => Array.from(el.querySelectorAll(`ul[data-${name}] > li`)).map((li) => ({ ...li.dataset }));
+    return { ...el.dataset, facts: list("facts"), photos: list("photos"), videos: list("videos"), audios: list("audios") };
   });
-};
 
-/* ============================================================
-   12) Audio Library (GLOBAL initializer)  ✅ FIXED SCOPE
-============================================================ */
+const loadHubStations = async (hub) => {
+  const src = hub.dataset.hubSrc;
+  if (src) {
+    try {
+      const json = await archiveData.adapter(src);
+      const stations = (Array.isArray(json) ? json : json?.stations || []).map(normalizeHubStation).filter(Boolean);
+      if (stations.length) return stations;
+    } catch {
+      /* fall back to the static stations below */
+    }
+  }
+  return readHubStaticStations(document.getElementById("hubStaticData")).map(normalizeHubStation).filter(Boolean);
+};
 
-const initAudioLibrary = () => {
-  const list = document.querySelector("[data-audio-list]");
-  const playerAudio = document.querySelector("[data-player-audio]");
-  if (!list || !playerAudio) return;
+const HUB_TEMPLATES = {
+  item: (st) => {
+    const li = document.createElement("li");
+    li.className = "c-hub-item";
+    li.id = `hub-option-${st.id}`;
+    li.setAttribute("role", "option");
+    li.setAttribute("aria-selected", "false");
+    li.tabIndex = -1;
+    assignDataset(li, { hubTarget: st.id });
+
+    li.innerHTML = `
+      <div class="c-hub-item__top">
+        ${st.year ? `<span class="c-hub-item__year">${escapeHTML(st.year)}</span>` : ""}
+        ${st.badge ? `<span class="c-hub-item__badge">${escapeHTML(st.badge)}</span>` : ""}
+      </div>
+      <p class="c-hub-item__title">${escapeHTML(st.title)}</p>
+      ${st.desc ? `<p class="c-hub-item__desc">${escapeHTML(st.desc)}</p>` : ""}
+    `;
+    return li;
+  },
 
-  const formatTime = (s) => {
-    if (!isFinite(s) || s < 0) return "--:--";
-    const mm = Math.floor(s / 60);
-    const ss = Math.floor(s % 60);
-    return `${mm}:${String(ss).padStart(2, "0")}`;
-  };
+  details: (st) => `
+    <div class="c-hub-details">
+      ${st.lead ? `<div class="c-hub-details__lead">${escapeHTML(st.lead)}</div>` : ""}
+      ${st.facts.length ? `
+        <div class="c-hub-facts" aria-label="${escapeHTML(i18n.t("hub.facts"))}">
+          ${st.facts.map((f) => `<div class="c-hub-fact"><span>${escapeHTML(f.k)}</span><strong>${escapeHTML(f.v)}</strong></div>`).join("")}
+        </div>` : ""}
+      <div class="c-hub-actions">
+        <a class="c-btn c-btn--outline" href="#timeline">${escapeHTML(i18n.t("hub.fullDetails"))}</a>
+        <a class="c-btn c-btn--ghost" href="media.html">${escapeHTML(i18n.t("hub.openMedia"))}</a>
+      </div>
+    </div>
+  `,
+
+  photos: (st) => `
+    <div class="c-hub-gallery">
+      ${st.photos.map((p, i) => {
+        const label = p.label || st.title;
+        return `
+          <button class="c-hub-thumb" type="button" data-photo-album="${escapeHTML(st.id)}" data-photo-index="${i}"
+            data-full="${escapeHTML(p.full || p.thumb)}" data-title="${escapeHTML(label)}" data-meta="${escapeHTML(st.meta)}"
+            aria-label="${escapeHTML(i18n.t("hub.openAlbum", { label }))}">
+            <img src="${escapeHTML(p.thumb || p.full)}" alt="${escapeHTML(label)}" loading="lazy" />
+          </button>`;
+      }).join("")}
+    </div>
+  `,
+
+  videos: (st) => `
+    <div class="c-hub-media-list">
+      ${st.videos.map((v) => {
+        const title = v.title || i18n.t("type.video");
+        return `
+          <div class="c-hub-media-row">
+            <div class="c-hub-media-row__thumb">
+              ${v.thumb ? `<img src="${escapeHTML(v.thumb)}" alt="${escapeHTML(title)}" loading="lazy" />` : ""}
+            </div>
+            <div>
+              <p class="c-hub-media-row__title">${escapeHTML(title)}</p>
+              ${v.meta ? `<p class="c-hub-media-row__meta">${escapeHTML(v.meta)}</p>` : ""}
+            </div>
+            <button class="c-hub-open" type="button" data-modal-type="video" data-modal-src="${escapeHTML(v.src)}"
+              data-modal-title="${escapeHTML(title)}" data-modal-meta="${escapeHTML(v.meta || "")}">
+              ${escapeHTML(i18n.t("common.open"))} <i class="fa-solid fa-arrow-left"></i>
+            </button>
+          </div>`;
+      }).join("")}
+    </div>
+  `,
+
+  audios: (st) => `
+    <div class="c-hub-audio-list">
+      ${st.audios.map((a) => {
+        const title = a.title || i18n.t("hub.audioFallback");
+        return `
+          <article class="c-audio-inline" aria-label="${escapeHTML(title)}">
+            <div class="c-audio-inline__icon" aria-hidden="true">
+              <i class="fa-solid fa-microphone-lines"></i>
+            </div>
+            <div class="c-audio-inline__body">
+              <div class="c-audio-inline__head">
+                <p class="c-audio-inline__title">${escapeHTML(title)}</p>
+                ${a.meta ? `<p class="c-audio-inline__meta u-muted">${escapeHTML(a.meta)}</p>` : ""}
+              </div>
+              <audio class="js-plyr" controls preload="metadata">
+                <source src="${escapeHTML(a.src)}" type="audio/mpeg" />
+              </audio>
+            </div>
+          </article>`;
+      }).join("")}
+    </div>
+  `,
+
+  station: (st) => {
+    const el = document.createElement("article");
+    el.className = "c-hub-station";
+    el.id = `hub-station-${st.id}`;
+    el.setAttribute("aria-label", st.title);
+    assignDataset(el, { hubStation: st.id });
+
+    const tabId = (key) => `hub-${st.id}-tab-${key}`;
+    const paneId = (key) => `hub-${st.id}-pane-${key}`;
+
+    el.innerHTML = `
+      <div class="c-hub-panel__head">
+        <div class="c-hub-panel__titles">
+          <p class="c-hub-panel__label">${escapeHTML(i18n.t("hub.current"))}</p>
+          <h3 class="c-hub-panel__title">${escapeHTML(st.title)}</h3>
+          ${st.meta ? `<p class="u-muted c-hub-panel__meta">${escapeHTML(st.meta)}</p>` : ""}
+        </div>
+        <div class="c-hub-badges" aria-label="${escapeHTML(i18n.t("hub.badges"))}">
+          ${st.badge ? `<span class="c-hub-badge">${escapeHTML(st.badge)}</span>` : ""}
+          ${st.year ? `<time class="c-hub-badge c-hub-badge--soft" datetime="${escapeHTML(st.year)}" data-archive-date>${escapeHTML(st.year)}</time>` : ""}
+        </div>
+      </div>
+
+      <div class="c-hub-tabs" role="tablist" aria-label="${escapeHTML(i18n.t("hub.tabs"))}">
+        ${HUB_TABS.map((t) => `
+          <button class="c-hub-tab" type="button" role="tab" id="${tabId(t.key)}" aria-controls="${paneId(t.key)}"
+            aria-selected="false" tabindex="-1" data-hub-tab="${t.key}">
+            <i class="${t.icon}"></i> ${escapeHTML(i18n.t(`hub.tab.${t.key}`))}
+          </button>`).join("")}
+      </div>
+
+      <div class="c-hub-panels">
+        ${HUB_TABS.map((t) => {
+          const isMedia = HUB_MEDIA_KEYS.includes(t.key);
+          const empty = isMedia && !st[t.key].length;
+          return `
+            <div class="c-hub-pane" role="tabpanel" id="${paneId(t.key)}" aria-labelledby="${tabId(t.key)}" data-hub-pane="${t.key}">
+              ${empty ? "" : HUB_TEMPLATES[t.key](st)}
+              ${isMedia ? `<p class="u-muted c-hub-empty"${empty ? "" : " hidden"}>${escapeHTML(i18n.t(`hub.empty.${t.key}`))}</p>` : ""}
+            </div>`;
+        }).join("")}
+      </div>
+    `;
+    return el;
+  },
+};
 
-  const formatPlays = (n) => {
-    const v = Number(n);
-    if (!isFinite(v) || v <= 0) return "—";
-    if (v >= 1000000) return `${(v / 1000000).toFixed(1)}M`;
-    if (v >= 1000) return `${(v / 1000).toFixed(1)}K`;
-    return String(v);
-  };
+const bindHubVideoModal = () => {
+  const modalEl = document.getElementById("mediaModal");
+  if (!modalEl || !window.bootstrap?.Modal) return;
 
-  const getPlyrInstance = (audioEl) => audioEl?.plyr || audioEl?._player || null;
+  const bsModal = window.bootstrap.Modal.getOrCreateInstance(modalEl);
+  const $ = (sel) => modalEl.querySelector(sel);
 
-  const playerSource = playerAudio.querySelector("source") || (() => {
-    const s = document.createElement("source");
-    playerAudio.appendChild(s);
-    return s;
-  })();
+  const ui = {
+    title: $("[data-media-modal-title]"),
+    meta: $("[data-media-modal-meta]"),
+    openNative: $("[data-media-open-native]"),
+    paneVideo: $("[data-media-pane='video']"),
+    paneEmpty: $("[data-media-pane='empty']"),
+    video: $("[data-plyr-video]"),
+  };
+  const source = ui.video?.querySelector("source[data-media-src]");
 
-  const rows = Array.from(list.querySelectorAll("[data-audio-item]"));
-  if (!rows.length) return;
+  let plyr = null;
 
-  let currentRow = null;
-  let rafId = null;
+  const destroyVideo = () => {
+    try { plyr?.destroy(); } catch { }
+    plyr = null;
 
-  const els = {
-    title: document.querySelector("[data-player-title]"),
-    desc: document.querySelector("[data-player-desc]"),
-    meta: document.querySelector("[data-player-meta]"),
-    plays: document.querySelector("[data-player-plays]"),
-    category: document.querySelector("[data-player-category]"),
-    cover: document.querySelector("[data-player-cover]"),
-    duration: document.querySelector("[data-player-duration]"),
+    if (!ui.video) return;
+    try { ui.video.pause(); } catch { }
+    source?.setAttribute("src", "");
+    ui.video.load?.();
   };
 
-  const setRowTimeToDuration = (row) => {
-    const timeEl = row?.querySelector("[data-duration]");
-    if (timeEl) timeEl.textContent = formatTime(row._duration);
+  const setHeader = (title, meta) => {
+    if (ui.title) ui.title.textContent = title;
+    if (ui.meta) {
+      ui.meta.hidden = !meta;
+      ui.meta.textContent = meta || "";
+    }
   };
 
-  const setRowTimeToCurrent = (row) => {
-    const timeEl = row?.querySelector("[data-duration]");
-    if (timeEl) timeEl.textContent = formatTime(playerAudio.currentTime);
+  const setOpenNative = (href) => {
+    if (!ui.openNative) return;
+    ui.openNative.hidden = !href;
+    if (href) ui.openNative.setAttribute("href", href);
   };
 
-  const setRowActive = (row) => rows.forEach((r) => r.classList.toggle("is-active", r === row));
+  const open = ({ src, title, meta }) => {
+    destroyVideo();
+    if (ui.paneVideo) ui.paneVideo.hidden = !src;
+    if (ui.paneEmpty) ui.paneEmpty.hidden = !!src;
+
+    if (src && ui.video) {
+      source?.setAttribute("src", src);
+      ui.video.load?.();
+      if (window.Plyr) {
+        plyr = new window.Plyr(ui.video, {
+          controls: ["play-large", "play", "progress", "current-time", "mute", "volume", "settings", "fullscreen"],
+        });
+      }
+    }
 
-  const updateRowPlayIcons = (isPlaying) => {
-    rows.forEach((r) => {
-      const btn = r.querySelector("[data-audio-play]");
-      if (!btn) return;
+    setHeader(title || (src ? i18n.t("type.video") : "—"), meta);
+    setOpenNative(src);
+    bsModal.show();
+  };
 
-      const icon = btn.querySelector("i");
-      const isCurrent = r === currentRow;
+  modalEl.addEventListener("hidden.bs.modal", () => {
+    destroyVideo();
+    setOpenNative("");
+  });
 
-      btn.setAttribute("aria-label", isCurrent && isPlaying ? "إيقاف" : "تشغيل");
-      if (icon) {
-        icon.classList.toggle("fa-play", !(isCurrent && isPlaying));
-        icon.classList.toggle("fa-pause", isCurrent && isPlaying);
-      }
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-modal-type='video'][data-modal-src]");
+    if (!btn) return;
+    open({
+      src: btn.getAttribute("data-modal-src"),
+      title: btn.getAttribute("data-modal-title"),
+      meta: btn.getAttribute("data-modal-meta") || "",
     });
+  });
+};
+
+const initTimelineHub = () => {
+  const hub = document.querySelector(".c-timeline-hub");
+  const list = hub?.querySelector(".c-hub-list");
+  const panel = hub?.querySelector(".c-hub-panel");
+  if (!list || !panel) return;
+
+  bindHubVideoModal();
+
+  const counters = Object.fromEntries(
+    HUB_MEDIA_KEYS.map((key) => [key, hub.querySelector(`[data-hub-count='${key}']`)])
+  );
+
+  let stations = [];
+  let items = [];
+  let activeId = "";
+
+  const getStationEl = (id) => Array.from(panel.querySelectorAll("[data-hub-station]")).find((el) => el.dataset.hubStation === id);
+  const isTab = (key) => HUB_TABS.some((t) => t.key === key);
+
+  const readHash = () => {
+    const m = window.location.hash.match(HUB_HASH_RE);
+    if (!m || !stations.some((st) => st.id === m[1])) return null;
+    return { id: m[1], tab: isTab(m[2]) ? m[2] : "details" };
   };
 
-  const updateThumbOverlayIcons = (isPlaying) => {
-    rows.forEach((r) => {
-      const overlayIcon = r.querySelector(".c-audio-row__playIcon i");
-      if (!overlayIcon) return;
-      const isCurrent = r === currentRow;
-      overlayIcon.classList.toggle("fa-play", !(isCurrent && isPlaying));
-      overlayIcon.classList.toggle("fa-pause", isCurrent && isPlaying);
-    });
+  const writeHash = (id, tab) => {
+    try {
+      window.history.replaceState(window.history.state, "", `${window.location.pathname}${window.location.search}#${id}/${tab}`);
+    } catch { }
   };
 
-  const stopActiveTicker = () => {
-    if (rafId) cancelAnimationFrame(rafId);
-    rafId = null;
+  const setActiveTab = (stationEl, key, { focus = false } = {}) => {
+    if (!stationEl) return;
+    stationEl.querySelectorAll("[data-hub-tab]").forEach((btn) => {
+      const on = btn.dataset.hubTab === key;
+      btn.classList.toggle("is-active", on);
+      btn.setAttribute("aria-selected", String(on));
+      btn.tabIndex = on ? 0 : -1;
+      if (on && focus) btn.focus();
+    });
+    stationEl.querySelectorAll("[data-hub-pane]").forEach((pane) => {
+      pane.classList.toggle("is-visible", pane.dataset.hubPane === key);
+    });
   };
 
-  const startActiveTicker = () => {
-    stopActiveTicker();
-    const tick = () => {
-      if (currentRow && !playerAudio.paused && !playerAudio.ended) {
-        setRowTimeToCurrent(currentRow);
-        rafId = requestAnimationFrame(tick);
-      } else {
-        rafId = null;
-      }
-    };
-    rafId = requestAnimationFrame(tick);
+  const setActiveStation = (id, tab = "details") => {
+    const station = stations.find((st) => st.id === id);
+    if (!station) return;
+    activeId = id;
+
+    items.forEach((li) => {
+      const on = li.dataset.hubTarget === id;
+      li.classList.toggle("is-active", on);
+      li.setAttribute("aria-selected", String(on));
+      li.tabIndex = on ? 0 : -1;
+    });
+
+    panel.querySelectorAll("[data-hub-station]").forEach((el) => {
+      el.classList.toggle("is-active", el.dataset.hubStation === id);
+    });
+    setActiveTab(getStationEl(id), tab);
+
+    HUB_MEDIA_KEYS.forEach((key) => {
+      if (counters[key]) counters[key].textContent = String(station[key].length);
+    });
   };
 
-  const updatePlayerUIFromRow = (row) => {
-    const title = row.dataset.title || "";
-    const desc = row.dataset.desc || "";
-    const year = row.dataset.year || "";
-    const source = row.dataset.source || "";
-    const plays = row.dataset.plays || "";
-    const categoryLabel = row.dataset.categoryLabel || row.dataset.category || "—";
-    const cover = row.dataset.cover || "";
+  const render = () => {
+    list.replaceChildren(...stations.map(HUB_TEMPLATES.item));
+    panel.replaceChildren(...stations.map(HUB_TEMPLATES.station));
+    items = Array.from(list.querySelectorAll("[data-hub-target]"));
 
-    if (els.title) els.title.textContent = title || "—";
-    if (els.desc) els.desc.textContent = desc || "";
-    if (els.meta) els.meta.textContent = `${year}${source ? " · " + source : ""}` || "—";
-    if (els.plays) els.plays.textContent = formatPlays(plays);
-    if (els.category) els.category.textContent = categoryLabel;
-    if (els.cover && cover) { els.cover.src = cover; els.cover.alt = title || "غلاف المقطع"; }
+    // Inline audio players (initPlyrPlayers) + anything else that enhances rendered markup
+    hub.dispatchEvent(new CustomEvent("archive:items-rendered", {
+      bubbles: true,
+      detail: { elements: [panel], types: ["photo", "video", "audio"] },
+    }));
   };
 
-  const loadAndPlayRow = async (row) => {
-    const url = row.dataset.audio;
-    if (!url) return;
+  // ---------- Index: click + listbox keyboard ----------
+  list.addEventListener("click", (e) => {
+    const li = e.target.closest("[data-hub-target]");
+    if (!li) return;
+    setActiveStation(li.dataset.hubTarget);
+    writeHash(activeId, "details");
+  });
 
-    if (currentRow === row) {
-      const plyr = getPlyrInstance(playerAudio);
-      if (!playerAudio.paused && !playerAudio.ended) {
-        if (plyr?.pause) plyr.pause();
-        else playerAudio.pause();
-        return;
-      }
-      if (plyr?.play) { try { await plyr.play(); } catch { } }
-      else { try { await playerAudio.play(); } catch { } }
+  list.addEventListener("keydown", (e) => {
+    const li = e.target.closest("[data-hub-target]");
+    if (!li) return;
+
+    if (ACTIVATION_KEYS.includes(e.key)) {
+      e.preventDefault();
+      li.click();
       return;
     }
 
-    if (currentRow) setRowTimeToDuration(currentRow);
+    const i = items.indexOf(li);
+    const last = items.length - 1;
+    const next = { ArrowDown: i + 1, ArrowUp: i - 1, Home: 0, End: last }[e.key];
+    if (next === undefined) return;
 
-    currentRow = row;
-    setRowActive(row);
-    updatePlayerUIFromRow(row);
+    e.preventDefault();
+    const target = items[Math.max(0, Math.min(last, next))];
+    if (!target || target === li) return;
+    setActiveStation(target.dataset.hubTarget);
+    writeHash(activeId, "details");
+    target.focus();
+  });
 
-    playerSource.src = url;
-    try { playerAudio.load(); } catch { }
+  // ---------- Tabs: click + RTL-aware arrows ----------
+  panel.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-hub-tab]");
+    if (!btn) return;
+    setActiveTab(btn.closest("[data-hub-station]"), btn.dataset.hubTab);
+    writeHash(activeId, btn.dataset.hubTab);
+  });
 
-    const plyr = getPlyrInstance(playerAudio);
-    if (plyr?.play) { try { await plyr.play(); } catch { } }
-    else { try { await playerAudio.play(); } catch { } }
-  };
+  panel.addEventListener("keydown", (e) => {
+    const btn = e.target.closest("[data-hub-tab]");
+    if (!btn) return;
 
-  const ensurePlayButton = (row) => {
-    row.querySelectorAll('[aria-label="تفاصيل"], [aria-label="ربط بالمحطة"]').forEach((b) => b.remove());
+    const rtl = getComputedStyle(btn).direction === "rtl";
+    const step = { ArrowLeft: rtl ? 1 : -1, ArrowRight: rtl ? -1 : 1 }[e.key];
+    const keys = HUB_TABS.map((t) => t.key);
+    const i = keys.indexOf(btn.dataset.hubTab);
+    const next = e.key === "Home" ? 0 : e.key === "End" ? keys.length - 1 : step === undefined ? -1 : (i + step + keys.length) % keys.length;
+    if (next < 0) return;
 
-    const actions = row.querySelector(".c-audio-row__actions");
-    if (!actions) return;
+    e.preventDefault();
+    setActiveTab(btn.closest("[data-hub-station]"), keys[next], { focus: true });
+    writeHash(activeId, keys[next]);
+  });
 
-    if (!row.querySelector("[data-audio-play]")) {
-      const playBtn = document.createElement("button");
-      playBtn.className = "c-icon-btn";
-      playBtn.type = "button";
-      playBtn.setAttribute("aria-label", "تشغيل");
-      playBtn.setAttribute("data-audio-play", "");
-      playBtn.innerHTML = '<i class="fa-solid fa-play" aria-hidden="true"></i>';
+  const applyHash = ({ scroll = false } = {}) => {
+    const link = readHash();
+    if (!link) return false;
+    setActiveStation(link.id, link.tab);
+    if (scroll) hub.scrollIntoView({ behavior: "smooth", block: "start" });
+    return true;
+  };
 
-      const copyBtn = actions.querySelector('[aria-label="نسخ رابط"], [data-audio-copy]');
-      if (copyBtn) actions.insertBefore(playBtn, copyBtn);
-      else actions.appendChild(playBtn);
-    }
+  window.addEventListener("hashchange", () => applyHash({ scroll: true }));
+
+  // Templates are translated: re-render in place, keeping the open station + tab
+  document.addEventListener("i18n:change", () => {
+    if (!stations.length) return;
+    const tab = getStationEl(activeId)?.querySelector("[data-hub-tab].is-active")?.dataset.hubTab;
+    render();
+    setActiveStation(activeId, tab);
+  });
+
+  const boot = (data) => {
+    stations = data;
+    if (!stations.length) return;
+    render();
+    if (!applyHash({ scroll: true })) setActiveStation(stations[0].id);
   };
 
-  const wireRow = (row) => {
-    ensurePlayButton(row);
+  // Static data renders synchronously so later initializers (deep links, search) see the stations
+  if (hub.dataset.hubSrc) loadHubStations(hub).then(boot);
+  else boot(readHubStaticStations(document.getElementById("hubStaticData")).map(normalizeHubStation).filter(Boolean));
+};
 
-    const playBtn = row.querySelector("[data-audio-play]");
-    if (playBtn) {
-      playBtn.addEventListener("click", (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        loadAndPlayRow(row);
+/* ============================================================
+   25) Contact Form (transport, spam checks, drafts, offline queue)
+============================================================ */
+
+/**
+ * Markup hooks (contact.html):
+ * - form[data-contact-endpoint]   POST target; without it the form falls back to data-contact-mailto
+ * - form[data-contact-encoding]   json (default) | form
+ * - [data-field]                  wraps a control + its .c-error (text is swapped for server errors)
+ * - [data-contact-alert]          status line + error summary
+ * - [data-contact-honeypot]       trap input; if filled the submission is dropped silently
+ * - [data-contact-draft]          autosave status (+ [data-contact-draft-clear])
+ *
+ * Transport contract: async (payload) => ({ ok, status, errors?: { [field]: message }, message? }).
+ * It must throw on network failure; those submissions are queued and retried
+ * when the browser comes back online (and on the next visit). A queued one the
+ * server refuses (4xx) stays queued as rejected until the form can take it back,
+ * refilled, with the server's field errors.
+ * Swap it with contactPipeline.setTransport(fn), e.g. to point at a local stub server.
+ */
+const CONTACT_DRAFT_KEY = "saleh:contact-draft:v1";
+const CONTACT_QUEUE_KEY = "saleh:contact-queue:v1";
+const CONTACT_LIMITS = { minFillMs: 4000, queue: 10, draftDelay: 400 };
+
+const CONTACT_ENCODERS = {
+  json: (payload) => ({
+    body: JSON.stringify(payload),
+    headers: { "Content-Type": "application/json" },
+  }),
+  form: (payload) => ({
+    body: new URLSearchParams(payload).toString(),
+    headers: { "Content-Type": "application/x-www-form-urlencoded;charset=UTF-8" },
+  }),
+};
+
+const buildContactMailto = (address, payload) => {
+  const subject = `[Archive Contact] ${payload.fullName || ""}`.trim();
+  const body = [
+    `Name: ${payload.fullName || "-"}`,
+    `Email: ${payload.email || "-"}`,
+    `Reference URL: ${payload.referenceUrl || "-"}`,
+    "",
+    "Message:",
+    payload.message || "-",
+  ].join("\n");
+  return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+};
+
+const createContactTransport = ({ endpoint = "", encoding = "json", mailto = "" } = {}) => {
+  if (endpoint) {
+    const encode = CONTACT_ENCODERS[encoding] || CONTACT_ENCODERS.json;
+    return async (payload) => {
+      const { body, headers } = encode(payload);
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: { Accept: "application/json", ...headers },
+        body,
+        credentials: "same-origin",
       });
+
+      let data = null;
+      try { data = await res.json(); } catch { }
+      return { ok: res.ok, status: res.status, errors: data?.errors || null, message: data?.message || "" };
+    };
+  }
+
+  if (mailto) {
+    const send = async (payload) => {
+      window.location.href = buildContactMailto(mailto, payload);
+      return { ok: true, status: 0, viaMailto: true };
+    };
+    // Needs the user's mail client, so it's never used to replay the offline queue
+    send.interactive = true;
+    return send;
+  }
+
+  return null;
+};
+
+const contactQueue = {
+  flushing: false,
+
+  read() {
+    try {
+      const list = JSON.parse(safeStorageGet(CONTACT_QUEUE_KEY) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
     }
+  },
 
-    row.addEventListener("click", (e) => {
-      const isInteractive = e.target.closest("button, a, input, select, textarea, label");
-      if (isInteractive) return;
-      loadAndPlayRow(row);
-    });
+  write(list) {
+    safeStorageSet(CONTACT_QUEUE_KEY, JSON.stringify(list.slice(-CONTACT_LIMITS.queue)));
+  },
 
-    row.addEventListener("keydown", (e) => {
-      if (!ACTIVATION_KEYS.includes(e.key)) return;
-      e.preventDefault();
-      loadAndPlayRow(row);
-    });
+  push(payload) {
+    this.write([...this.read(), { payload, queuedAt: Date.now() }]);
+  },
 
-    const audioUrl = row.dataset.audio;
-    if (audioUrl) {
-      const probe = new Audio();
-      probe.preload = "metadata";
-      probe.src = audioUrl;
-      probe.addEventListener("loadedmetadata", () => {
-        row._duration = probe.duration;
-        if (row !== currentRow) setRowTimeToDuration(row);
-      });
+  count({ rejected = false } = {}) {
+    return this.read().filter((entry) => !!entry.rejected === rejected).length;
+  },
+
+  /** Remove and return the oldest rejected entry: { payload, rejected: { status, errors, message } } */
+  takeRejected() {
+    const list = this.read();
+    const idx = list.findIndex((entry) => entry.rejected);
+    if (idx < 0) return null;
+    const [entry] = list.splice(idx, 1);
+    this.write(list);
+    return entry;
+  },
+
+  /**
+   * Send queued payloads in order; stops at the first network failure.
+   * Returns { sent, rejected }: how many were delivered / refused by the server this round.
+   */
+  async flush(transport) {
+    const result = { sent: 0, rejected: 0 };
+    if (this.flushing || !transport || transport.interactive) return result;
+    this.flushing = true;
+
+    const list = this.read();
+    try {
+      for (const entry of list.filter((item) => !item.rejected)) {
+        const res = await transport(entry.payload);
+        // Keep server errors (5xx) for the next round
+        if (!res?.ok && res?.status >= 500) break;
+
+        if (res?.ok) {
+          list.splice(list.indexOf(entry), 1);
+          result.sent += 1;
+        } else {
+          // A 4xx won't get better on retry: keep it for the reader to fix
+          entry.rejected = { status: res?.status || 0, errors: res?.errors || null, message: res?.message || "" };
+          result.rejected += 1;
+        }
+        this.write(list);
+      }
+    } catch {
+      // Still offline (or the endpoint is unreachable): leave the rest queued
+    } finally {
+      this.flushing = false;
     }
-  };
+    return result;
+  },
+};
+
+const contactPipeline = {
+  transport: null,
+  queue: contactQueue,
+
+  /** Swap the transport (e.g. a CMS endpoint client or a test stub). */
+  setTransport(transport) {
+    if (typeof transport !== "function") return;
+    this.transport = transport;
+  },
+};
+
+/* Shared by the contact + contribution forms: [data-field] wrappers with a .c-error line */
+const getFormField = (el) => el?.closest("[data-field]");
+
+const isFormFieldValid = (el) => {
+  const value = el.value.trim();
+  if (!value) return !el.required;
+  const min = Number(el.getAttribute("minlength")) || 0;
+  return value.length >= min && !el.validity.typeMismatch;
+};
 
-  rows.forEach(wireRow);
+/** message: null clears the error, "" shows the field's default .c-error text */
+const setFormFieldError = (el, message = null) => {
+  const wrap = getFormField(el);
+  const errorEl = wrap?.querySelector(".c-error");
+  const invalid = message !== null;
 
-  playerAudio.addEventListener("loadedmetadata", () => {
-    if (els.duration) els.duration.textContent = formatTime(playerAudio.duration);
-    if (currentRow) currentRow._duration = playerAudio.duration;
-  });
+  wrap?.classList.toggle("is-invalid", invalid);
+  if (invalid) el.setAttribute("aria-invalid", "true");
+  else el.removeAttribute("aria-invalid");
 
-  playerAudio.addEventListener("play", () => {
-    updateRowPlayIcons(true);
-    updateThumbOverlayIcons(true);
-    startActiveTicker();
-  });
+  if (!errorEl) return;
+  if (errorEl.dataset.defaultText === undefined) errorEl.dataset.defaultText = errorEl.textContent;
+  errorEl.textContent = message || errorEl.dataset.defaultText;
+};
 
-  playerAudio.addEventListener("pause", () => {
-    updateRowPlayIcons(false);
-    updateThumbOverlayIcons(false);
-    stopActiveTicker();
-    if (currentRow) setRowTimeToDuration(currentRow);
-  });
+const clearFormAlert = (alertBox) => {
+  if (!alertBox) return;
+  alertBox.classList.remove("is-visible", "is-error", "is-pending");
+  alertBox.replaceChildren();
+};
 
-  playerAudio.addEventListener("ended", () => {
-    updateRowPlayIcons(false);
-    updateThumbOverlayIcons(false);
-    stopActiveTicker();
-    if (currentRow) setRowTimeToDuration(currentRow);
-  });
+/** tone: success | error | pending; fields are listed as links that focus the control */
+const showFormAlert = (alertBox, text, { tone = "success", fields = [] } = {}) => {
+  if (!alertBox) return;
+  clearFormAlert(alertBox);
+  alertBox.textContent = text;
+
+  if (fields.length) {
+    const list = document.createElement("ul");
+    list.className = "c-alert__list";
+    fields.forEach((el) => {
+      const li = document.createElement("li");
+      const link = document.createElement("a");
+      link.href = `#${el.id}`;
+      link.textContent = document.querySelector(`label[for="${el.id}"]`)?.textContent.trim() || el.name;
+      link.addEventListener("click", (e) => { e.preventDefault(); el.focus(); });
+      li.appendChild(link);
+      list.appendChild(li);
+    });
+    alertBox.appendChild(list);
+  }
+
+  alertBox.classList.add("is-visible");
+  if (tone !== "success") alertBox.classList.add(`is-${tone}`);
 };
 
-/* ============================================================
-   13) Hero Stats Counter
-============================================================ */
+const initContactForm = () => {
+  const form = document.getElementById("contactFormEl");
+  if (!form) return;
 
-const initHeroStatsCounter = () => {
-  const root = document.querySelector("[data-stats]");
-  if (!root) return;
+  const alertBox = document.querySelector("[data-contact-alert]");
+  const honeypot = form.querySelector("[data-contact-honeypot]");
+  const submitBtn = form.querySelector("[data-contact-submit]") || form.querySelector("[type='submit']");
+  const draftEl = form.querySelector("[data-contact-draft]");
+  const draftText = form.querySelector("[data-contact-draft-text]");
 
-  const counters = Array.from(root.querySelectorAll(".c-counter[data-count-to]"));
-  if (!counters.length) return;
+  contactPipeline.setTransport(createContactTransport({
+    endpoint: form.dataset.contactEndpoint,
+    encoding: form.dataset.contactEncoding,
+    mailto: form.dataset.contactMailto,
+  }));
 
-  const prefersReducedMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)")?.matches ?? false;
-  const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+  const startedAt = Date.now();
+  let busy = false;
 
-  const animateCounter = (el, { duration = 900 } = {}) => {
-    const to = Number(el.getAttribute("data-count-to") || 0);
-    const prefix = el.getAttribute("data-prefix") || "";
-    const suffix = el.getAttribute("data-suffix") || "";
+  const getControls = () =>
+    Array.from(form.elements).filter((el) =>
+      el.name && el !== honeypot && !["file", "submit", "button"].includes(el.type)
+    );
 
-    if (prefersReducedMotion) {
-      el.textContent = `${prefix}${to}${suffix}`;
+  const clearAlert = () => clearFormAlert(alertBox);
+  const showAlert = (text, options) => showFormAlert(alertBox, text, options);
+
+  const validate = () => {
+    const invalid = getControls().filter((el) => !isFormFieldValid(el));
+    getControls().forEach((el) => setFormFieldError(el, invalid.includes(el) ? "" : null));
+    return invalid;
+  };
+
+  // ---------- Draft autosave ----------
+  let draftTimer = 0;
+
+  const setDraftStatus = (text) => {
+    if (!draftEl) return;
+    draftEl.hidden = !text;
+    if (text && draftText) draftText.textContent = text;
+  };
+
+  const saveDraft = () => {
+    const values = Object.fromEntries(getControls().map((el) => [el.name, el.value]));
+    const hasContent = Object.values(values).some((v) => String(v).trim());
+    if (!hasContent) {
+      clearDraft();
       return;
     }
+    safeStorageSet(CONTACT_DRAFT_KEY, JSON.stringify({ values, savedAt: Date.now() }));
+    setDraftStatus(i18n.t("contact.draftSaved"));
+  };
 
-    const from = 0;
-    const startTime = performance.now();
-
-    const tick = (now) => {
-      const elapsed = now - startTime;
-      const t = Math.min(1, elapsed / duration);
-      const eased = easeOutCubic(t);
+  const clearDraft = () => {
+    window.clearTimeout(draftTimer);
+    try { localStorage.removeItem(CONTACT_DRAFT_KEY); } catch { }
+    setDraftStatus("");
+  };
 
-      const value = Math.round(from + (to - from) * eased);
-      el.textContent = `${prefix}${value}${suffix}`;
+  const restoreDraft = () => {
+    let draft = null;
+    try { draft = JSON.parse(safeStorageGet(CONTACT_DRAFT_KEY) || "null"); } catch { }
+    if (!draft?.values) return;
+
+    let restored = false;
+    getControls().forEach((el) => {
+      const value = draft.values[el.name];
+      if (typeof value !== "string" || el.value) return;
+      el.value = value;
+      restored = restored || !!value;
+    });
+    if (restored) setDraftStatus(i18n.t("contact.draftRestored"));
+  };
 
-      if (t < 1) requestAnimationFrame(tick);
-      else el.textContent = `${prefix}${to}${suffix}`;
-    };
+  const resetForm = () => {
+    form.reset();
+    clearDraft();
+    getControls().forEach((el) => setFormFieldError(el, null));
+  };
 
-    requestAnimationFrame(tick);
+  // ---------- Submit ----------
+  const setBusy = (on) => {
+    busy = on;
+    if (!submitBtn) return;
+    submitBtn.disabled = on;
+    submitBtn.setAttribute("aria-busy", String(on));
   };
 
-  const runAll = () => counters.forEach((el, idx) => setTimeout(() => animateCounter(el, { duration: 900 }), idx * 120));
+  const buildPayload = () => ({
+    ...Object.fromEntries(getControls().map((el) => [el.name, el.value.trim()])),
+    page: window.location.pathname,
+    sentAt: new Date().toISOString(),
+    elapsedMs: Date.now() - startedAt,
+  });
 
-  const obs = new IntersectionObserver(
-    (entries) => {
-      entries.forEach((entry) => {
-        if (!entry.isIntersecting) return;
-        runAll();
-        obs.disconnect();
-      });
-    },
-    { threshold: 0.35 }
-  );
+  const applyServerErrors = (errors, text = i18n.t("contact.invalid")) => {
+    const fields = Object.entries(errors)
+      .map(([name, message]) => {
+        const el = form.elements.namedItem(name);
+        if (!el || !el.name) return null;
+        setFormFieldError(el, String(message || ""));
+        return el;
+      })
+      .filter(Boolean);
+
+    showAlert(text, { tone: "error", fields });
+    fields[0]?.focus();
+  };
 
-  obs.observe(root);
-};
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    clearAlert();
 
-/* ============================================================
-   14) Quotes Spotlight (AUTO IIFE, no global call)
-============================================================ */
+    const invalid = validate();
+    if (invalid.length) {
+      showAlert(i18n.t("contact.invalid"), { tone: "error", fields: invalid });
+      invalid[0].focus();
+      return;
+    }
 
-(function () {
-  "use strict";
+    // Bots: pretend it worked, send nothing
+    if (honeypot?.value) {
+      resetForm();
+      showAlert(i18n.t("contact.success"));
+      return;
+    }
 
-  function initQuotesSpotlight(root) {
-    if (!root) return;
+    if (Date.now() - startedAt < CONTACT_LIMITS.minFillMs) {
+      showAlert(i18n.t("contact.tooFast"), { tone: "error" });
+      return;
+    }
 
-    const featured = root.querySelector("[data-q-featured]");
-    const listRoot = root.querySelector("[data-q-list]");
-    if (!featured || !listRoot) return;
+    const transport = contactPipeline.transport;
+    if (!transport) {
+      showAlert(i18n.t("contact.unavailable"), { tone: "error" });
+      return;
+    }
 
-    const tKicker = featured.querySelector("[data-q-kicker]");
-    const tChip = featured.querySelector("[data-q-chip]");
-    const tText = featured.querySelector("[data-q-text]");
-    const tWho = featured.querySelector("[data-q-who]");
-    const tMeta = featured.querySelector("[data-q-meta]");
-    const tSourceText = featured.querySelector("[data-q-source-text]");
+    const payload = buildPayload();
+    setBusy(true);
 
-    const btnCopy = featured.querySelector("[data-q-copy]");
-    const btnShare = featured.querySelector("[data-q-share]");
+    try {
+      const res = await transport(payload);
+      if (res?.ok) {
+        resetForm();
+        showAlert(res.viaMailto ? i18n.t("contact.mailto") : i18n.t("contact.success"));
+      } else if (res?.errors && typeof res.errors === "object") {
+        applyServerErrors(res.errors);
+      } else {
+        showAlert(res?.message || i18n.t("contact.failed"), { tone: "error" });
+      }
+    } catch {
+      contactQueue.push(payload);
+      resetForm();
+      showAlert(i18n.t("contact.queued"), { tone: "pending" });
+    } finally {
+      setBusy(false);
+    }
+  });
 
-    const searchInput = root.querySelector("[data-q-search]");
-    const btnPrev = root.querySelector("[data-q-prev]");
-    const btnNext = root.querySelector("[data-q-next]");
-    const emptyState = root.querySelector("[data-q-empty]");
+  // Re-check an invalid field as it's corrected; autosave the draft
+  form.addEventListener("input", (e) => {
+    const el = e.target;
+    if (el === honeypot || !el.name || el.type === "file") return;
 
-    const items = Array.from(listRoot.querySelectorAll("[data-q-item]"));
-    if (!items.length) return;
+    if (getFormField(el)?.classList.contains("is-invalid") && isFormFieldValid(el)) setFormFieldError(el, null);
 
-    const norm = (s) => String(s || "").trim().toLowerCase();
-    const getVisibleItems = () => items.filter((el) => !el.classList.contains("u-hide"));
+    window.clearTimeout(draftTimer);
+    draftTimer = window.setTimeout(saveDraft, CONTACT_LIMITS.draftDelay);
+  });
 
-    const setActiveItem = (active) => items.forEach((el) => el.classList.toggle("is-active", el === active));
+  form.querySelector("[data-contact-draft-clear]")?.addEventListener("click", () => {
+    resetForm();
+    clearAlert();
+    restoreRejected();
+  });
 
-    const buildChip = (typeLabel, typeIcon) => {
-      const icon = typeIcon || "fa-regular fa-newspaper";
-      const label = typeLabel || "";
-      return `<i class="${icon}" aria-hidden="true"></i>${label ? " " + label : ""}`;
-    };
+  // ---------- Offline queue ----------
+  // A queued message the server refused goes back into the form, but never over what the reader is typing
+  const restoreRejected = () => {
+    if (busy || getControls().some((el) => el.value.trim())) return false;
+    const entry = contactQueue.takeRejected();
+    if (!entry) return false;
 
-    const renderFeatured = (item) => {
-      if (!item) return;
-      const d = item.dataset;
+    getControls().forEach((el) => {
+      const value = entry.payload?.[el.name];
+      if (typeof value === "string") el.value = value;
+    });
+    saveDraft(); // survives a reload now that it's off the queue
 
-      const title = d.qTitle || "اقتباس موثق";
-      const typeLabel = d.qTypeLabel || "";
-      const typeIcon = d.qTypeIcon || "fa-regular fa-newspaper";
+    const { errors, message } = entry.rejected;
+    if (errors && typeof errors === "object") applyServerErrors(errors, i18n.t("contact.rejected"));
+    else showAlert(message || i18n.t("contact.rejected"), { tone: "error" });
+    return true;
+  };
 
-      const text = d.qText || "";
-      const meta = d.qMeta || "";
-      const source = d.qSource || "مصدر عند توفره";
-      const who = d.qWho || "صالح العاروري";
+  const showQueueStatus = (sent = 0) => {
+    if (restoreRejected()) return;
+    const left = contactQueue.count();
+    if (sent) showAlert(i18n.t("contact.flushed", { count: sent }));
+    else if (left) showAlert(i18n.t("contact.pending", { count: left }), { tone: "pending" });
+    else if (contactQueue.count({ rejected: true })) showAlert(i18n.t("contact.rejectedWaiting"), { tone: "error" });
+  };
 
-      if (tKicker) tKicker.textContent = title;
-      if (tChip) tChip.innerHTML = buildChip(typeLabel, typeIcon);
-      if (tText) tText.textContent = text;
-      if (tWho) tWho.textContent = who;
-      if (tMeta) tMeta.textContent = meta;
-      if (tSourceText) tSourceText.textContent = source;
+  const flushQueue = async () => {
+    const { sent } = await contactQueue.flush(contactPipeline.transport);
+    showQueueStatus(sent);
+  };
 
-      featured.dataset.qActiveText = text;
-      featured.dataset.qActiveMeta = meta;
-      featured.dataset.qActiveSource = source;
+  window.addEventListener("online", flushQueue);
 
-      setActiveItem(item);
-    };
+  restoreDraft();
+  if (contactQueue.read().length) {
+    if (navigator.onLine === false) showQueueStatus();
+    else flushQueue();
+  }
+};
 
-    const getActiveItem = () => {
-      const visible = getVisibleItems();
-      if (!visible.length) return null;
-      return visible.find((el) => el.classList.contains("is-active")) || visible[0];
-    };
+/* ============================================================
+   26) Archive Contributions (file uploads + provenance)
+============================================================ */
 
-    const step = (dir) => {
-      const visible = getVisibleItems();
-      if (!visible.length) return;
+/**
+ * Markup hooks (contact.html):
+ * - form#contributeFormEl[data-upload-endpoint]   chunked upload endpoint (no endpoint = uploads disabled)
+ * - [data-upload-drop] + input[type=file][data-upload-input]
+ * - [data-upload-list]    one row per selected file (thumbnail, progress, status)
+ * - [data-upload-alert]   status line + error summary
+ * - provenance controls named source / date / location / rights (+ title, description)
+ *
+ * Upload protocol (resumable, one file at a time):
+ *   POST {endpoint}                 JSON { name, size, mime, fingerprint, metadata } -> { uploadId, chunkSize? }
+ *   GET  {endpoint}/{uploadId}      -> { offset }   (bytes the server already has)
+ *   PUT  {endpoint}/{uploadId}      chunk body + "Content-Range: bytes start-end/total" -> { offset }
+ * Upload ids are remembered per file fingerprint, so re-selecting the same file
+ * after a failure or a reload continues from the server's offset.
+ * Swap it with uploadPipeline.setTransport({ create, status, sendChunk }).
+ *
+ * Failed requests reject with err.status and err.data (the parsed JSON body):
+ *   409 { offset }   the chunk didn't start where the server is; continue from its offset
+ *   404              unknown / expired upload; the session is dropped and a new one created
+ *   other 4xx        the file fails without retrying; 5xx and network errors retry with backoff
+ *
+ * `metadata` uses the ArchiveItem keys (section 18) so an accepted upload maps
+ * straight onto a media card: type, title, description, date, year, source, location,
+ * plus rights, contributor and capturedAt (the file's own EXIF date, when there is one).
+ */
+const UPLOAD_SESSIONS_KEY = "saleh:uploads:v1";
+const UPLOAD_LIMITS = { files: 10, chunkSize: 1024 * 1024, retries: 3, retryDelay: 1000 };
+
+const UPLOAD_KINDS = {
+  photo: { icon: "fa-regular fa-image", maxBytes: 20 * 1024 * 1024, test: (t) => /^image\/(jpeg|png|webp|gif|heic|heif)$/.test(t) },
+  audio: { icon: "fa-solid fa-wave-square", maxBytes: 100 * 1024 * 1024, test: (t) => /^audio\/(mpeg|mp3|mp4|x-m4a|wav|x-wav|ogg|webm|aac)$/.test(t) },
+  video: { icon: "fa-solid fa-film", maxBytes: 500 * 1024 * 1024, test: (t) => /^video\/(mp4|webm|quicktime)$/.test(t) },
+  document: { icon: "fa-regular fa-file-pdf", maxBytes: 30 * 1024 * 1024, test: (t) => t === "application/pdf" },
+};
 
-      const active = getActiveItem();
-      const i = Math.max(0, visible.indexOf(active));
-      const nextIndex = dir === "next"
-        ? Math.min(visible.length - 1, i + 1)
-        : Math.max(0, i - 1);
+const formatBytes = (bytes) => {
+  const units = ["B", "KB", "MB", "GB"];
+  let v = Number(bytes) || 0;
+  let i = 0;
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i += 1;
+  }
+  return `${v.toFixed(v < 10 && i ? 1 : 0)} ${units[i]}`;
+};
 
-      const nextItem = visible[nextIndex];
-      renderFeatured(nextItem);
-      nextItem.focus?.();
-    };
+const detectUploadKind = (file) =>
+  Object.keys(UPLOAD_KINDS).find((kind) => UPLOAD_KINDS[kind].test(String(file?.type || "").toLowerCase())) || "";
 
-    const applySearch = (q) => {
-      const query = norm(q);
-      let shown = 0;
+const getUploadFingerprint = (file) => [file.name, file.size, file.lastModified].join(":");
 
-      items.forEach((item) => {
-        const d = item.dataset;
-        const haystack = [d.qText, d.qYear, d.qTypeLabel, d.qMeta, d.qSource, d.qId].map(norm).join(" ");
-        const match = !query || haystack.includes(query);
+/**
+ * EXIF DateTimeOriginal (falls back to DateTime) from a JPEG, as "YYYY-MM-DD".
+ * Only the first 128KB are read; anything unexpected resolves to "".
+ */
+const readExifDate = async (file) => {
+  if (!/^image\/jpe?g$/i.test(file?.type || "")) return "";
 
-        item.classList.toggle("u-hide", !match);
-        if (match) shown += 1;
-      });
+  try {
+    const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+    if (view.getUint16(0) !== 0xffd8) return "";
+
+    // Walk the JPEG segments to APP1 "Exif\0\0"
+    let offset = 2;
+    while (offset + 4 < view.byteLength) {
+      const marker = view.getUint16(offset);
+      const length = view.getUint16(offset + 2);
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+        return readTiffDate(view, offset + 10);
+      }
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) return "";
+      offset += 2 + length;
+    }
+  } catch { }
+  return "";
+};
 
-      if (emptyState) emptyState.classList.toggle("u-hide", shown !== 0);
+const readTiffDate = (view, tiff) => {
+  const little = view.getUint16(tiff) === 0x4949;
+  const u16 = (at) => view.getUint16(at, little);
+  const u32 = (at) => view.getUint32(at, little);
+
+  const readTags = (ifd) => {
+    const tags = {};
+    const count = u16(ifd);
+    for (let i = 0; i < count; i += 1) {
+      const entry = ifd + 2 + i * 12;
+      tags[u16(entry)] = { count: u32(entry + 4), value: u32(entry + 8) };
+    }
+    return tags;
+  };
 
-      const active = getActiveItem();
-      if (active) renderFeatured(active);
-    };
+  const readAscii = (tag) => {
+    if (!tag) return "";
+    let text = "";
+    for (let i = 0; i < tag.count - 1; i += 1) text += String.fromCharCode(view.getUint8(tiff + tag.value + i));
+    return text;
+  };
 
-    const copyFeatured = async () => {
-      const text = featured.dataset.qActiveText || tText?.textContent || "";
-      if (!text) return;
+  const ifd0 = readTags(tiff + u32(tiff + 4));
+  const exif = ifd0[0x8769] ? readTags(tiff + ifd0[0x8769].value) : {};
+  const raw = readAscii(exif[0x9003]) || readAscii(ifd0[0x0132]);
+  const m = raw.match(/^(\d{4}):(\d{2}):(\d{2})/);
+  return m && m[1] !== "0000" ? `${m[1]}-${m[2]}-${m[3]}` : "";
+};
 
-      try {
-        await navigator.clipboard.writeText(text);
-        btnCopy?.classList.add("is-done");
-        setTimeout(() => btnCopy?.classList.remove("is-done"), 700);
-      } catch {
-        const ta = document.createElement("textarea");
-        ta.value = text;
-        ta.style.position = "fixed";
-        ta.style.opacity = "0";
-        document.body.appendChild(ta);
-        ta.select();
-        try { document.execCommand("copy"); } catch { }
-        document.body.removeChild(ta);
-      }
-    };
+const uploadSessions = {
+  read() {
+    try { return JSON.parse(safeStorageGet(UPLOAD_SESSIONS_KEY) || "{}") || {}; } catch { return {}; }
+  },
+  get(fingerprint) {
+    return this.read()[fingerprint] || null;
+  },
+  set(fingerprint, session) {
+    const all = this.read();
+    if (session) all[fingerprint] = session;
+    else delete all[fingerprint];
+    safeStorageSet(UPLOAD_SESSIONS_KEY, JSON.stringify(all));
+  },
+};
 
-    const shareFeatured = async () => {
-      const text = featured.dataset.qActiveText || tText?.textContent || "";
-      const meta = featured.dataset.qActiveMeta || tMeta?.textContent || "";
-      const payload = meta ? `${text}\n\n— ${meta}` : text;
-      if (!payload) return;
+const createUploadTransport = (endpoint) => {
+  if (!endpoint) return null;
+  const base = endpoint.replace(/\/+$/, "");
 
-      if (navigator.share) {
-        try { await navigator.share({ title: "اقتباس", text: payload }); return; } catch { }
-      }
-      try { await navigator.clipboard.writeText(payload); } catch { }
-    };
+  const request = async (url, options = {}) => {
+    const res = await fetch(url, { credentials: "same-origin", ...options, headers: { Accept: "application/json", ...options.headers } });
+    let data = {};
+    try { data = (await res.json()) || {}; } catch { }
+    if (res.ok) return data;
 
-    listRoot.addEventListener("click", (e) => {
-      const item = e.target.closest("[data-q-item]");
-      if (!item || !listRoot.contains(item)) return;
-      renderFeatured(item);
-    });
+    const err = new Error(`Upload request failed (${res.status}): ${url}`);
+    err.status = res.status;
+    err.data = data;
+    throw err;
+  };
 
-    listRoot.addEventListener("keydown", (e) => {
-      if (!["Enter", " "].includes(e.key)) return;
-      const item = e.target.closest("[data-q-item]");
-      if (!item || !listRoot.contains(item)) return;
-      e.preventDefault();
-      renderFeatured(item);
-    });
+  return {
+    create: (info) => request(base, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(info),
+    }),
+    status: (uploadId) => request(`${base}/${encodeURIComponent(uploadId)}`),
+    sendChunk: (uploadId, chunk, start, total) => request(`${base}/${encodeURIComponent(uploadId)}`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/octet-stream",
+        "Content-Range": `bytes ${start}-${start + chunk.size - 1}/${total}`,
+      },
+      body: chunk,
+    }),
+  };
+};
 
-    if (searchInput) searchInput.addEventListener("input", (e) => applySearch(e.target.value));
-    if (btnPrev) btnPrev.addEventListener("click", () => step("prev"));
-    if (btnNext) btnNext.addEventListener("click", () => step("next"));
-    if (btnCopy) btnCopy.addEventListener("click", copyFeatured);
-    if (btnShare) btnShare.addEventListener("click", shareFeatured);
+const uploadPipeline = {
+  transport: null,
 
-    const initial = items.find((el) => el.classList.contains("is-active")) || items[0];
-    renderFeatured(initial);
-  }
+  /** Swap the transport: { create(info), status(uploadId), sendChunk(uploadId, blob, start, total) } */
+  setTransport(transport) {
+    if (!transport || typeof transport.sendChunk !== "function") return;
+    this.transport = transport;
+  },
+};
 
-  function bootQuotes() {
-    document.querySelectorAll(".c-quotes").forEach((section) => initQuotesSpotlight(section));
+/** Upload one file from wherever the server left off; onProgress(bytesSent). */
+const uploadFileInChunks = async (transport, file, metadata, onProgress) => {
+  const fingerprint = getUploadFingerprint(file);
+  let session = uploadSessions.get(fingerprint);
+  let offset = 0;
+
+  const startSession = async () => {
+    const created = await transport.create({ name: file.name, size: file.size, mime: file.type, fingerprint, metadata });
+    if (!created?.uploadId) throw new Error("Upload session was not created");
+    session = { uploadId: created.uploadId, chunkSize: Number(created.chunkSize) || UPLOAD_LIMITS.chunkSize };
+    uploadSessions.set(fingerprint, session);
+    offset = 0;
+  };
+
+  if (session) {
+    try {
+      offset = Number((await transport.status(session.uploadId))?.offset) || 0;
+    } catch (err) {
+      if (err?.status !== 404) throw err;
+      session = null; // expired / unknown on the server: start over
+    }
   }
 
-  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", bootQuotes);
-  else bootQuotes();
-})();
+  if (!session) await startSession();
+  let restarted = false;
 
-/* ============================================================
-   15) REELS — Dedicated Modal Feed (FIXED + Delegated)
-============================================================ */
+  onProgress(offset);
 
-const initReelsModal = () => {
-  const modalEl = document.getElementById("reelsModal");
-  if (!modalEl || !window.bootstrap?.Modal) return;
+  while (offset < file.size) {
+    const chunk = file.slice(offset, offset + session.chunkSize);
+    let attempt = 0;
 
-  const viewport = modalEl.querySelector("[data-reels-viewport]");
-  const track = modalEl.querySelector("[data-reels-track]");
-  const dotsEl = modalEl.querySelector("[data-reels-dots]");
-  const btnPrev = modalEl.querySelector("[data-reels-prev]");
-  const btnNext = modalEl.querySelector("[data-reels-next]");
+    for (;;) {
+      try {
+        const res = await transport.sendChunk(session.uploadId, chunk, offset, file.size);
+        offset = Number(res?.offset) || offset + chunk.size;
+        break;
+      } catch (err) {
+        const status = Number(err?.status) || 0;
+        const serverOffset = Number(err?.data?.offset);
+
+        // The server is somewhere else (e.g. an earlier chunk landed but its reply was lost)
+        if (status === 409 && Number.isFinite(serverOffset) && serverOffset !== offset) {
+          offset = serverOffset;
+          break;
+        }
+        // The server forgot the upload: one fresh session per file
+        if (status === 404 && !restarted) {
+          restarted = true;
+          uploadSessions.set(fingerprint, null);
+          await startSession();
+          break;
+        }
+        // Any other 4xx won't get better on retry
+        if (status >= 400 && status < 500) throw err;
 
-  const sideTitle = modalEl.querySelector("[data-reel-side-title]");
-  const sideMeta = modalEl.querySelector("[data-reel-side-meta]");
-  const sideDuration = modalEl.querySelector("[data-reel-side-duration]");
-  const sideDate = modalEl.querySelector("[data-reel-side-date]");
-  const sideSource = modalEl.querySelector("[data-reel-side-source]");
+        attempt += 1;
+        if (attempt > UPLOAD_LIMITS.retries || navigator.onLine === false) throw err;
+        await new Promise((resolve) => window.setTimeout(resolve, UPLOAD_LIMITS.retryDelay * 2 ** (attempt - 1)));
+      }
+    }
 
-  if (!viewport || !track) return;
+    onProgress(offset);
+  }
 
-  const bsModal = window.bootstrap.Modal.getOrCreateInstance(modalEl);
+  uploadSessions.set(fingerprint, null);
+  return session.uploadId;
+};
 
-  const getReelCards = () => Array.from(document.querySelectorAll("[data-reel-card]"));
+const initContributionForm = () => {
+  const form = document.getElementById("contributeFormEl");
+  if (!form) return;
+
+  const alertBox = document.querySelector("[data-upload-alert]");
+  const drop = form.querySelector("[data-upload-drop]");
+  const input = form.querySelector("[data-upload-input]");
+  const list = form.querySelector("[data-upload-list]");
+  const submitBtn = form.querySelector("[type='submit']");
+  const dateInput = form.elements.namedItem("date");
+  if (!input || !list) return;
+
+  uploadPipeline.setTransport(createUploadTransport(form.dataset.uploadEndpoint));
+
+  /** @type {{ id: number, file: File, kind: string, error: string, status: string, sent: number, exifDate: string, previewUrl: string, row: HTMLElement }[]} */
+  let entries = [];
+  let nextId = 1;
+  let busy = false;
+
+  const showAlert = (text, options) => showFormAlert(alertBox, text, options);
+  const getProvenanceControls = () =>
+    Array.from(form.elements).filter((el) => el.name && el !== input && !["submit", "button"].includes(el.type));
+
+  // ---------- Rows ----------
+  const renderRow = (entry) => {
+    const kind = UPLOAD_KINDS[entry.kind];
+    const row = document.createElement("li");
+    row.className = "c-upload-item";
+    row.innerHTML = `
+      <div class="c-upload-item__thumb" aria-hidden="true">
+        ${entry.previewUrl ? `<img src="${escapeHTML(entry.previewUrl)}" alt="" />` : `<i class="${kind?.icon || "fa-regular fa-file"}"></i>`}
+      </div>
+      <div class="c-upload-item__body">
+        <p class="c-upload-item__name">${escapeHTML(entry.file.name)}</p>
+        <p class="c-upload-item__meta u-muted">
+          ${escapeHTML(i18n.t(kind ? `type.${entry.kind}` : "type.file"))} · ${formatBytes(entry.file.size)}<span data-upload-exif></span>
+        </p>
+        <div class="c-upload-item__bar" role="progressbar" aria-label="${escapeHTML(i18n.t("upload.progress", { name: entry.file.name }))}"
+          aria-valuemin="0" aria-valuemax="100" aria-valuenow="0"><span></span></div>
+        <p class="c-upload-item__status" data-upload-status aria-live="polite"></p>
+      </div>
+      <button type="button" class="c-upload-item__remove" data-upload-remove aria-label="${escapeHTML(i18n.t("upload.remove", { name: entry.file.name }))}">
+        <i class="fa-solid fa-xmark" aria-hidden="true"></i>
+      </button>
+    `;
+    row.querySelector("[data-upload-remove]").addEventListener("click", () => removeEntry(entry));
+    entry.row = row;
+    return row;
+  };
 
-  const getReelDataFromCard = (el) => ({
-    id: el?.dataset?.reelId || "",
-    title: el?.dataset?.reelTitle || "ريل",
-    meta: el?.dataset?.reelMeta || "",
-    source: el?.dataset?.reelSource || "",
-    date: el?.dataset?.reelDate || "",
-    duration: el?.dataset?.reelDuration || "",
-    poster: el?.dataset?.reelPoster || "",
-    video: el?.dataset?.reelVideo || "",
-  });
+  const syncRow = (entry) => {
+    const { row } = entry;
+    if (!row) return;
+    const pct = entry.file.size ? Math.round((entry.sent / entry.file.size) * 100) : (entry.status === "done" ? 100 : 0);
 
-  const formatDate = (iso) => (iso ? String(iso).replaceAll("-", "/") : "—");
+    row.dataset.status = entry.status;
+    const bar = row.querySelector("[role='progressbar']");
+    bar.setAttribute("aria-valuenow", String(pct));
+    bar.firstElementChild.style.width = `${pct}%`;
 
-  const state = {
-    dataList: [],
-    activeIndex: 0,
-    isBuilt: false,
-    allowScrollSync: true,
+    const exif = row.querySelector("[data-upload-exif]");
+    exif.textContent = entry.exifDate ? ` · ${i18n.t("upload.captured", { date: i18n.formatDate(entry.exifDate) })}` : "";
+
+    const status = row.querySelector("[data-upload-status]");
+    status.textContent = entry.error || (entry.status === "uploading"
+      ? `${i18n.t("upload.status.uploading")} ${i18n.formatNumber(pct)}%`
+      : i18n.t(`upload.status.${entry.status}`));
+
+    row.querySelector("[data-upload-remove]").disabled = busy;
   };
 
-  const updateSide = (d) => {
-    if (sideTitle) sideTitle.textContent = d?.title || "—";
-    if (sideMeta) sideMeta.textContent = d?.meta || "—";
-    if (sideDuration) sideDuration.textContent = d?.duration || "—";
-    if (sideDate) sideDate.textContent = formatDate(d?.date || "");
-    if (sideSource) sideSource.textContent = d?.source || "—";
+  const removeEntry = (entry) => {
+    if (busy) return;
+    if (entry.previewUrl) URL.revokeObjectURL(entry.previewUrl);
+    entry.row?.remove();
+    entries = entries.filter((x) => x !== entry);
   };
 
-  const pauseAllExcept = (index) => {
-    const slides = Array.from(track.querySelectorAll("[data-reels-slide]"));
-    slides.forEach((slide, idx) => {
-      const v = slide.querySelector("video");
-      if (!v) return;
-      if (idx === index) return;
-      try { v.pause(); } catch { }
+  const addFiles = (files) => {
+    const incoming = Array.from(files || []);
+    if (!incoming.length) return;
+    clearFormAlert(alertBox);
+
+    const room = UPLOAD_LIMITS.files - entries.length;
+    if (incoming.length > room) showAlert(i18n.t("upload.tooMany", { max: UPLOAD_LIMITS.files }), { tone: "error" });
+
+    incoming.slice(0, Math.max(0, room)).forEach((file) => {
+      const known = entries.some((x) => getUploadFingerprint(x.file) === getUploadFingerprint(file));
+      if (known) return;
+
+      const kind = detectUploadKind(file);
+      const max = UPLOAD_KINDS[kind]?.maxBytes || 0;
+      const error = !kind ? i18n.t("upload.badType") : file.size > max ? i18n.t("upload.tooBig", { max: formatBytes(max) }) : "";
+
+      const entry = {
+        id: nextId++,
+        file,
+        kind,
+        error,
+        status: error ? "invalid" : "ready",
+        sent: 0,
+        exifDate: "",
+        previewUrl: kind === "photo" && !error ? URL.createObjectURL(file) : "",
+        row: null,
+      };
+
+      entries.push(entry);
+      list.appendChild(renderRow(entry));
+      syncRow(entry);
+
+      if (kind === "photo" && !error) {
+        readExifDate(file).then((date) => {
+          entry.exifDate = date;
+          syncRow(entry);
+          // First dated photo pre-fills the provenance date (still editable)
+          if (date && dateInput && !dateInput.value) {
+            dateInput.value = date;
+            setFormFieldError(dateInput, null);
+          }
+        });
+      }
     });
   };
 
-  const playAt = (index) => {
-    const slides = Array.from(track.querySelectorAll("[data-reels-slide]"));
-    const slide = slides[index];
-    if (!slide) return;
+  // ---------- Drop zone ----------
+  input.addEventListener("change", () => {
+    addFiles(input.files);
+    input.value = "";
+  });
 
-    const v = slide.querySelector("video");
-    if (!v) return;
+  if (drop) {
+    ["dragenter", "dragover"].forEach((type) => drop.addEventListener(type, (e) => {
+      e.preventDefault();
+      if (e.dataTransfer) e.dataTransfer.dropEffect = "copy";
+      drop.classList.add("is-dragover");
+    }));
 
-    // Autoplay policies: keep muted by default
-    v.muted = true;
+    ["dragleave", "drop"].forEach((type) => drop.addEventListener(type, (e) => {
+      e.preventDefault();
+      if (type === "dragleave" && drop.contains(e.relatedTarget)) return;
+      drop.classList.remove("is-dragover");
+    }));
 
-    // Use RAF after modal layout to reduce "play failed" cases
-    requestAnimationFrame(() => {
-      const p = v.play();
-      if (p?.catch) p.catch(() => { /* blocked -> user can press play */ });
-    });
+    drop.addEventListener("drop", (e) => addFiles(e.dataTransfer?.files));
+    drop.addEventListener("click", (e) => { if (e.target !== input) input.click(); });
+    drop.addEventListener("keydown", (e) => handleActivation(e, () => input.click()));
+  }
+
+  // ---------- Metadata ----------
+  const buildMetadata = (entry) => {
+    const values = Object.fromEntries(getProvenanceControls().map((el) => [el.name, el.value.trim()]));
+    return {
+      type: entry.kind,
+      title: values.title || entry.file.name.replace(/\.[^.]+$/, ""),
+      description: values.description || "",
+      date: values.date,
+      year: values.date.slice(0, 4),
+      capturedAt: entry.exifDate || "",
+      source: values.source,
+      location: values.location,
+      rights: values.rights,
+      contributor: values.contributor || "",
+    };
   };
 
-  const syncDots = (index) => {
-    if (!dotsEl) return;
-    const dots = Array.from(dotsEl.querySelectorAll(".c-reels-dot"));
-    dots.forEach((dot, i) => dot.classList.toggle("is-active", i === index));
+  // ---------- Upload ----------
+  const setBusy = (on) => {
+    busy = on;
+    if (submitBtn) {
+      submitBtn.disabled = on;
+      submitBtn.setAttribute("aria-busy", String(on));
+    }
+    input.disabled = on;
+    entries.forEach(syncRow);
   };
 
-  const setActive = (index) => {
-    const clamped = Math.max(0, Math.min(index, state.dataList.length - 1));
-    state.activeIndex = clamped;
+  const uploadAll = async () => {
+    const transport = uploadPipeline.transport;
+    const queue = entries.filter((x) => x.status === "ready" || x.status === "error");
+    if (busy || !transport || !queue.length) return;
 
-    updateSide(state.dataList[clamped]);
-    pauseAllExcept(clamped);
-    syncDots(clamped);
-    playAt(clamped);
+    setBusy(true);
+    showAlert(i18n.t("upload.uploading"), { tone: "pending" });
+
+    for (const entry of queue) {
+      entry.status = "uploading";
+      entry.error = "";
+      syncRow(entry);
+
+      try {
+        await uploadFileInChunks(transport, entry.file, buildMetadata(entry), (sent) => {
+          entry.sent = sent;
+          syncRow(entry);
+        });
+        entry.status = "done";
+      } catch {
+        entry.status = "error";
+      }
+      syncRow(entry);
+    }
+
+    setBusy(false);
+
+    if (entries.some((x) => x.status === "error")) {
+      showAlert(i18n.t("upload.failed"), { tone: "error" });
+      if (submitBtn) submitBtn.textContent = i18n.t("upload.resume");
+      return;
+    }
+
+    showAlert(i18n.t("upload.done"));
+    entries.slice().forEach(removeEntry);
+    form.reset();
+    if (submitBtn) submitBtn.textContent = submitBtn.dataset.label || submitBtn.textContent;
   };
 
-  const buildSlides = (activeId) => {
-    const reelCards = getReelCards();
-    if (!reelCards.length) return false;
+  if (submitBtn) submitBtn.dataset.label = submitBtn.textContent.trim();
 
-    track.innerHTML = "";
-    if (dotsEl) dotsEl.innerHTML = "";
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    if (busy) return;
+    clearFormAlert(alertBox);
+
+    const invalid = getProvenanceControls().filter((el) => !isFormFieldValid(el));
+    getProvenanceControls().forEach((el) => setFormFieldError(el, invalid.includes(el) ? "" : null));
+    if (invalid.length) {
+      showAlert(i18n.t("upload.invalid"), { tone: "error", fields: invalid });
+      invalid[0].focus();
+      return;
+    }
 
-    state.dataList = reelCards.map(getReelDataFromCard);
+    if (!entries.some((x) => x.status !== "invalid")) {
+      showAlert(i18n.t("upload.noFiles"), { tone: "error" });
+      drop?.focus();
+      return;
+    }
 
-    state.dataList.forEach((d, idx) => {
-      const slide = document.createElement("article");
-      slide.className = "c-reels-slide";
-      slide.setAttribute("data-reels-slide", "");
-      slide.setAttribute("data-reels-id", d.id || `reel-${idx}`);
-      slide.setAttribute("aria-label", d.title);
+    if (!uploadPipeline.transport) {
+      showAlert(i18n.t("upload.unavailable"), { tone: "error" });
+      return;
+    }
 
-      const video = document.createElement("video");
-      video.className = "c-reels-slide__video";
-      video.src = d.video;
-      if (d.poster) video.poster = d.poster;
-      video.preload = "metadata";
-      video.playsInline = true;
-      video.muted = true;
-      video.loop = true;
+    uploadAll();
+  });
 
-      const shade = document.createElement("div");
-      shade.className = "c-reels-slide__shade";
-      shade.setAttribute("aria-hidden", "true");
+  form.addEventListener("input", (e) => {
+    const el = e.target;
+    if (el === input || !el.name) return;
+    if (getFormField(el)?.classList.contains("is-invalid") && isFormFieldValid(el)) setFormFieldError(el, null);
+  });
 
-      const info = document.createElement("div");
-      info.className = "c-reels-slide__info";
-      info.innerHTML = `
-        <h3 class="c-reels-slide__title">${d.title}</h3>
-        <p class="c-reels-slide__meta">${d.meta || ""}</p>
-      `;
+  // Interrupted by a dropped connection: pick up where the server left off
+  window.addEventListener("online", () => {
+    if (busy || !entries.some((x) => x.status === "error")) return;
+    showAlert(i18n.t("upload.resumed"), { tone: "pending" });
+    uploadAll();
+  });
+};
 
-      const actions = document.createElement("div");
-      actions.className = "c-reels-slide__actions";
-      actions.innerHTML = `
-        <button class="c-reels-action" type="button" aria-label="تشغيل/إيقاف" data-reels-toggle>
-          <i class="fa-solid fa-pause" aria-hidden="true"></i>
-        </button>
-        <button class="c-reels-action" type="button" aria-label="كتم/إلغاء كتم" data-reels-mute>
-          <i class="fa-solid fa-volume-xmark" aria-hidden="true"></i>
-        </button>
-      `;
+/* ============================================================
+   27) Offline — service worker + "save for offline"
+   ------------------------------------------------------------
+   sw.js (site root) precaches the shell and answers audio/video
+   requests from the "saleh-media" cache. Saving happens here with the
+   Cache API; the item details (title, cover, link) live in localStorage:
+     "saleh:offline:v1" -> { v, items: { "<absolute url>": {kind, id, title, cover, page, size, at} } }
+   Markup hooks:
+   - [data-offline-library]  saved list + storage usage (hidden while empty)
+     [data-offline-list], [data-offline-usage], [data-offline-usage-bar], [data-offline-clear]
+   - save toggles are injected into audio rows and the media modal video
+============================================================ */
 
-      slide.appendChild(video);
-      slide.appendChild(shade);
-      slide.appendChild(info);
-      slide.appendChild(actions);
+const SERVICE_WORKER_URL = "sw.js";
+const OFFLINE_MEDIA_CACHE = "saleh-media"; // MEDIA_CACHE in sw.js
+const OFFLINE_STORE_KEY = "saleh:offline:v1";
 
-      track.appendChild(slide);
+const OFFLINE_TOGGLE_ICONS = {
+  idle: "fa-solid fa-download",
+  saving: "fa-solid fa-spinner fa-spin",
+  saved: "fa-solid fa-circle-check",
+  error: "fa-solid fa-triangle-exclamation",
+};
 
-      if (dotsEl) {
-        const dot = document.createElement("span");
-        dot.className = "c-reels-dot";
-        dot.setAttribute("aria-hidden", "true");
-        dotsEl.appendChild(dot);
+const registerServiceWorker = () => {
+  // file:// pages can't register one; any local static server can
+  if (!("serviceWorker" in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+  navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(() => { });
+};
+
+const offlineLibrary = {
+  store: null,
+  pending: new Set(), // absolute URLs currently downloading
+
+  get supported() {
+    return "caches" in window && window.isSecureContext !== false;
+  },
+
+  get data() {
+    if (!this.store) {
+      try {
+        const parsed = JSON.parse(safeStorageGet(OFFLINE_STORE_KEY) || "null");
+        this.store = parsed?.items && typeof parsed.items === "object" ? parsed.items : {};
+      } catch {
+        this.store = {};
       }
-    });
+    }
+    return this.store;
+  },
 
-    const found = state.dataList.findIndex((x) => x.id === activeId);
-    state.activeIndex = Math.max(0, found);
+  persist() {
+    const items = this.data;
+    safeStorageSet(OFFLINE_STORE_KEY, Object.keys(items).length ? JSON.stringify({ v: 1, items }) : "");
+    this.notify();
+  },
 
-    return true;
-  };
+  notify() {
+    document.dispatchEvent(new CustomEvent("offline:change"));
+  },
 
-  const goToIndex = (index) => {
-    const slides = Array.from(track.querySelectorAll("[data-reels-slide]"));
-    const clamped = Math.max(0, Math.min(index, slides.length - 1));
-    const target = slides[clamped];
-    if (!target) return;
+  keyOf(url) {
+    return new URL(url, document.baseURI).href;
+  },
 
-    state.allowScrollSync = false;
-    target.scrollIntoView({ behavior: "smooth", block: "start" });
+  has(url) {
+    return !!url && this.keyOf(url) in this.data;
+  },
 
-    // Allow scroll sync after the smooth scroll settles
-    window.setTimeout(() => { state.allowScrollSync = true; }, 220);
+  isSaving(url) {
+    return !!url && this.pending.has(this.keyOf(url));
+  },
 
-    setActive(clamped);
-  };
+  list() {
+    return Object.values(this.data).sort((a, b) => b.at - a.at);
+  },
 
-  const calcActiveIndex = () => {
-    const h = viewport.clientHeight || 1;
-    return Math.max(0, Math.min(Math.round(viewport.scrollTop / h), state.dataList.length - 1));
-  };
+  /** Download the whole file into the media cache; resolves false on failure. */
+  async save(url, meta = {}) {
+    const key = this.keyOf(url);
+    if (!this.supported || this.pending.has(key)) return false;
+
+    this.pending.add(key);
+    this.notify();
+
+    try {
+      const res = await fetch(key, { credentials: "same-origin" });
+      if (!res.ok || res.status === 206) throw new Error(`HTTP ${res.status}`);
+
+      const blob = await res.blob();
+      const cache = await caches.open(OFFLINE_MEDIA_CACHE);
+      await cache.put(key, new Response(blob, {
+        headers: {
+          "Content-Type": res.headers.get("Content-Type") || blob.type,
+          "Content-Length": String(blob.size),
+        },
+      }));
+
+      // Ask the browser not to evict saved media under storage pressure
+      navigator.storage?.persist?.().catch(() => { });
+
+      this.data[key] = { ...meta, url: key, size: blob.size, at: Date.now() };
+      return true;
+    } catch {
+      return false;
+    } finally {
+      this.pending.delete(key);
+      this.persist();
+    }
+  },
 
-  // Slide actions (play/pause, mute) via delegation
-  track.addEventListener("click", (e) => {
-    const slide = e.target.closest("[data-reels-slide]");
-    if (!slide) return;
+  async remove(url) {
+    const key = this.keyOf(url);
+    try { await (await caches.open(OFFLINE_MEDIA_CACHE)).delete(key); } catch { }
+    delete this.data[key];
+    this.persist();
+  },
 
-    const v = slide.querySelector("video");
-    if (!v) return;
+  async clear() {
+    try { await caches.delete(OFFLINE_MEDIA_CACHE); } catch { }
+    this.store = {};
+    this.persist();
+  },
 
-    const toggleBtn = e.target.closest("[data-reels-toggle]");
-    const muteBtn = e.target.closest("[data-reels-mute]");
+  /** Forget entries whose file the browser has evicted (or was cleared elsewhere). */
+  async reconcile() {
+    if (!this.supported || !Object.keys(this.data).length) return;
+    try {
+      const cache = await caches.open(OFFLINE_MEDIA_CACHE);
+      const cached = new Set((await cache.keys()).map((req) => req.url));
+      const stale = Object.keys(this.data).filter((key) => !cached.has(key) && !this.pending.has(key));
+      if (!stale.length) return;
+      stale.forEach((key) => delete this.data[key]);
+      this.persist();
+    } catch { /* ignore */ }
+  },
 
-    if (toggleBtn) {
-      if (v.paused) {
-        const p = v.play();
-        if (p?.catch) p.catch(() => { });
-        toggleBtn.innerHTML = `<i class="fa-solid fa-pause" aria-hidden="true"></i>`;
-      } else {
-        try { v.pause(); } catch { }
-        toggleBtn.innerHTML = `<i class="fa-solid fa-play" aria-hidden="true"></i>`;
-      }
+  /** { used, quota } for the whole origin, or null when the browser won't say. */
+  async estimate() {
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return isFinite(usage) && isFinite(quota) && quota > 0 ? { used: usage, quota } : null;
+    } catch {
+      return null;
     }
+  },
+};
 
-    if (muteBtn) {
-      v.muted = !v.muted;
-      muteBtn.innerHTML = v.muted
-        ? `<i class="fa-solid fa-volume-xmark" aria-hidden="true"></i>`
-        : `<i class="fa-solid fa-volume-high" aria-hidden="true"></i>`;
-    }
-  });
+const syncOfflineToggle = (btn, state = null) => {
+  const url = btn.dataset.offlineUrl;
+  const current = state || (offlineLibrary.isSaving(url) ? "saving" : offlineLibrary.has(url) ? "saved" : "idle");
+  const label = i18n.t(`offline.${current}`);
 
-  // Scroll watcher
-  let scrollTimer = null;
-  viewport.addEventListener("scroll", () => {
-    if (!state.allowScrollSync) return;
+  btn.dataset.offlineState = current;
+  btn.disabled = current === "saving";
+  btn.setAttribute("aria-pressed", String(current === "saved"));
+  btn.setAttribute("aria-label", label);
+  btn.title = label;
 
-    window.clearTimeout(scrollTimer);
-    scrollTimer = window.setTimeout(() => {
-      const idx = calcActiveIndex();
-      if (idx === state.activeIndex) return;
-      setActive(idx);
-    }, 80);
-  }, { passive: true });
+  const icon = btn.querySelector("i");
+  if (icon) icon.className = OFFLINE_TOGGLE_ICONS[current];
 
-  // Keyboard navigation
-  viewport.addEventListener("keydown", (e) => {
-    if (e.key === "ArrowDown") { e.preventDefault(); goToIndex(state.activeIndex + 1); }
-    if (e.key === "ArrowUp") { e.preventDefault(); goToIndex(state.activeIndex - 1); }
-  });
+  const text = btn.querySelector("[data-offline-label]");
+  if (text) text.textContent = label;
+};
 
-  if (btnPrev) btnPrev.addEventListener("click", () => goToIndex(state.activeIndex - 1));
-  if (btnNext) btnNext.addEventListener("click", () => goToIndex(state.activeIndex + 1));
+/**
+ * Save/remove button for one file. getMeta() is read at click time so the
+ * saved entry carries the current title/cover: { kind, id, title, cover, page }.
+ */
+const createOfflineToggle = (url, getMeta, { className = "c-icon-btn", withLabel = false } = {}) => {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = `${className} c-offline-toggle`;
+  btn.setAttribute("data-offline-toggle", "");
+  btn.dataset.offlineUrl = url;
+  btn.innerHTML = `<i aria-hidden="true"></i>${withLabel ? '<span data-offline-label></span>' : ""}`;
+
+  btn.addEventListener("click", async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
 
-  // Cleanup on close
-  modalEl.addEventListener("hidden.bs.modal", () => {
-    modalEl.querySelectorAll("video").forEach((v) => { try { v.pause(); } catch { } });
-    track.innerHTML = "";
-    if (dotsEl) dotsEl.innerHTML = "";
-    state.isBuilt = false;
+    if (offlineLibrary.has(url)) {
+      await offlineLibrary.remove(url);
+      return;
+    }
+
+    const ok = await offlineLibrary.save(url, { page: getCurrentPage(), ...getMeta() });
+    if (!ok) syncOfflineToggle(btn, "error");
   });
 
-  // Delegated open from any reel card (supports backend-rendered cards)
-  const openFromTrigger = (trigger) => {
-    const activeId = trigger.dataset.reelId || "";
+  syncOfflineToggle(btn);
+  return btn;
+};
 
-    // Build fresh each time (safe if backend updates list)
-    const ok = buildSlides(activeId);
-    if (!ok) return;
+const initOfflineLibrary = () => {
+  registerServiceWorker();
+  if (!offlineLibrary.supported) return;
 
-    bsModal.show();
+  const panels = Array.from(document.querySelectorAll("[data-offline-library]"));
 
-    modalEl.addEventListener("shown.bs.modal", () => {
-      // Force top alignment then activate
-      viewport.scrollTop = 0;
+  const renderUsage = async (panel, items) => {
+    const usageEl = panel.querySelector("[data-offline-usage]");
+    const bar = panel.querySelector("[data-offline-usage-bar]");
+    const saved = formatBytes(items.reduce((sum, item) => sum + (item.size || 0), 0));
+    const estimate = await offlineLibrary.estimate();
 
-      // Go to initial index after modal layout is stable
-      requestAnimationFrame(() => {
-        goToIndex(state.activeIndex);
-        try { viewport.focus(); } catch { }
-      });
-    }, { once: true });
+    if (usageEl) {
+      usageEl.textContent = estimate
+        ? i18n.t("offline.usage", { saved, used: formatBytes(estimate.used), quota: formatBytes(estimate.quota) })
+        : i18n.t("offline.usageSaved", { saved });
+    }
+
+    if (bar) {
+      bar.hidden = !estimate;
+      const ratio = estimate ? Math.min(1, estimate.used / estimate.quota) : 0;
+      bar.querySelector("span")?.style.setProperty("width", `${Math.max(ratio * 100, ratio ? 1 : 0)}%`);
+    }
   };
 
-  document.addEventListener("click", (e) => {
-    const trigger = e.target.closest("[data-reel-card]");
-    if (!trigger) return;
-    openFromTrigger(trigger);
+  const render = (panel) => {
+    const listEl = panel.querySelector("[data-offline-list]");
+    const items = offlineLibrary.list();
+
+    panel.hidden = !items.length;
+    if (!items.length || !listEl) return;
+
+    listEl.innerHTML = items
+      .map((item) => `
+        <li class="c-playback-history__item c-offline__item">
+          <a class="c-playback-history__link" href="${escapeHTML(getPlaybackHref(item))}">
+            <span class="c-playback-history__thumb">
+              ${item.cover
+          ? `<img src="${escapeHTML(item.cover)}" alt="" loading="lazy" />`
+          : `<i class="${PLAYBACK_KIND_ICONS[item.kind] || "fa-solid fa-play"}" aria-hidden="true"></i>`}
+            </span>
+            <span class="c-playback-history__body">
+              <span class="c-playback-history__name">${escapeHTML(item.title || "—")}</span>
+              <span class="c-playback-history__meta">${escapeHTML(PLAYBACK_KIND_TYPES[item.kind] ? i18n.t(`type.${PLAYBACK_KIND_TYPES[item.kind]}`) : "")} · ${escapeHTML(formatBytes(item.size))}</span>
+            </span>
+          </a>
+          <button class="c-offline__remove" type="button" data-offline-remove="${escapeHTML(item.url)}"
+            aria-label="${escapeHTML(i18n.t("offline.removeItem", { title: item.title || "—" }))}">
+            <i class="fa-regular fa-trash-can" aria-hidden="true"></i>
+          </button>
+        </li>
+      `)
+      .join("");
+
+    renderUsage(panel, items);
+  };
+
+  const renderAll = () => {
+    panels.forEach(render);
+    document.querySelectorAll("[data-offline-toggle]").forEach((btn) => syncOfflineToggle(btn));
+  };
+
+  panels.forEach((panel) => {
+    panel.addEventListener("click", (e) => {
+      const removeBtn = e.target.closest("[data-offline-remove]");
+      if (removeBtn) {
+        offlineLibrary.remove(removeBtn.dataset.offlineRemove);
+        return;
+      }
+
+      if (e.target.closest("[data-offline-clear]")) {
+        if (!window.confirm(i18n.t("offline.confirmClear"))) return;
+        offlineLibrary.clear();
+      }
+    });
   });
 
-  document.addEventListener("keydown", (e) => {
-    const trigger = e.target.closest("[data-reel-card][role='button']");
-    if (!trigger) return;
-    if (!ACTIVATION_KEYS.includes(e.key)) return;
-    e.preventDefault();
-    openFromTrigger(trigger);
+  document.addEventListener("offline:change", renderAll);
+  document.addEventListener("i18n:change", renderAll);
+
+  // Another tab may have saved or removed something
+  window.addEventListener("storage", (e) => {
+    if (e.key !== OFFLINE_STORE_KEY) return;
+    offlineLibrary.store = null;
+    renderAll();
   });
+
+  renderAll();
+  offlineLibrary.reconcile();
 };
 
 /* ============================================================
-   16) Main Boot (DOM Ready)
+   28) Main Boot (DOM Ready)
 ============================================================ */
 
 document.addEventListener("DOMContentLoaded", () => {
+  bootLocale();
   bootTheme();
 
   setActiveNavLink();
@@ -1350,17 +8180,43 @@ document.addEventListener("DOMContentLoaded", () => {
 
   initMilestoneCards();
   initThemeToggle();
+  initLanguageSwitcher();
+  initArchiveDates();
 
   initPersonaFlip();
   initPersonaMediaTabs();
   initPlyrPlayers();
+  initTimelineHub();
 
   // ✅ Now it's a real global initializer, no ReferenceError
   initAudioLibrary();
+  initAudioLibraryFilters();
+  initArchiveFeeds();
+  initMediaCenter();
+  initNewsroom();
 
   initHeroStatsCounter();
   initReelsModal();
+  initPhotoLightbox();
+
+  initContactForm();
+  initContributionForm();
+  initArchiveSearch();
+  initPlaybackHistory();
+  initOfflineLibrary();
+
+  // Last: targets may depend on listeners wired above
+  initDeepLinks();
 });
 
 // Expose helper for external triggers
 window.modalHelper = modalHelper;
+
+// Expose the feed layer for CMS integrations / custom adapters
+window.archiveData = archiveData;
+
+// Expose the contact transport for custom endpoints / stub servers
+window.contactPipeline = contactPipeline;
+
+// Expose the chunked upload transport (same idea, for contributions)
+window.uploadPipeline = uploadPipeline;
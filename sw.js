@@ -0,0 +1,208 @@
+/* ============================================================
+   Service Worker — offline shell, image cache, saved media
+   ------------------------------------------------------------
+   Caches (all prefixed "saleh-"):
+   - shell   versioned; precached on install (pages, CSS, JS, fonts, feed)
+   - images  versioned; stale-while-revalidate, trimmed to IMAGE_CACHE_LIMIT
+   - media   NOT versioned; filled only by the page when the reader picks
+             "save for offline" (see offlineLibrary in assets/js/script.js),
+             so a new release never throws away what people saved.
+
+   Bump CACHE_VERSION whenever a file in SHELL_URLS changes.
+   Test offline: serve the folder (e.g. `npx serve .`), load a page once,
+   then tick "Offline" in DevTools > Application > Service workers.
+============================================================ */
+
+const CACHE_VERSION = "v3";
+const SHELL_CACHE = `saleh-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `saleh-images-${CACHE_VERSION}`;
+const MEDIA_CACHE = "saleh-media";
+
+const IMAGE_CACHE_LIMIT = 120;
+
+const SHELL_URLS = [
+  "./",
+  "index.html",
+  "about.html",
+  "media.html",
+  "news.html",
+  "timeline.html",
+  "contact.html",
+  "single-article.html",
+
+  "assets/css/normalize.css",
+  "assets/css/bootstrap.rtl.min.css",
+  "assets/css/bootstrap.min.css", // English (dir="ltr") swaps to the LTR build
+  "assets/css/owl.carousel.min.css",
+  "assets/css/all.min.css",
+  "assets/css/tokens.css",
+  "assets/css/style.css",
+
+  "assets/js/jquery-3.7.1.min.js",
+  "assets/js/owl.carousel.min.js",
+  "assets/js/bootstrap.bundle.min.js",
+  "assets/js/script.js",
+
+  "assets/fonts/Tajawal-Regular.ttf",
+  "assets/fonts/Tajawal-Light.ttf",
+  "assets/fonts/Tajawal-Bold.ttf",
+  "assets/fonts/Tajawal-ExtraBold.ttf",
+  "assets/fonts/barada-reqa.ttf",
+  "assets/webfonts/fa-solid-900.woff2",
+  "assets/webfonts/fa-regular-400.woff2",
+  "assets/webfonts/fa-brands-400.woff2",
+
+  "manifest.webmanifest",
+  "assets/data/archive.json",
+  "assets/images/logo.png",
+  "assets/images/icons/app-192.png",
+  "assets/images/icons/apple-touch-icon.png",
+];
+
+// Third-party files the pages load (Plyr); cached at runtime, stale-while-revalidate
+const CDN_HOSTS = ["cdn.jsdelivr.net"];
+
+const isMediaRequest = (request, url) =>
+  request.destination === "audio" || request.destination === "video" || /\.(mp3|m4a|ogg|wav|mp4|webm)$/i.test(url.pathname);
+
+// HLS playlists + segments: always live, never cached (they would flood the shell cache)
+const isStreamRequest = (url) => /\.(m3u8|ts|m4s)$/i.test(url.pathname);
+
+const isImageRequest = (request, url) =>
+  request.destination === "image" || /\.(png|jpe?g|gif|webp|avif|svg)$/i.test(url.pathname);
+
+/* ---------- Lifecycle ---------- */
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [SHELL_CACHE, IMAGE_CACHE, MEDIA_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key.startsWith("saleh-") && !keep.includes(key)).map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/* ---------- Strategies ---------- */
+
+const trimCache = async (cacheName, limit) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  // Cache keys come back in insertion order: drop the oldest first
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map((key) => cache.delete(key)));
+};
+
+const staleWhileRevalidate = async (event, cacheName, { limit = 0 } = {}) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request, { ignoreVary: true });
+
+  const network = fetch(event.request)
+    .then(async (response) => {
+      if (response.ok || response.type === "opaque") {
+        await cache.put(event.request, response.clone());
+        if (limit) await trimCache(cacheName, limit);
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+  return (await network) || Response.error();
+};
+
+// Pages: fresh when online, the precached copy (or the home page) when not
+const networkFirstPage = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch {
+    return (await caches.match(request, { ignoreSearch: true }))
+      || (await caches.match("index.html"))
+      || Response.error();
+  }
+};
+
+// <audio>/<video> ask for byte ranges; answer them from the full saved copy
+const rangeResponse = async (request, cached) => {
+  const blob = await cached.blob();
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get("range") || "");
+  if (!match) return new Response(blob, { status: 200, headers: cached.headers });
+
+  const size = blob.size;
+  let start = match[1] === "" ? size - Number(match[2]) : Number(match[1]);
+  let end = match[1] === "" || match[2] === "" ? size - 1 : Number(match[2]);
+  start = Math.max(0, start);
+  end = Math.min(end, size - 1);
+
+  if (start > end) {
+    return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${size}` } });
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: "Partial Content",
+    headers: {
+      "Content-Type": cached.headers.get("Content-Type") || blob.type,
+      "Content-Length": String(end - start + 1),
+      "Content-Range": `bytes ${start}-${end}/${size}`,
+      "Accept-Ranges": "bytes",
+    },
+  });
+};
+
+const savedMediaOrNetwork = async (request) => {
+  const cache = await caches.open(MEDIA_CACHE);
+  const cached = await cache.match(request.url);
+  if (!cached) return fetch(request);
+  return rangeResponse(request, cached);
+};
+
+/* ---------- Routing ---------- */
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    if (CDN_HOSTS.includes(url.hostname)) event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    return;
+  }
+
+  if (isStreamRequest(url)) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirstPage(request));
+    return;
+  }
+
+  if (isMediaRequest(request, url)) {
+    event.respondWith(savedMediaOrNetwork(request));
+    return;
+  }
+
+  if (isImageRequest(request, url)) {
+    event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE, { limit: IMAGE_CACHE_LIMIT }));
+    return;
+  }
+
+  // Shell files, the JSON feed, transcripts: cached copy first, refreshed in the background
+  event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+});
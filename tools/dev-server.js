@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/* ============================================================
+   Local dev server — static site + stub endpoints
+   ------------------------------------------------------------
+   No dependencies (Node 18+):
+
+     node tools/dev-server.js            # http://localhost:8080
+     PORT=3000 node tools/dev-server.js
+
+   Serves the repository root as a static site (with byte ranges, so
+   <audio>/<video> can seek) and stubs the endpoints the forms can be
+   pointed at:
+
+   POST /api/contact   contact form (contact.html, data-contact-endpoint="/api/contact")
+     JSON or urlencoded body; answers like a real backend would:
+       200 { ok: true, message }
+       422 { errors: { field: message } }   same field rules as the form
+     STUB_CONTACT_STATUS=500  answer every submission with 500 (server-side failure)
+     To exercise the offline queue: submit while this server is stopped
+     (the fetch fails -> queued), start it again, then reload the page or
+     toggle DevTools "Offline" off (the "online" event flushes the queue).
+
+   /api/uploads        contribution form (contact.html, data-upload-endpoint="/api/uploads")
+     POST /api/uploads        JSON { name, size, mime, fingerprint, metadata } -> { uploadId, chunkSize }
+     GET  /api/uploads/{id}   -> { offset }
+     PUT  /api/uploads/{id}   chunk + "Content-Range: bytes start-end/total" -> { offset }
+     A chunk that starts past the stored offset gets 409 { offset }; overlapping
+     bytes are skipped. Chunks land in <tmpdir>/saleh-uploads/{id}.
+     STUB_UPLOAD_FAIL_EVERY=3  fail every 3rd chunk with 503 (exercises retry / resume)
+
+   Submissions are kept in memory and printed to stdout.
+============================================================ */
+
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const ROOT = path.resolve(__dirname, "..");
+const PORT = Number(process.env.PORT) || 8080;
+const CONTACT_STATUS = Number(process.env.STUB_CONTACT_STATUS) || 0;
+const UPLOAD_FAIL_EVERY = Number(process.env.STUB_UPLOAD_FAIL_EVERY) || 0;
+const UPLOAD_DIR = path.join(os.tmpdir(), "saleh-uploads");
+const UPLOAD_CHUNK_SIZE = 1024 * 1024;
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+  ".vtt": "text/vtt; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".ttf": "font/ttf",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".mp3": "audio/mpeg",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+  ".pdf": "application/pdf",
+};
+
+/* ---------- Helpers ---------- */
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(data));
+};
+
+const readBody = (req, limit = 1024 * 1024) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new Error("Body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+const parseFormBody = (req, buffer) => {
+  const text = buffer.toString("utf8");
+  const type = String(req.headers["content-type"] || "");
+  if (type.includes("application/json")) return JSON.parse(text || "{}");
+  return Object.fromEntries(new URLSearchParams(text));
+};
+
+/* ---------- Static files ---------- */
+
+const serveStatic = (req, res, pathname) => {
+  let file;
+  try {
+    file = path.normalize(path.join(ROOT, decodeURIComponent(pathname)));
+  } catch {
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+  if (!file.startsWith(ROOT + path.sep) && file !== ROOT) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  let target = file;
+  try {
+    if (fs.statSync(target).isDirectory()) target = path.join(target, "index.html");
+  } catch { }
+
+  fs.stat(target, (err, stat) => {
+    if (err || !stat.isFile()) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Not found");
+      return;
+    }
+
+    const headers = {
+      "Content-Type": MIME_TYPES[path.extname(target).toLowerCase()] || "application/octet-stream",
+      "Accept-Ranges": "bytes",
+      "Cache-Control": "no-cache",
+    };
+
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+    if (!range) {
+      res.writeHead(200, { ...headers, "Content-Length": stat.size });
+      if (req.method === "HEAD") return res.end();
+      fs.createReadStream(target).pipe(res);
+      return;
+    }
+
+    let start = range[1] === "" ? stat.size - Number(range[2]) : Number(range[1]);
+    let end = range[1] === "" || range[2] === "" ? stat.size - 1 : Number(range[2]);
+    start = Math.max(0, start);
+    end = Math.min(end, stat.size - 1);
+
+    if (start > end) {
+      res.writeHead(416, { "Content-Range": `bytes */${stat.size}` });
+      res.end();
+      return;
+    }
+
+    res.writeHead(206, { ...headers, "Content-Length": end - start + 1, "Content-Range": `bytes ${start}-${end}/${stat.size}` });
+    if (req.method === "HEAD") return res.end();
+    fs.createReadStream(target, { start, end }).pipe(res);
+  });
+};
+
+/* ---------- POST /api/contact ---------- */
+
+const contactSubmissions = [];
+
+// Mirrors the attributes on contact.html (required / minlength / type)
+const validateContact = (data) => {
+  const errors = {};
+  const text = (key) => String(data[key] || "").trim();
+
+  if (text("fullName").length < 2) errors.fullName = "الاسم مطلوب (حرفين على الأقل)";
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text("email"))) errors.email = "البريد الإلكتروني غير صالح";
+  if (text("referenceUrl") && !/^https?:\/\/\S+$/i.test(text("referenceUrl"))) errors.referenceUrl = "الرابط غير صالح";
+  if (text("message").length < 20) errors.message = "الرسالة قصيرة (20 حرفًا على الأقل)";
+  return errors;
+};
+
+const handleContact = async (req, res) => {
+  if (CONTACT_STATUS) {
+    sendJson(res, CONTACT_STATUS, { message: `Stub: forced status ${CONTACT_STATUS}` });
+    return;
+  }
+
+  let data;
+  try {
+    data = parseFormBody(req, await readBody(req));
+  } catch {
+    sendJson(res, 400, { message: "Invalid body" });
+    return;
+  }
+
+  const errors = validateContact(data);
+  if (Object.keys(errors).length) {
+    sendJson(res, 422, { errors });
+    return;
+  }
+
+  contactSubmissions.push({ ...data, receivedAt: new Date().toISOString() });
+  console.log(`[contact] #${contactSubmissions.length}`, JSON.stringify(data));
+  sendJson(res, 200, { ok: true, message: "" });
+};
+
+/* ---------- /api/uploads ---------- */
+
+/** @type {Map<string, { name: string, size: number, mime: string, metadata: object, offset: number, file: string }>} */
+const uploads = new Map();
+let uploadChunkCount = 0;
+
+const handleUploadCreate = async (req, res) => {
+  let info;
+  try {
+    info = JSON.parse((await readBody(req)).toString("utf8") || "{}");
+  } catch {
+    sendJson(res, 400, { message: "Invalid body" });
+    return;
+  }
+
+  const size = Number(info.size);
+  if (!info.name || !Number.isFinite(size) || size < 0) {
+    sendJson(res, 422, { message: "name and size are required" });
+    return;
+  }
+
+  const uploadId = crypto.randomUUID();
+  const file = path.join(UPLOAD_DIR, uploadId);
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  fs.writeFileSync(file, "");
+
+  uploads.set(uploadId, { name: String(info.name), size, mime: String(info.mime || ""), metadata: info.metadata || {}, offset: 0, file });
+  console.log(`[uploads] created ${uploadId}`, info.name, `${size} bytes`);
+  sendJson(res, 201, { uploadId, chunkSize: UPLOAD_CHUNK_SIZE });
+};
+
+const handleUploadStatus = (req, res, match) => {
+  const upload = uploads.get(match[1]);
+  if (!upload) {
+    sendJson(res, 404, { message: "Unknown upload" });
+    return;
+  }
+  sendJson(res, 200, { offset: upload.offset });
+};
+
+const handleUploadChunk = async (req, res, match) => {
+  const upload = uploads.get(match[1]);
+  if (!upload) {
+    sendJson(res, 404, { message: "Unknown upload" });
+    return;
+  }
+
+  const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(req.headers["content-range"] || "");
+  if (!range || Number(range[3]) !== upload.size) {
+    sendJson(res, 400, { message: "Missing or invalid Content-Range" });
+    return;
+  }
+
+  uploadChunkCount += 1;
+  if (UPLOAD_FAIL_EVERY && uploadChunkCount % UPLOAD_FAIL_EVERY === 0) {
+    req.resume();
+    sendJson(res, 503, { message: "Stub: forced chunk failure" });
+    return;
+  }
+
+  const start = Number(range[1]);
+  if (start > upload.offset) {
+    req.resume();
+    sendJson(res, 409, { offset: upload.offset });
+    return;
+  }
+
+  const body = await readBody(req, UPLOAD_CHUNK_SIZE * 4);
+  if (start + body.length !== Number(range[2]) + 1) {
+    sendJson(res, 400, { message: "Content-Range does not match the body" });
+    return;
+  }
+
+  const fresh = body.subarray(upload.offset - start);
+  if (fresh.length) fs.appendFileSync(upload.file, fresh);
+  upload.offset += fresh.length;
+
+  if (upload.offset >= upload.size) {
+    console.log(`[uploads] complete ${match[1]}`, upload.name, "->", upload.file, JSON.stringify(upload.metadata));
+  }
+  sendJson(res, 200, { offset: upload.offset });
+};
+
+/* ---------- Routing ---------- */
+
+const routes = [
+  { method: "POST", pattern: /^\/api\/contact\/?$/, handler: handleContact },
+  { method: "POST", pattern: /^\/api\/uploads\/?$/, handler: handleUploadCreate },
+  { method: "GET", pattern: /^\/api\/uploads\/([\w-]+)$/, handler: handleUploadStatus },
+  { method: "PUT", pattern: /^\/api\/uploads\/([\w-]+)$/, handler: handleUploadChunk },
+];
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+  const route = routes.find((r) => r.pattern.test(pathname) && r.method === req.method);
+  if (route) {
+    try {
+      await route.handler(req, res, pathname.match(route.pattern));
+    } catch (err) {
+      sendJson(res, 500, { message: String(err?.message || err) });
+    }
+    return;
+  }
+
+  if (pathname.startsWith("/api/")) {
+    sendJson(res, 404, { message: "Unknown endpoint" });
+    return;
+  }
+
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.writeHead(405);
+    res.end();
+    return;
+  }
+
+  serveStatic(req, res, pathname);
+});
+
+server.listen(PORT, () => {
+  console.log(`Serving ${ROOT} on http://localhost:${PORT}`);
+});
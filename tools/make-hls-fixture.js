@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/* ============================================================
+   HLS test fixture generator
+   ------------------------------------------------------------
+   Rebuilds tools/fixtures/hls from assets/images/videos/featured.mp4:
+
+     node tools/make-hls-fixture.js
+     FFMPEG=/path/to/ffmpeg node tools/make-hls-fixture.js
+
+   Output (first CLIP_SECONDS only; git-ignored, run this before opening the fixture):
+   - hls/master.m3u8            two-level VOD manifest (226p + 144p, 6 s segments)
+   - hls/{226p,144p}/index.m3u8 media playlists + MPEG-TS segments
+   - hls/featured-144.mp4       file rendition for the data-sources fallback
+
+   Used by tools/fixtures/video-sources.html (serve with tools/dev-server.js).
+============================================================ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const ROOT = path.resolve(__dirname, "..");
+const INPUT = path.join(ROOT, "assets/images/videos/featured.mp4");
+const OUT = path.join(__dirname, "fixtures/hls");
+const FFMPEG = process.env.FFMPEG || "ffmpeg";
+const CLIP_SECONDS = 24;
+
+const run = (args) => {
+  const result = spawnSync(FFMPEG, ["-hide_banner", "-loglevel", "error", "-y", ...args], { stdio: "inherit" });
+  if (result.error) throw new Error(`Could not run ${FFMPEG} (set FFMPEG=/path/to/ffmpeg): ${result.error.message}`);
+  if (result.status !== 0) throw new Error(`${FFMPEG} exited with ${result.status}`);
+};
+
+const h264 = ["-c:v", "libx264", "-profile:v", "main", "-level", "3.0", "-preset", "veryfast", "-g", "50", "-keyint_min", "50", "-sc_threshold", "0"];
+
+// One ffmpeg run per level; the master playlist is written here so it does not
+// depend on -var_stream_map (missing or unstable in older ffmpeg builds)
+const LEVELS = [
+  { name: "226p", width: 426, height: 226, bitrate: "250k" },
+  { name: "144p", width: 272, height: 144, bitrate: "90k" },
+];
+
+// Peak segment bitrate, as BANDWIDTH requires
+const peakBandwidth = (dir) => {
+  const lines = fs.readFileSync(path.join(dir, "index.m3u8"), "utf8").split("\n");
+  let peak = 0;
+  lines.forEach((line, i) => {
+    const m = /^#EXTINF:([\d.]+)/.exec(line);
+    if (!m) return;
+    const bytes = fs.statSync(path.join(dir, lines[i + 1].trim())).size;
+    peak = Math.max(peak, Math.ceil((bytes * 8) / Number(m[1])));
+  });
+  return peak;
+};
+
+fs.rmSync(OUT, { recursive: true, force: true });
+
+const master = ["#EXTM3U", "#EXT-X-VERSION:3"];
+
+LEVELS.forEach((level) => {
+  const dir = path.join(OUT, level.name);
+  fs.mkdirSync(dir, { recursive: true });
+
+  run([
+    "-i", INPUT,
+    "-t", String(CLIP_SECONDS),
+    "-vf", `scale=${level.width}:${level.height}`,
+    ...h264,
+    "-b:v", level.bitrate,
+    "-an",
+    "-f", "hls",
+    "-hls_time", "6",
+    "-hls_playlist_type", "vod",
+    "-hls_segment_filename", path.join(dir, "seg_%03d.ts"),
+    path.join(dir, "index.m3u8"),
+  ]);
+
+  master.push(
+    `#EXT-X-STREAM-INF:BANDWIDTH=${peakBandwidth(dir)},RESOLUTION=${level.width}x${level.height},CODECS="avc1.4d401e"`,
+    `${level.name}/index.m3u8`
+  );
+});
+
+fs.writeFileSync(path.join(OUT, "master.m3u8"), `${master.join("\n")}\n`);
+
+run([
+  "-i", INPUT,
+  "-t", String(CLIP_SECONDS),
+  "-vf", "scale=-2:144",
+  ...h264,
+  "-b:v", "90k",
+  "-movflags", "+faststart",
+  "-an",
+  path.join(OUT, "featured-144.mp4"),
+]);
+
+console.log(`HLS fixture written to ${path.relative(ROOT, OUT)}`);